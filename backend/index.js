@@ -11,6 +11,11 @@ const signupRoute = require('./routes/signup');
 const loginRoute = require('./routes/login');
 
 const cardsRoute = require('./routes/cards');
+const valuationsRoute = require('./routes/valuations');
+const preferencesRoute = require('./routes/preferences');
+const relationshipsRoute = require('./routes/relationships');
+const redemptionsRoute = require('./routes/redemptions');
+const categoryRulesRoute = require('./routes/categoryRules');
 
 const app = express();
 
@@ -65,6 +70,11 @@ app.use('/api/user-cards', userRoute);
 app.use('/api/signup', signupRoute);
 app.use('/api/login', loginRoute);
 app.use('/api/cards', cardsRoute);
+app.use('/api/point-valuations', valuationsRoute);
+app.use('/api/preferences', preferencesRoute);
+app.use('/api/relationships', relationshipsRoute);
+app.use('/api/redemptions', redemptionsRoute);
+app.use('/api/category-rules', categoryRulesRoute);
 
 // Root ping
 // app.get('/', (req, res) => {
@@ -2,6 +2,7 @@
 const express = require('express');
 const pool = require('../lib/db');
 const PortfolioAnalyzer = require('../services/portfolioAnalyzer');
+const ProjectionEngine = require('../services/projectionEngine');
 const verifyToken = require('../middleware/verifyToken');
 
 const router = express.Router();
@@ -10,7 +11,9 @@ router.get('/', async (req, res) => {
   const { search, issuer, network, annual_fee, reward_category } = req.query;
 
   let query = `
-    SELECT c.*, COALESCE(json_agg(row_to_json(cr)) FILTER (WHERE cr.id IS NOT NULL), '[]') AS rewards
+    SELECT c.*, COALESCE(json_agg(row_to_json(cr)) FILTER (WHERE cr.id IS NOT NULL), '[]') AS rewards,
+           (SELECT COALESCE(json_agg(row_to_json(rc)), '[]') FROM rotating_categories rc WHERE rc.card_id = c.id) AS rotating_calendar,
+           (SELECT COALESCE(json_agg(row_to_json(cb)), '[]') FROM card_benefits cb WHERE cb.card_id = c.id) AS benefits
     FROM cards c
     LEFT JOIN card_rewards cr ON c.id = cr.card_id
     WHERE 1=1
@@ -61,22 +64,41 @@ router.get('/', async (req, res) => {
 // Portfolio analysis endpoint
 router.post('/analyze-portfolio', verifyToken, async (req, res) => {
   try {
-    const { mode, category } = req.body;
+    const { mode, category, spendProfile, constraints } = req.body;
     const userId = req.user.id;
 
-    if (!mode || (mode !== 'auto' && mode !== 'category')) {
-      return res.status(400).json({ error: 'Invalid mode. Must be "auto" or "category"' });
+    if (!mode || !['auto', 'category', 'optimize'].includes(mode)) {
+      return res.status(400).json({ error: 'Invalid mode. Must be "auto", "category" or "optimize"' });
     }
 
     if (mode === 'category' && !category) {
       return res.status(400).json({ error: 'Category is required when mode is "category"' });
     }
 
+    if (spendProfile != null && !isSpendProfile(spendProfile)) {
+      return res.status(400).json({ error: 'spendProfile must map categories to yearly amounts' });
+    }
+
+    const constraintsError = mode === 'optimize' ? getConstraintsError(constraints) : null;
+    if (constraintsError) {
+      return res.status(400).json({ error: constraintsError });
+    }
+
     const analyzer = new PortfolioAnalyzer();
-    const result = await analyzer.analyzePortfolio(userId, mode, category);
+    const result = await analyzer.analyzePortfolio(userId, mode, category, spendProfile, constraints || {});
 
     // Format response based on mode
-    if (mode === 'category' && result.userCurrentCards !== undefined) {
+    if (mode === 'optimize') {
+      res.json({
+        success: true,
+        mode,
+        optimization: result.optimization,
+        spendProfile: result.spendProfile,
+        spendProfileSource: result.spendProfileSource,
+        currentWallet: result.currentWallet,
+        analyzedAt: new Date().toISOString()
+      });
+    } else if (mode === 'category' && result.userCurrentCards !== undefined) {
       // New category format
       res.json({
         success: true,
@@ -85,6 +107,9 @@ router.post('/analyze-portfolio', verifyToken, async (req, res) => {
         userCurrentCards: result.userCurrentCards,
         marketLeaders: result.marketLeaders,
         analysis: result.analysis,
+        spendProfile: result.spendProfile,
+        spendProfileSource: result.spendProfileSource,
+        currentWallet: result.currentWallet,
         analyzedAt: new Date().toISOString()
       });
     } else {
@@ -94,6 +119,9 @@ router.post('/analyze-portfolio', verifyToken, async (req, res) => {
         mode,
         gaps: result.gaps || [],
         summary: result.summary || {},
+        spendProfile: result.spendProfile,
+        spendProfileSource: result.spendProfileSource,
+        currentWallet: result.currentWallet,
         analyzedAt: new Date().toISOString()
       });
     }
@@ -106,4 +134,82 @@ router.post('/analyze-portfolio', verifyToken, async (req, res) => {
   }
 });
 
+// Yearly rewards, fees and net value per card for a spend profile
+router.post('/projected-value', verifyToken, async (req, res) => {
+  try {
+    const { spendProfile, scope = 'wallet' } = req.body;
+    const userId = req.user.id;
+
+    if (scope !== 'wallet' && scope !== 'catalog') {
+      return res.status(400).json({ error: 'Invalid scope. Must be "wallet" or "catalog"' });
+    }
+
+    if (spendProfile != null && !isSpendProfile(spendProfile)) {
+      return res.status(400).json({ error: 'spendProfile must map categories to yearly amounts' });
+    }
+
+    const analyzer = new PortfolioAnalyzer();
+    const projectionEngine = new ProjectionEngine();
+
+    const cards = scope === 'catalog'
+      ? await analyzer.getCatalogCards()
+      : await analyzer.getUserCards(userId);
+    const { profile, source } = await projectionEngine.resolveSpendProfile(userId, spendProfile);
+    const projections = await projectionEngine.projectCards(cards, profile, userId);
+
+    res.json({
+      success: true,
+      scope,
+      spendProfile: profile,
+      spendProfileSource: source,
+      projections,
+      wallet: scope === 'wallet' ? projectionEngine.combineWallet(projections) : undefined,
+      projectedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Projection error:', error);
+    res.status(500).json({
+      error: 'Projection failed',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+function isSpendProfile(value) {
+  return typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(amount => !isNaN(parseFloat(amount)) && parseFloat(amount) >= 0);
+}
+
+// Returns a message describing the first invalid optimizer constraint, or null
+function getConstraintsError(constraints) {
+  if (constraints == null) return null;
+  if (typeof constraints !== 'object' || Array.isArray(constraints)) {
+    return 'constraints must be an object';
+  }
+
+  const { walletSize, maxTotalFees, requiredIssuers, excludedNetworks, keepCurrentCards } = constraints;
+
+  if (walletSize != null && (!Number.isInteger(walletSize) || walletSize < 1 || walletSize > 5)) {
+    return 'walletSize must be a whole number from 1 to 5';
+  }
+  if (maxTotalFees != null && (isNaN(parseFloat(maxTotalFees)) || parseFloat(maxTotalFees) < 0)) {
+    return 'maxTotalFees must be a non-negative amount';
+  }
+  if (requiredIssuers != null && !isStringList(requiredIssuers)) {
+    return 'requiredIssuers must be a list of issuer names';
+  }
+  if (excludedNetworks != null && !isStringList(excludedNetworks)) {
+    return 'excludedNetworks must be a list of network names';
+  }
+  if (keepCurrentCards != null && typeof keepCurrentCards !== 'boolean') {
+    return 'keepCurrentCards must be true or false';
+  }
+
+  return null;
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+}
+
 module.exports = router;
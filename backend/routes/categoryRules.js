@@ -0,0 +1,99 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const verifyToken = require('../middleware/verifyToken');
+const categoryRuleService = require('../services/categoryRuleService');
+const { RULE_CATEGORIES, MATCH_TYPES } = require('../services/categoryRules');
+
+const router = express.Router();
+
+const ruleValidators = (optional) => [
+  (optional ? body('pattern').optional() : body('pattern')).isString().trim().isLength({ min: 1, max: 200 }),
+  body('matchType').optional().isIn(MATCH_TYPES),
+  (optional ? body('category').optional() : body('category')).isIn(RULE_CATEGORIES)
+];
+
+// GET the logged-in user's categorization rules
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const rules = await categoryRuleService.getRules(userId);
+    res.json({ rules, categories: RULE_CATEGORIES, matchTypes: MATCH_TYPES });
+  } catch (error) {
+    console.error('Error fetching category rules:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add a rule: { pattern, matchType?, category }
+router.post('/', verifyToken, ruleValidators(false), async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, error: 'Invalid rule', details: errors.array() });
+  }
+
+  try {
+    const { pattern, matchType, category } = req.body;
+    const rule = await categoryRuleService.createRule(userId, { pattern, matchType, category });
+    res.status(201).json({ success: true, rule });
+  } catch (error) {
+    console.error('Error saving category rule:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Change any of a rule's pattern, matchType and category
+router.put('/:ruleId', verifyToken, [param('ruleId').isUUID(), ...ruleValidators(true)], async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, error: 'Invalid rule', details: errors.array() });
+  }
+
+  try {
+    const { pattern, matchType, category } = req.body;
+    const rule = await categoryRuleService.updateRule(userId, req.params.ruleId, { pattern, matchType, category });
+    if (!rule) {
+      return res.status(404).json({ success: false, error: 'Rule not found' });
+    }
+    res.json({ success: true, rule });
+  } catch (error) {
+    console.error('Error updating category rule:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Delete a rule so its descriptions are categorized normally again
+router.delete('/:ruleId', verifyToken, param('ruleId').isUUID(), async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  if (!validationResult(req).isEmpty()) {
+    return res.status(400).json({ success: false, error: 'Invalid rule id' });
+  }
+
+  try {
+    const deleted = await categoryRuleService.deleteRule(userId, req.params.ruleId);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Rule not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting category rule:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
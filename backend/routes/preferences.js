@@ -0,0 +1,48 @@
+const express = require('express');
+const verifyToken = require('../middleware/verifyToken');
+const userPreferenceService = require('../services/userPreferenceService');
+const { PREFERENCE_LEVELS, isValidPreference } = require('../services/rewardPreferences');
+
+const router = express.Router();
+
+// GET the logged-in user's reward preferences
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const preferences = await userPreferenceService.getPreferences(userId);
+    res.json({ preferences, levels: PREFERENCE_LEVELS });
+  } catch (error) {
+    console.error('Error fetching preferences:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update any of portalBooking, activation and cappedCategories
+router.put('/', verifyToken, async (req, res) => {
+  const userId = req.user?.id;
+  const updates = req.body || {};
+
+  if (!userId) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  const invalid = Object.entries(updates).find(([key, level]) => !isValidPreference(key, level));
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid preference ${invalid[0]}: expected one of ${PREFERENCE_LEVELS.join(', ')}`
+    });
+  }
+
+  try {
+    const preferences = await userPreferenceService.setPreferences(userId, updates);
+    res.json({ success: true, preferences });
+  } catch (error) {
+    console.error('Error saving preferences:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,16 @@ const { body, validationResult } = require('express-validator');
 const CategoryService = require('../services/categoryService');
 const RewardCalculator = require('../services/rewardCalculator');
 const UserSpendingService = require('../services/userSpendingService');
+const WelcomeBonusService = require('../services/welcomeBonusService');
+const categoryFeedbackService = require('../services/categoryFeedbackService');
+const { RULE_CATEGORIES } = require('../services/categoryRules');
+const verifyToken = require('../middleware/verifyToken');
+const {
+  CHANNELS, detectChannel, getAcceptanceRule, getCardAcceptance, isNetworkAccepted
+} = require('../services/merchantAcceptance');
+const { HOME_CURRENCY, isSupportedCurrency, convertToHomeCurrency } = require('../services/currencyRates');
+const { isValidMcc, normalizeMcc } = require('../services/mccCodes');
+const { normalizeDescriptor } = require('../services/descriptorNormalizer');
 const pool = require('../lib/db');
 
 const router = express.Router();
@@ -11,14 +21,24 @@ const router = express.Router();
 const categoryService = new CategoryService();
 const userSpendingService = new UserSpendingService();
 const rewardCalculator = new RewardCalculator();
+const welcomeBonusService = new WelcomeBonusService();
 
 router.post('/', [
   body('description').isString().isLength({ min: 1, max: 500 }),
-  body('amount').optional().isNumeric({ min: 0 }),
+  body('amount').optional().isFloat({ min: 0 }).toFloat(),
   body('date').optional().isISO8601(),
   body('userId').optional().isUUID(),
-  body('detectionMethod').optional().isIn(['keyword', 'semantic', 'openai'])
+  body('detectionMethod').optional().isIn(['keyword', 'semantic', 'openai', 'local']),
+  body('favorWelcomeBonus').optional().isBoolean().toBoolean(),
+  body('allowSplit').optional().isBoolean().toBoolean(),
+  body('channel').optional().isIn(Object.values(CHANNELS)),
+  body('country').optional().isISO31661Alpha2(),
+  body('currency').optional().custom(isSupportedCurrency).withMessage('No exchange rate configured for this currency'),
+  body('explain').optional().isBoolean().toBoolean(),
+  body('mcc').optional().custom(isValidMcc).withMessage('mcc must be a 4-digit merchant category code')
 ], async (req, res) => {
+  const startTime = Date.now();
+
   try {
     const requestId = Date.now().toString(36) + Math.random().toString(36).substr(2);
     console.log(`[API:${requestId}] Received POST /api/recommend-card`);
@@ -33,12 +53,20 @@ router.post('/', [
       });
     }
 
-    const { description, amount = 0, date = new Date(), userId, detectionMethod } = req.body;
+    const {
+      description, amount: purchaseAmount = 0, date = new Date(), userId, detectionMethod,
+      favorWelcomeBonus = true, allowSplit = false, channel, country, currency, explain = false, mcc
+    } = req.body;
+
+    // Everything below works in US dollars
+    const amount = currency ? convertToHomeCurrency(purchaseAmount, currency) : purchaseAmount;
 
-    // 1. Categorize the purchase description
+    // 1. Categorize the purchase description; `descriptor` is the statement line split into
+    // merchant name and location, which CategoryService also works from
+    const descriptor = normalizeDescriptor(description);
     console.log(`[API:${requestId}] Categorizing description: "${description}"${detectionMethod ? ` with method: ${detectionMethod}` : ''}`);
     const categorizationStart = Date.now();
-    const categoryResult = await categoryService.categorize(description, detectionMethod);
+    const categoryResult = await categoryService.categorize(description, detectionMethod, userId, mcc);
     const categorizationDuration = Date.now() - categorizationStart;
     
     console.log(`[API:${requestId}] Categorization complete:`, {
@@ -56,13 +84,35 @@ router.post('/', [
 
     console.log(`Analyzing ${userCards.length} cards for category: ${categoryResult.category}`);
 
+    // The matched merchant drives network acceptance (Costco warehouses: Visa only)
+    // and reward exclusions (no grocery bonus at warehouse clubs)
+    const merchant = getMerchant(categoryResult, descriptor.merchantName);
+    const acceptanceRule = getAcceptanceRule(merchant, channel || detectChannel(description));
+
+    // Load period spending for the whole wallet up front so each card is scored in memory,
+    // along with welcome bonuses (cards still short of a minimum spend can be ranked ahead)
+    const preloadStart = Date.now();
+    const [spendingHistory, userContext, openBonuses] = await Promise.all([
+      rewardCalculator.loadSpendingHistory(userCards, userId, [new Date(date)]),
+      rewardCalculator.loadUserContext(userId),
+      userId ? getOpenWelcomeBonuses(userId, new Date(date)) : new Map()
+    ]);
+    const purchaseContext = {
+      merchant, mcc: normalizeMcc(mcc), country: country && country.toUpperCase(), currency,
+      spendingHistory, ...userContext
+    };
+    const preloadDuration = Date.now() - preloadStart;
+
     // 3. Calculate rewards for each card
+    const calculationStart = Date.now();
     const cardAnalysis = [];
     for (const card of userCards) {
       try {
         const rewardInfo = await rewardCalculator.calculateReward(
-          card, categoryResult.category, amount, new Date(date), userId
+          card, categoryResult.category, amount, new Date(date), userId, { ...purchaseContext, explain }
         );
+        const welcomeBonus = openBonuses.get(card.id) || null;
+        const bonusBoost = favorWelcomeBonus ? welcomeBonusService.getBonusBoost(welcomeBonus, amount) : 0;
 
         cardAnalysis.push({
           cardId: card.id,
@@ -73,13 +123,26 @@ router.post('/', [
           imageUrl: card.image_url,
           effectiveRate: rewardInfo.effectiveRate,
           rewardValue: rewardInfo.rewardValue,
-          reasoning: rewardInfo.notes,
+          foreignTransactionFee: rewardInfo.foreignTransactionFee,
+          reasoning: rewardInfo.relationshipBoost
+            ? `${rewardInfo.notes} (${rewardInfo.relationshipBoost.summary})`
+            : rewardInfo.notes,
           conditions: rewardInfo.portalOnly ? ['Portal booking required'] : [],
+          acceptance: getCardAcceptance(acceptanceRule, card.network),
           capStatus: rewardInfo.capStatus,
+          topCategory: rewardInfo.topCategory,
+          preferenceAdjustment: rewardInfo.preferenceAdjustment,
+          relationshipBoost: rewardInfo.relationshipBoost,
           category: rewardInfo.category,
           multiplier: rewardInfo.multiplier,
+          earnRate: rewardInfo.earnRate,
+          rewardCurrency: rewardInfo.rewardCurrency,
+          centsPerPoint: rewardInfo.centsPerPoint,
+          pointsEarned: rewardInfo.pointsEarned,
+          welcomeBonus: welcomeBonus && { ...welcomeBonus, boost: bonusBoost },
           simplicity: rewardCalculator.calculateSimplicity(rewardInfo),
-          totalValue: amount > 0 ? parseFloat(rewardInfo.rewardValue) : rewardInfo.effectiveRate
+          trace: rewardInfo.trace,
+          totalValue: (amount > 0 ? parseFloat(rewardInfo.rewardValue) : rewardInfo.effectiveRate) + bonusBoost
         });
       } catch (error) {
         console.error(`Error calculating reward for card ${card.name}:`, error);
@@ -87,10 +150,16 @@ router.post('/', [
       }
     }
 
+    const calculationDuration = Date.now() - calculationStart;
+
     // 4. Rank and sort recommendations
     const rankedRecommendations = cardAnalysis
       .sort((a, b) => {
-        // Primary sort: total value (reward value for this purchase)
+        // Cards the merchant won't take go last
+        if (isAccepted(a) !== isAccepted(b)) {
+          return isAccepted(a) ? -1 : 1;
+        }
+        // Then total value (reward value for this purchase, plus any welcome-bonus boost)
         if (Math.abs(a.totalValue - b.totalValue) > 0.01) {
           return b.totalValue - a.totalValue;
         }
@@ -103,20 +172,44 @@ router.post('/', [
       })
       .slice(0, 10); // Top 10 recommendations
 
-    // 5. Prepare response
+    // 5. Split tender: spread the amount across cards once the best card's cap runs out
+    const allocation = allowSplit && amount > 0
+      ? await getSplitAllocation(
+        userCards.filter(card => isNetworkAccepted(acceptanceRule, card.network)),
+        categoryResult.category, amount, new Date(date), userId, purchaseContext, rankedRecommendations[0]
+      )
+      : null;
+
+    // 6. Prepare response
     const response = {
       category: categoryResult.category,
       confidence: categoryResult.confidence,
       source: categoryResult.source,
       reasoning: categoryResult.reasoning,
+      descriptor,
       recommendations: rankedRecommendations,
       alternatives: rankedRecommendations.slice(1, 6), // Top 5 alternatives
+      allocation,
+      acceptance: acceptanceRule && {
+        merchant: acceptanceRule.merchant,
+        channel: acceptanceRule.channel,
+        acceptedNetworks: acceptanceRule.networks
+      },
       metadata: {
         description,
+        mcc: purchaseContext.mcc,
         amount,
+        originalAmount: purchaseAmount,
+        currency: currency ? currency.toUpperCase() : HOME_CURRENCY,
+        foreign: rewardCalculator.isForeignPurchase(purchaseContext),
         date,
         cardsAnalyzed: userCards.length,
-        processingTime: Date.now() - req.start_time
+        processingTime: Date.now() - startTime,
+        timings: {
+          categorization: categorizationDuration,
+          preload: preloadDuration,
+          calculation: calculationDuration
+        }
       }
     };
 
@@ -132,18 +225,250 @@ router.post('/', [
   }
 });
 
+router.post('/batch', [
+  body('items').isArray({ min: 1, max: 50 }),
+  body('items.*.description').isString().isLength({ min: 1, max: 500 }),
+  body('items.*.amount').isFloat({ gt: 0 }).toFloat(),
+  body('items.*.date').optional().isISO8601(),
+  body('items.*.channel').optional().isIn(Object.values(CHANNELS)),
+  body('items.*.country').optional().isISO31661Alpha2(),
+  body('items.*.currency').optional().custom(isSupportedCurrency).withMessage('No exchange rate configured for this currency'),
+  body('items.*.mcc').optional().custom(isValidMcc).withMessage('mcc must be a 4-digit merchant category code'),
+  body('userId').optional().isUUID(),
+  body('detectionMethod').optional().isIn(['keyword', 'semantic', 'openai', 'local'])
+], async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: errors.array()
+      });
+    }
+
+    const { items, userId, detectionMethod } = req.body;
+    console.log(`[API] Batch recommendation for ${items.length} items`);
+
+    // 1. Categorize every line together
+    const categories = await categoryService.categorizeBatch(
+      items.map(item => item.description), detectionMethod, userId, items.map(item => item.mcc)
+    );
+
+    // 2. Get user's cards or use demo cards
+    const userCards = userId
+      ? await getUserCards(userId)
+      : await getDemoCards();
+
+    // 3. One spending query covers every line's cap periods, and the user's settings load once
+    const dates = items.map(item => (item.date ? new Date(item.date) : new Date()));
+    const [spendingHistory, userContext] = await Promise.all([
+      rewardCalculator.loadSpendingHistory(userCards, userId, dates),
+      rewardCalculator.loadUserContext(userId)
+    ]);
+
+    // 4. Walk the list in order; each line's spend counts toward the caps of the lines after it
+    const simulatedSpending = [];
+    const results = [];
+    for (const [index, item] of items.entries()) {
+      const categoryResult = categories[index];
+      const date = dates[index];
+      const descriptor = normalizeDescriptor(item.description);
+      const merchant = getMerchant(categoryResult, descriptor.merchantName);
+      const acceptanceRule = getAcceptanceRule(merchant, item.channel || detectChannel(item.description));
+      const purchaseContext = {
+        merchant,
+        mcc: normalizeMcc(item.mcc),
+        country: item.country && item.country.toUpperCase(),
+        currency: item.currency,
+        simulatedSpending,
+        spendingHistory,
+        ...userContext
+      };
+      const amount = item.currency ? convertToHomeCurrency(item.amount, item.currency) : item.amount;
+
+      let best = null;
+      for (const card of userCards) {
+        if (!isNetworkAccepted(acceptanceRule, card.network)) continue;
+
+        try {
+          const rewardInfo = await rewardCalculator.calculateReward(
+            card, categoryResult.category, amount, date, userId, purchaseContext
+          );
+          if (!best || parseFloat(rewardInfo.rewardValue) > parseFloat(best.rewardInfo.rewardValue)) {
+            best = { card, rewardInfo };
+          }
+        } catch (error) {
+          console.error(`Error calculating reward for card ${card.name}:`, error);
+        }
+      }
+
+      if (best) {
+        simulatedSpending.push({ cardId: best.card.id, category: categoryResult.category, amount, date });
+      }
+
+      results.push({
+        index,
+        description: item.description,
+        descriptor,
+        mcc: purchaseContext.mcc,
+        amount,
+        originalAmount: item.amount,
+        currency: item.currency ? item.currency.toUpperCase() : HOME_CURRENCY,
+        date,
+        category: categoryResult.category,
+        confidence: categoryResult.confidence,
+        source: categoryResult.source,
+        bestCard: best && {
+          cardId: best.card.id,
+          cardName: best.card.name,
+          issuer: best.card.issuer,
+          imageUrl: best.card.image_url,
+          effectiveRate: best.rewardInfo.effectiveRate,
+          rewardValue: parseFloat(best.rewardInfo.rewardValue),
+          foreignTransactionFee: best.rewardInfo.foreignTransactionFee,
+          relationshipBoost: best.rewardInfo.relationshipBoost,
+          multiplier: best.rewardInfo.multiplier,
+          rewardCurrency: best.rewardInfo.rewardCurrency,
+          pointsEarned: best.rewardInfo.pointsEarned,
+          capStatus: best.rewardInfo.capStatus
+        }
+      });
+    }
+
+    res.json({
+      items: results,
+      totals: getBatchTotals(results),
+      metadata: {
+        itemsProcessed: items.length,
+        cardsAnalyzed: userCards.length,
+        processingTime: Date.now() - startTime
+      }
+    });
+
+  } catch (error) {
+    console.error('Batch recommendation error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// A user says a purchase was categorized wrong: store the correction with the original
+// result, then teach the semantic layer the right category
+router.post('/feedback', verifyToken, [
+  body('description').isString().trim().isLength({ min: 1, max: 500 }),
+  body('originalCategory').isString(),
+  body('originalSource').optional().isString(),
+  body('originalConfidence').optional().isFloat({ min: 0, max: 1 }).toFloat(),
+  body('correctedCategory').isIn(RULE_CATEGORIES)
+], async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, error: 'Invalid input', details: errors.array() });
+  }
+
+  const { description, originalCategory, originalSource, originalConfidence, correctedCategory } = req.body;
+  if (correctedCategory === originalCategory) {
+    return res.status(400).json({ success: false, error: 'correctedCategory must differ from originalCategory' });
+  }
+
+  try {
+    const feedback = await categoryFeedbackService.recordCorrection(userId, {
+      description, originalCategory, originalSource, originalConfidence, correctedCategory
+    });
+
+    // The correction is saved either way; training can be retried from the stored row
+    let training = { trainedInto: null, vectorId: null };
+    try {
+      training = await categoryService.learnFromCorrection(description, correctedCategory);
+      if (training.trainedInto) {
+        await categoryFeedbackService.markTrained(feedback.id, training.trainedInto, training.vectorId);
+      }
+    } catch (error) {
+      console.error('Error training on categorization feedback:', error);
+    }
+
+    res.status(201).json({ success: true, feedbackId: feedback.id, trainedInto: training.trainedInto });
+  } catch (error) {
+    console.error('Error saving categorization feedback:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+/**
+ * The merchant pattern matched in a description. Semantic and LLM results carry no
+ * merchant match, so the merchant patterns are checked directly for those.
+ */
+function getMerchant(categoryResult, description) {
+  return categoryResult.merchant || categoryService.matchMerchants(description)[0] || null;
+}
+
+/**
+ * Whether an analyzed card can be used at the merchant (no rule means any network works)
+ */
+function isAccepted(analysis) {
+  return !analysis.acceptance || analysis.acceptance.accepted;
+}
+
+/**
+ * Spend and reward totals for a batch, overall and per recommended card
+ */
+function getBatchTotals(results) {
+  const byCard = new Map();
+  for (const result of results) {
+    if (!result.bestCard) continue;
+
+    const entry = byCard.get(result.bestCard.cardId) || {
+      cardId: result.bestCard.cardId,
+      cardName: result.bestCard.cardName,
+      items: 0,
+      amount: 0,
+      rewardValue: 0
+    };
+    entry.items += 1;
+    entry.amount += result.amount;
+    entry.rewardValue += result.bestCard.rewardValue;
+    byCard.set(entry.cardId, entry);
+  }
+
+  const round = value => Math.round(value * 100) / 100;
+  const cards = [...byCard.values()]
+    .map(entry => ({ ...entry, amount: round(entry.amount), rewardValue: round(entry.rewardValue) }))
+    .sort((a, b) => b.rewardValue - a.rewardValue);
+  const amount = round(results.reduce((sum, r) => sum + r.amount, 0));
+  const rewardValue = round(cards.reduce((sum, c) => sum + c.rewardValue, 0));
+
+  return {
+    amount,
+    rewardValue,
+    effectiveRate: amount > 0 ? round((rewardValue / amount) * 100) : 0,
+    byCard: cards
+  };
+}
+
 /**
  * Get cards for a specific user
  */
 async function getUserCards(userId) {
   try {
     const query = `
-      SELECT c.*, COALESCE(json_agg(row_to_json(cr)) FILTER (WHERE cr.id IS NOT NULL), '[]') AS rewards
+      SELECT c.*, uc.opened_at, uc.statement_close_day, uc.activated_quarters,
+             COALESCE(json_agg(row_to_json(cr)) FILTER (WHERE cr.id IS NOT NULL), '[]') AS rewards,
+             (SELECT COALESCE(json_agg(row_to_json(rc)), '[]') FROM rotating_categories rc WHERE rc.card_id = c.id) AS rotating_calendar,
+             (SELECT COALESCE(json_agg(row_to_json(ucc) ORDER BY ucc.effective_from), '[]') FROM user_choice_categories ucc WHERE ucc.user_card_id = uc.id) AS choice_selections
       FROM cards c
       LEFT JOIN card_rewards cr ON c.id = cr.card_id
       INNER JOIN user_cards uc ON c.id = uc.card_id
       WHERE uc.user_id = $1
-      GROUP BY c.id
+      GROUP BY c.id, uc.id, uc.opened_at, uc.statement_close_day, uc.activated_quarters
       ORDER BY c.name
     `;
     const result = await pool.query(query, [userId]);
@@ -154,13 +479,45 @@ async function getUserCards(userId) {
   }
 }
 
+/**
+ * Welcome bonuses the user is still working toward, keyed by card id
+ */
+async function getOpenWelcomeBonuses(userId, date) {
+  try {
+    return await welcomeBonusService.getOpenBonuses(userId, date);
+  } catch (error) {
+    console.error('Error getting welcome bonuses:', error);
+    return new Map(); // Rank on rewards alone
+  }
+}
+
+/**
+ * Best split of the purchase across the cards, compared with putting it all on the top card
+ */
+async function getSplitAllocation(cards, category, amount, date, userId, purchaseContext, topRecommendation) {
+  try {
+    const allocation = await rewardCalculator.allocatePurchase(cards, category, amount, date, userId, purchaseContext);
+    const singleCardReward = topRecommendation ? parseFloat(topRecommendation.rewardValue) : 0;
+
+    return {
+      ...allocation,
+      singleCardReward,
+      extraReward: Math.round((allocation.totalReward - singleCardReward) * 100) / 100
+    };
+  } catch (error) {
+    console.error('Error allocating split purchase:', error);
+    return null; // Fall back to single-card recommendations
+  }
+}
+
 /**
  * Get demo cards for testing (when no user ID provided)
  */
 async function getDemoCards() {
   try {
     const query = `
-      SELECT c.*, COALESCE(json_agg(row_to_json(cr)) FILTER (WHERE cr.id IS NOT NULL), '[]') AS rewards
+      SELECT c.*, COALESCE(json_agg(row_to_json(cr)) FILTER (WHERE cr.id IS NOT NULL), '[]') AS rewards,
+             (SELECT COALESCE(json_agg(row_to_json(rc)), '[]') FROM rotating_categories rc WHERE rc.card_id = c.id) AS rotating_calendar
       FROM cards c
       LEFT JOIN card_rewards cr ON c.id = cr.card_id
       WHERE c.issuer IN ('Chase', 'American Express', 'Bank of America', 'Capital One')
@@ -177,10 +534,4 @@ async function getDemoCards() {
   }
 }
 
-// Middleware to track request timing
-router.use((req, res, next) => {
-  req.start_time = Date.now();
-  next();
-});
-
 module.exports = router;
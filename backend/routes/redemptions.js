@@ -0,0 +1,65 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const RedemptionOptimizer = require('../services/redemptionOptimizer');
+const { isTransferableCurrency } = require('../services/transferPartners');
+
+const router = express.Router();
+
+const redemptionOptimizer = new RedemptionOptimizer();
+
+// GET every bank currency's transfer partners, ratios and active bonuses
+router.get('/partners', (req, res) => {
+  try {
+    res.json({ currencies: redemptionOptimizer.getPartnerGraph() });
+  } catch (error) {
+    console.error('Error fetching transfer partners:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Cheapest mix of balances and transfers to cover an award
+router.post('/plan', [
+  body('program').isString().custom(code => redemptionOptimizer.isKnownProgram(code))
+    .withMessage('Unknown award program'),
+  body('points').isInt({ gt: 0 }).toInt(),
+  body('balances').isObject(),
+  body('balances.*').isFloat({ min: 0 }).toFloat(),
+  body('cashPrice').optional().isFloat({ gt: 0 }).toFloat(),
+  body('transferBonuses').optional().isArray({ max: 20 }),
+  body('transferBonuses.*.from').custom(isTransferableCurrency).withMessage('Unknown transfer currency'),
+  body('transferBonuses.*.to').isString(),
+  body('transferBonuses.*.bonus').isFloat({ gt: 0, max: 2 }).toFloat(),
+  body('date').optional().isISO8601(),
+  body('userId').optional().isUUID()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Invalid input',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const { program, points, balances, cashPrice = null, transferBonuses = [], date, userId } = req.body;
+
+    const plan = await redemptionOptimizer.planRedemption({
+      program,
+      points,
+      balances,
+      cashPrice,
+      transferBonuses,
+      date: date ? new Date(date) : new Date()
+    }, userId || null);
+
+    res.json({ success: true, ...plan });
+  } catch (error) {
+    console.error('Redemption planning error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Failed to plan redemption'
+    });
+  }
+});
+
+module.exports = router;
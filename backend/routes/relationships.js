@@ -0,0 +1,68 @@
+const express = require('express');
+const verifyToken = require('../middleware/verifyToken');
+const relationshipService = require('../services/relationshipService');
+const { RELATIONSHIP_PROGRAMS, isKnownProgram, isValidTier } = require('../services/relationshipPrograms');
+
+const router = express.Router();
+
+// GET every relationship program with the logged-in user's tier
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const programs = await relationshipService.getProgramTable(userId);
+    res.json({ programs });
+  } catch (error) {
+    console.error('Error fetching relationship tiers:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set the user's tier in one program
+router.put('/:programId', verifyToken, async (req, res) => {
+  const userId = req.user?.id;
+  const { programId } = req.params;
+  const { tier } = req.body;
+
+  if (!userId) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  if (!isKnownProgram(programId)) {
+    return res.status(400).json({ success: false, error: `Unknown relationship program: ${programId}` });
+  }
+
+  if (!isValidTier(programId, tier)) {
+    const tiers = Object.keys(RELATIONSHIP_PROGRAMS[programId].tiers);
+    return res.status(400).json({ success: false, error: `tier must be one of: ${tiers.join(', ')}` });
+  }
+
+  try {
+    await relationshipService.setUserTier(userId, programId, tier);
+    res.json({ success: true, programId, tier });
+  } catch (error) {
+    console.error('Error saving relationship tier:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Leave a program so its boost no longer applies
+router.delete('/:programId', verifyToken, async (req, res) => {
+  const userId = req.user?.id;
+  const { programId } = req.params;
+
+  if (!userId) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    await relationshipService.clearUserTier(userId, programId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error clearing relationship tier:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,17 @@
 const express = require('express');
 const verifyToken = require('../middleware/verifyToken');
 const pool = require('../lib/db');
+const RotatingCategoryService = require('../services/rotatingCategoryService');
+const ChoiceCategoryService = require('../services/choiceCategoryService');
+const WelcomeBonusService = require('../services/welcomeBonusService');
+const BenefitService = require('../services/benefitService');
 const router = express.Router();
 
+const rotatingCategoryService = new RotatingCategoryService();
+const choiceCategoryService = new ChoiceCategoryService();
+const welcomeBonusService = new WelcomeBonusService();
+const benefitService = new BenefitService();
+
 // GET only cards saved by the logged-in user
 router.get('/', verifyToken, async (req, res) => {
   try {
@@ -10,12 +19,16 @@ router.get('/', verifyToken, async (req, res) => {
     if (!userId) return res.status(401).json({ error: 'Unauthorized' });
 
     const cardsResult = await pool.query(
-      `SELECT c.*, uc.position, COALESCE(json_agg(row_to_json(cr)) FILTER (WHERE cr.id IS NOT NULL), '[]') AS rewards
+      `SELECT c.*, uc.position, uc.opened_at, uc.statement_close_day, uc.activated_quarters,
+              COALESCE(json_agg(row_to_json(cr)) FILTER (WHERE cr.id IS NOT NULL), '[]') AS rewards,
+              (SELECT COALESCE(json_agg(row_to_json(rc)), '[]') FROM rotating_categories rc WHERE rc.card_id = c.id) AS rotating_calendar,
+              (SELECT COALESCE(json_agg(row_to_json(ucc) ORDER BY ucc.effective_from), '[]') FROM user_choice_categories ucc WHERE ucc.user_card_id = uc.id) AS choice_selections,
+              (SELECT COALESCE(json_agg(row_to_json(cb)), '[]') FROM card_benefits cb WHERE cb.card_id = c.id) AS benefits
        FROM cards c
        JOIN user_cards uc ON c.id = uc.card_id
        LEFT JOIN card_rewards cr ON c.id = cr.card_id
        WHERE uc.user_id = $1
-       GROUP BY c.id, uc.position
+       GROUP BY c.id, uc.id, uc.position, uc.opened_at, uc.statement_close_day, uc.activated_quarters
        ORDER BY uc.position ASC`,
       [userId]
     );
@@ -28,13 +41,17 @@ router.get('/', verifyToken, async (req, res) => {
 
 // Add a card to the user's saved collection
 router.post('/', verifyToken, async (req, res) => {
-  const { card_id } = req.body;
+  const { card_id, opened_at } = req.body;
   const user_id = req.user?.id;
 
   if (!card_id || !user_id) {
     return res.status(400).json({ error: 'Missing card_id or user_id' });
   }
 
+  if (opened_at != null && isNaN(new Date(opened_at).getTime())) {
+    return res.status(400).json({ error: 'opened_at must be a valid date' });
+  }
+
   try {
     // Get the next position for this user
     const maxPositionResult = await pool.query(
@@ -44,8 +61,8 @@ router.post('/', verifyToken, async (req, res) => {
     const nextPosition = maxPositionResult.rows[0].next_position;
 
     await pool.query(
-      'INSERT INTO user_cards (user_id, card_id, position) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
-      [user_id, card_id, nextPosition]
+      'INSERT INTO user_cards (user_id, card_id, position, opened_at) VALUES ($1, $2, $3, $4) ON CONFLICT DO NOTHING',
+      [user_id, card_id, nextPosition, opened_at || null]
     );
     res.json({ success: true });
   } catch (error) {
@@ -88,6 +105,219 @@ router.put('/reorder', verifyToken, async (req, res) => {
   }
 });
 
+// GET rotating-category activation reminders for the current and upcoming quarter
+router.get('/activations', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const reminders = await rotatingCategoryService.getActivationReminders(userId);
+    res.json({ reminders });
+  } catch (error) {
+    console.error('Error fetching activation reminders:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET welcome-bonus minimum-spend progress for the user's cards
+router.get('/welcome-bonuses', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const bonuses = await welcomeBonusService.getUserProgress(userId);
+    res.json({ bonuses });
+  } catch (error) {
+    console.error('Error fetching welcome bonuses:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET statement credits on the user's cards with usage for the current period
+router.get('/benefits', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const benefits = await benefitService.getUserBenefits(userId);
+    res.json({ benefits });
+  } catch (error) {
+    console.error('Error fetching card benefits:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Mark a statement credit as used (in full, partly, or not at all) for the current period
+router.put('/:cardId/benefits/:benefitId', verifyToken, async (req, res) => {
+  const userId = req.user?.id;
+  const { cardId, benefitId } = req.params;
+  const { amountUsed, used } = req.body;
+
+  if (!userId) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  if (amountUsed != null && (isNaN(parseFloat(amountUsed)) || parseFloat(amountUsed) < 0)) {
+    return res.status(400).json({ success: false, error: 'amountUsed must be a non-negative amount' });
+  }
+
+  try {
+    const usage = await benefitService.setUsage(userId, cardId, benefitId, used === false ? 0 : amountUsed);
+    if (!usage) {
+      return res.status(404).json({ success: false, error: 'Benefit not found on a card in your collection' });
+    }
+
+    res.json({ success: true, usage });
+  } catch (error) {
+    console.error('Error updating benefit usage:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Mark a rotating-category quarter (e.g. 2026-Q4) as activated for one card
+router.put('/:cardId/activations/:quarter', verifyToken, async (req, res) => {
+  const userId = req.user?.id;
+  const { cardId, quarter } = req.params;
+  const activated = req.body.activated !== false;
+
+  if (!userId) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  if (!RotatingCategoryService.parseQuarterKey(quarter)) {
+    return res.status(400).json({ success: false, error: 'Quarter must look like 2026-Q4' });
+  }
+
+  try {
+    const updated = await rotatingCategoryService.setActivation(userId, cardId, quarter, activated);
+    if (!updated) {
+      return res.status(404).json({ success: false, error: 'Card not found in user collection' });
+    }
+
+    res.json({ success: true, quarter, activated });
+  } catch (error) {
+    console.error('Error updating activation:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// GET the allowed options, current selection and history for a choice-category card
+router.get('/:cardId/choice-category', verifyToken, async (req, res) => {
+  const userId = req.user?.id;
+  const { cardId } = req.params;
+
+  if (!userId) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const selections = await choiceCategoryService.getSelections(userId, cardId);
+    if (!selections) {
+      return res.status(404).json({ error: 'No choice-category card found in user collection' });
+    }
+
+    res.json(selections);
+  } catch (error) {
+    console.error('Error fetching choice category:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Select the bonus category for a choice-category card (e.g. BofA Customized Cash)
+router.put('/:cardId/choice-category', verifyToken, async (req, res) => {
+  const userId = req.user?.id;
+  const { cardId } = req.params;
+  const { category, effectiveFrom } = req.body;
+
+  if (!userId) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  if (effectiveFrom != null && isNaN(new Date(effectiveFrom).getTime())) {
+    return res.status(400).json({ success: false, error: 'effectiveFrom must be a valid date' });
+  }
+
+  try {
+    const choiceReward = await choiceCategoryService.getChoiceReward(userId, cardId);
+    if (!choiceReward) {
+      return res.status(404).json({ success: false, error: 'No choice-category card found in user collection' });
+    }
+
+    const options = choiceReward.eligible_categories || [];
+    if (!options.includes(category)) {
+      return res.status(400).json({ success: false, error: `Category must be one of ${options.join(', ')}` });
+    }
+
+    const result = await choiceCategoryService.setSelection(
+      choiceReward.user_card_id,
+      category,
+      choiceReward.choice_period,
+      effectiveFrom ? new Date(effectiveFrom) : new Date()
+    );
+    if (!result.success) {
+      return res.status(409).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error updating choice category:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Update account details used for cardmember-year and statement-cycle caps and welcome-bonus windows
+router.put('/:cardId/account', verifyToken, async (req, res) => {
+  const userId = req.user?.id;
+  const { cardId } = req.params;
+  const { openedAt, statementCloseDay } = req.body;
+
+  if (!userId) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  if (openedAt != null && isNaN(new Date(openedAt).getTime())) {
+    return res.status(400).json({ success: false, error: 'openedAt must be a valid date' });
+  }
+
+  if (statementCloseDay != null &&
+      (!Number.isInteger(Number(statementCloseDay)) || statementCloseDay < 1 || statementCloseDay > 31)) {
+    return res.status(400).json({ success: false, error: 'statementCloseDay must be between 1 and 31' });
+  }
+
+  // Only fields present in the body change; an explicit null clears one
+  const values = [userId, cardId];
+  const assignments = [];
+  if (openedAt !== undefined) {
+    values.push(openedAt || null);
+    assignments.push(`opened_at = $${values.length}`);
+  }
+  if (statementCloseDay !== undefined) {
+    values.push(statementCloseDay ?? null);
+    assignments.push(`statement_close_day = $${values.length}`);
+  }
+
+  if (assignments.length === 0) {
+    return res.status(400).json({ success: false, error: 'Provide openedAt and/or statementCloseDay' });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE user_cards SET ${assignments.join(', ')}
+       WHERE user_id = $1 AND card_id = $2`,
+      values
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ success: false, error: 'Card not found in user collection' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error updating card account details:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
 // Remove a card from the user's saved collection
 router.delete('/:cardId', verifyToken, async (req, res) => {
   try {
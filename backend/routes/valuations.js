@@ -0,0 +1,67 @@
+const express = require('express');
+const verifyToken = require('../middleware/verifyToken');
+const pointValuationService = require('../services/pointValuationService');
+const { isValidRewardCurrency } = require('../services/rewardCurrencies');
+
+const router = express.Router();
+
+// GET every reward currency with the logged-in user's effective valuation
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const valuations = await pointValuationService.getValuationTable(userId);
+    res.json({ valuations });
+  } catch (error) {
+    console.error('Error fetching point valuations:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Override the cents-per-point value for one currency
+router.put('/:currency', verifyToken, async (req, res) => {
+  const userId = req.user?.id;
+  const { currency } = req.params;
+  const centsPerPoint = Number(req.body.centsPerPoint);
+
+  if (!userId) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  if (!isValidRewardCurrency(currency)) {
+    return res.status(400).json({ success: false, error: `Unknown reward currency: ${currency}` });
+  }
+
+  if (!Number.isFinite(centsPerPoint) || centsPerPoint < 0 || centsPerPoint > 10) {
+    return res.status(400).json({ success: false, error: 'centsPerPoint must be a number between 0 and 10' });
+  }
+
+  try {
+    await pointValuationService.setUserValuation(userId, currency, centsPerPoint);
+    res.json({ success: true, currency, centsPerPoint });
+  } catch (error) {
+    console.error('Error saving point valuation:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Reset a currency back to its default valuation
+router.delete('/:currency', verifyToken, async (req, res) => {
+  const userId = req.user?.id;
+  const { currency } = req.params;
+
+  if (!userId) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    await pointValuationService.clearUserValuation(userId, currency);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error resetting point valuation:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,18 @@ import fs from 'fs';
 import path from 'path';
 import pool = require('../lib/db');
 import { v4 as uuidv4 } from 'uuid';
+const { DEFAULT_REWARD_CURRENCY, isValidRewardCurrency } = require('../services/rewardCurrencies');
+const {
+  DEFAULT_CAP_PERIOD,
+  VALID_CAP_PERIODS,
+  CHOICE_PERIODS,
+  BENEFIT_CADENCES,
+  isValidCapPeriod
+} = require('../services/capPeriods');
+const { MERCHANT_TYPES } = require('../services/categoryMappings');
+const { parseMccRange } = require('../services/mccCodes');
+
+const VALID_MERCHANT_TYPES: string[] = [...new Set<string>(Object.values(MERCHANT_TYPES))];
 
 // Allow dynamic filename (defaults to test file)
 const CARD_DATA_FILE = process.argv[2] || 'Chase_AE_BOFA_C1.json';
@@ -12,19 +24,57 @@ type Reward = {
   multiplier: number;
   reward_type: string;
   cap: number | null;
+  cap_period?: string | null;
+  cap_group?: string | null;
+  eligible_categories?: string[] | null;
+  choice_period?: string | null;
+  excluded_merchants?: string[] | null;
+  excluded_merchant_types?: string[] | null;
+  eligible_countries?: string[] | null;
+  eligible_mccs?: string[] | null;
   portal_only: boolean;
   start_date: string | null;
   end_date: string | null;
   notes: string | null;
 };
 
+type RotatingQuarter = {
+  year: number;
+  quarter: number;
+  categories: string[];
+  activation_deadline?: string | null;
+  notes?: string | null;
+};
+
+type Benefit = {
+  name: string;
+  amount: number;
+  cadence: string;
+  eligible_merchants?: string[] | null;
+  eligible_categories?: string[] | null;
+  enrollment_required?: boolean;
+  notes?: string | null;
+};
+
+// Points are in the card's reward currency; a $200 cash bonus is 20000
+type WelcomeBonus = {
+  points: number;
+  min_spend: number;
+  months: number;
+};
+
 type Card = {
   name: string;
   issuer: string;
   network: string;
   annual_fee: number;
+  foreign_transaction_fee?: number;
   image_url: string;
+  reward_currency?: string;
+  welcome_bonus?: WelcomeBonus | null;
   rewards: Reward[];
+  benefits?: Benefit[];
+  rotating_calendar?: RotatingQuarter[];
 };
 
 const isValidCard = (card: Card) => {
@@ -36,6 +86,11 @@ const isValidCard = (card: Card) => {
   );
 };
 
+const isValidWelcomeBonus = (bonus: WelcomeBonus): boolean => {
+  return [bonus.points, bonus.min_spend, bonus.months].every(value => typeof value === 'number' && value > 0) &&
+    Number.isInteger(bonus.months);
+};
+
 const isValidImageUrl = (url: string | null): boolean => {
   if (!url) return false;
 
@@ -75,7 +130,27 @@ const loadCards = async () => {
     const issuer = card.issuer.trim();
     const network = card.network?.trim() || null;
     const annual_fee = Number(card.annual_fee) || 0;
+    let foreign_transaction_fee = Number(card.foreign_transaction_fee) || 0;
     const image_url = card.image_url?.trim() || null;
+    const reward_currency = card.reward_currency?.trim() || DEFAULT_REWARD_CURRENCY;
+
+    if (!isValidRewardCurrency(reward_currency)) {
+      console.warn(`Skipping card with unknown reward currency: ${name} (${reward_currency})`);
+      skipped++;
+      continue;
+    }
+
+    let welcome_bonus: WelcomeBonus | null = card.welcome_bonus || null;
+    if (welcome_bonus && !isValidWelcomeBonus(welcome_bonus)) {
+      console.warn(`  ⚠️  Ignoring invalid welcome_bonus for ${name}: points, min_spend and months must be positive`);
+      welcome_bonus = null;
+    }
+
+    // Percent of the purchase, e.g. 3 for a 3% foreign transaction fee
+    if (foreign_transaction_fee < 0 || foreign_transaction_fee > 10) {
+      console.warn(`  ⚠️  Ignoring foreign_transaction_fee for ${name}: expected a percentage between 0 and 10`);
+      foreign_transaction_fee = 0;
+    }
 
     // Validate and log image URL type
     if (image_url) {
@@ -104,8 +179,21 @@ const loadCards = async () => {
         cardId = existing.rows[0].id;
 
         await pool.query(
-          `UPDATE cards SET annual_fee = $1, image_url = $2 WHERE id = $3`,
-          [annual_fee, image_url, cardId]
+          `UPDATE cards
+           SET annual_fee = $1, image_url = $2, reward_currency = $3,
+               welcome_bonus_points = $4, welcome_bonus_min_spend = $5, welcome_bonus_months = $6,
+               foreign_transaction_fee = $7
+           WHERE id = $8`,
+          [
+            annual_fee,
+            image_url,
+            reward_currency,
+            welcome_bonus?.points ?? null,
+            welcome_bonus?.min_spend ?? null,
+            welcome_bonus?.months ?? null,
+            foreign_transaction_fee,
+            cardId
+          ]
         );
 
         await pool.query(
@@ -118,10 +206,24 @@ const loadCards = async () => {
       } else {
         // Card doesn't exist — insert new card
         const insertCard = await pool.query(
-          `INSERT INTO cards (id, name, issuer, network, annual_fee, image_url)
-           VALUES ($1, $2, $3, $4, $5, $6)
+          `INSERT INTO cards
+            (id, name, issuer, network, annual_fee, image_url, reward_currency,
+             welcome_bonus_points, welcome_bonus_min_spend, welcome_bonus_months, foreign_transaction_fee)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
            RETURNING id`,
-          [uuidv4(), name, issuer, network, annual_fee, image_url]
+          [
+            uuidv4(),
+            name,
+            issuer,
+            network,
+            annual_fee,
+            image_url,
+            reward_currency,
+            welcome_bonus?.points ?? null,
+            welcome_bonus?.min_spend ?? null,
+            welcome_bonus?.months ?? null,
+            foreign_transaction_fee
+          ]
         );
 
         cardId = insertCard.rows[0].id;
@@ -129,6 +231,18 @@ const loadCards = async () => {
         console.log(`Inserted new card: ${name}`);
       }
 
+      // Rewards sharing a cap group must agree on the cap they share
+      const capGroups = new Map<string, Reward>();
+      for (const reward of card.rewards) {
+        if (!reward.cap_group) continue;
+        const first = capGroups.get(reward.cap_group);
+        if (!first) {
+          capGroups.set(reward.cap_group, reward);
+        } else if (first.cap !== reward.cap || first.cap_period !== reward.cap_period) {
+          console.warn(`  ⚠️  ${name} cap group "${reward.cap_group}" has mismatched cap or cap_period; using each reward's own values`);
+        }
+      }
+
       // Insert rewards
       for (const reward of card.rewards) {
         const {
@@ -136,6 +250,14 @@ const loadCards = async () => {
           multiplier,
           reward_type,
           cap,
+          cap_period,
+          cap_group,
+          eligible_categories,
+          choice_period,
+          excluded_merchants,
+          excluded_merchant_types,
+          eligible_countries,
+          eligible_mccs,
           portal_only,
           start_date,
           end_date,
@@ -148,11 +270,57 @@ const loadCards = async () => {
           continue;
         }
 
+        if (cap_period && !isValidCapPeriod(cap_period)) {
+          console.warn(`Skipping ${category} reward for ${name}: cap_period must be one of ${VALID_CAP_PERIODS.join(', ')}`);
+          continue;
+        }
+
+        // Top-category and choice rewards pick their bonus category from this list
+        const needsEligibleCategories = reward_type === 'top_category' || reward_type === 'choice';
+        if (needsEligibleCategories &&
+            (!Array.isArray(eligible_categories) || eligible_categories.length === 0)) {
+          console.warn(`Skipping ${category} reward for ${name}: ${reward_type} rewards need eligible_categories`);
+          continue;
+        }
+
+        if (reward_type === 'choice' && choice_period && !CHOICE_PERIODS.includes(choice_period)) {
+          console.warn(`Skipping ${category} reward for ${name}: choice_period must be one of ${CHOICE_PERIODS.join(', ')}`);
+          continue;
+        }
+
+        const unknownTypes = (excluded_merchant_types || []).filter(type => !VALID_MERCHANT_TYPES.includes(type));
+        if (unknownTypes.length > 0) {
+          console.warn(`Skipping ${category} reward for ${name}: unknown merchant types ${unknownTypes.join(', ')} (expected ${VALID_MERCHANT_TYPES.join(', ')})`);
+          continue;
+        }
+
+        if ((eligible_countries || []).some(country => !/^[A-Z]{2}$/.test(country))) {
+          console.warn(`Skipping ${category} reward for ${name}: eligible_countries must be two-letter country codes`);
+          continue;
+        }
+
+        if ((eligible_mccs || []).some(range => !parseMccRange(range))) {
+          console.warn(`Skipping ${category} reward for ${name}: eligible_mccs must be 4-digit MCCs or ranges like 5811-5814`);
+          continue;
+        }
+
+        // Rotating rewards only earn in quarters listed in rotating_categories
+        if (reward_type === 'rotating' && !Array.isArray(card.rotating_calendar)) {
+          console.warn(`  ⚠️  ${name} has a rotating reward but no rotating_calendar; it earns nothing until rotating_categories lists the quarter`);
+        }
+
+        let capPeriod = cap_period || null;
+        if (cap != null && !capPeriod) {
+          console.warn(`  ⚠️  ${name} ${category} reward has a cap but no cap_period, defaulting to ${DEFAULT_CAP_PERIOD}`);
+          capPeriod = DEFAULT_CAP_PERIOD;
+        }
+
         await pool.query(
           `INSERT INTO card_rewards
-            (id, card_id, category, multiplier, reward_type, cap, portal_only, start_date, end_date, notes)
+            (id, card_id, category, multiplier, reward_type, cap, cap_period, cap_group, eligible_categories, choice_period,
+             excluded_merchants, excluded_merchant_types, eligible_countries, eligible_mccs, portal_only, start_date, end_date, notes)
            VALUES
-            ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+            ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)`,
           [
             uuidv4(),
             cardId,
@@ -160,6 +328,14 @@ const loadCards = async () => {
             multiplier,
             reward_type?.trim() || 'fixed',
             cap ?? null,
+            cap != null ? capPeriod : null,
+            cap != null ? cap_group?.trim() || null : null,
+            Array.isArray(eligible_categories) ? eligible_categories.map(c => c.trim()) : null,
+            reward_type === 'choice' ? choice_period || 'calendar_month' : null,
+            Array.isArray(excluded_merchants) ? excluded_merchants.map(m => m.trim().toUpperCase()) : null,
+            Array.isArray(excluded_merchant_types) ? excluded_merchant_types : null,
+            Array.isArray(eligible_countries) ? eligible_countries : null,
+            Array.isArray(eligible_mccs) ? eligible_mccs.map(range => range.trim()) : null,
             portal_only || false,
             start_date ? new Date(start_date) : null,
             end_date ? new Date(end_date) : null,
@@ -168,6 +344,92 @@ const loadCards = async () => {
         );
       }
 
+      // Upsert statement credits by name so recorded usage survives a re-import
+      if (Array.isArray(card.benefits)) {
+        const benefitNames: string[] = [];
+
+        for (const benefit of card.benefits) {
+          const { amount, cadence, eligible_merchants, eligible_categories, enrollment_required, notes } = benefit;
+          const benefitName = benefit.name?.trim();
+
+          if (!benefitName || typeof amount !== 'number' || amount <= 0) {
+            console.warn(`Skipping invalid benefit for card: ${name}`);
+            continue;
+          }
+
+          if (!BENEFIT_CADENCES.includes(cadence)) {
+            console.warn(`Skipping ${benefitName} benefit for ${name}: cadence must be one of ${BENEFIT_CADENCES.join(', ')}`);
+            continue;
+          }
+
+          await pool.query(
+            `INSERT INTO card_benefits
+              (id, card_id, name, amount, cadence, eligible_merchants, eligible_categories, enrollment_required, notes)
+             VALUES
+              ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+             ON CONFLICT (card_id, name) DO UPDATE SET
+              amount = EXCLUDED.amount,
+              cadence = EXCLUDED.cadence,
+              eligible_merchants = EXCLUDED.eligible_merchants,
+              eligible_categories = EXCLUDED.eligible_categories,
+              enrollment_required = EXCLUDED.enrollment_required,
+              notes = EXCLUDED.notes`,
+            [
+              uuidv4(),
+              cardId,
+              benefitName,
+              amount,
+              cadence,
+              Array.isArray(eligible_merchants) ? eligible_merchants.map(m => m.trim()) : null,
+              Array.isArray(eligible_categories) ? eligible_categories.map(c => c.trim()) : null,
+              enrollment_required || false,
+              notes?.trim() || null,
+            ]
+          );
+          benefitNames.push(benefitName);
+        }
+
+        await pool.query(
+          `DELETE FROM card_benefits WHERE card_id = $1 AND NOT (name = ANY($2))`,
+          [cardId, benefitNames]
+        );
+      }
+
+      // Replace the rotating-category calendar when the file provides one
+      if (Array.isArray(card.rotating_calendar)) {
+        await pool.query(
+          `DELETE FROM rotating_categories WHERE card_id = $1`,
+          [cardId]
+        );
+
+        for (const entry of card.rotating_calendar) {
+          const { year, quarter, categories, activation_deadline, notes } = entry;
+
+          if (!Number.isInteger(year) || ![1, 2, 3, 4].includes(quarter) || !Array.isArray(categories)) {
+            console.warn(`Skipping invalid rotating calendar entry for card: ${name}`);
+            continue;
+          }
+
+          for (const category of categories) {
+            await pool.query(
+              `INSERT INTO rotating_categories
+                (id, card_id, year, quarter, category, activation_deadline, notes)
+               VALUES
+                ($1, $2, $3, $4, $5, $6, $7)`,
+              [
+                uuidv4(),
+                cardId,
+                year,
+                quarter,
+                category.trim(),
+                activation_deadline ? new Date(activation_deadline) : null,
+                notes?.trim() || null,
+              ]
+            );
+          }
+        }
+      }
+
       await pool.query('COMMIT');
     } catch (err) {
       await pool.query('ROLLBACK');
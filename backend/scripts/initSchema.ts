@@ -18,7 +18,12 @@ CREATE TABLE IF NOT EXISTS cards (
   issuer TEXT,
   network TEXT,
   annual_fee INTEGER DEFAULT 0,
-  image_url TEXT
+  image_url TEXT,
+  reward_currency TEXT DEFAULT 'cash',
+  welcome_bonus_points NUMERIC,
+  welcome_bonus_min_spend NUMERIC,
+  welcome_bonus_months INTEGER,
+  foreign_transaction_fee NUMERIC DEFAULT 0
 );
 
 CREATE TABLE IF NOT EXISTS user_cards (
@@ -27,6 +32,9 @@ CREATE TABLE IF NOT EXISTS user_cards (
   card_id UUID NOT NULL REFERENCES cards(id) ON DELETE CASCADE,
   nickname TEXT,
   position INTEGER DEFAULT 0,
+  opened_at DATE,
+  statement_close_day INTEGER CHECK (statement_close_day BETWEEN 1 AND 31),
+  activated_quarters TEXT[] DEFAULT '{}',
   added_at TIMESTAMPTZ DEFAULT now()
 );
 
@@ -37,11 +45,142 @@ CREATE TABLE IF NOT EXISTS card_rewards (
   multiplier NUMERIC NOT NULL,
   reward_type TEXT DEFAULT 'fixed',
   cap NUMERIC,
+  cap_period TEXT CHECK (cap_period IN ('calendar_month', 'calendar_quarter', 'calendar_year', 'cardmember_year', 'statement_cycle')),
+  cap_group TEXT,
+  eligible_categories TEXT[],
+  choice_period TEXT CHECK (choice_period IN ('calendar_month', 'calendar_quarter', 'calendar_year')),
+  excluded_merchants TEXT[],
+  excluded_merchant_types TEXT[],
+  eligible_countries TEXT[],
+  eligible_mccs TEXT[],
   portal_only BOOLEAN DEFAULT false,
   start_date DATE,
   end_date DATE,
   notes TEXT
 );
+
+CREATE TABLE IF NOT EXISTS card_benefits (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  card_id UUID NOT NULL REFERENCES cards(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  amount NUMERIC NOT NULL,
+  cadence TEXT NOT NULL CHECK (cadence IN ('calendar_month', 'calendar_quarter', 'calendar_half', 'calendar_year', 'cardmember_year')),
+  eligible_merchants TEXT[],
+  eligible_categories TEXT[],
+  enrollment_required BOOLEAN DEFAULT false,
+  notes TEXT,
+  UNIQUE (card_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS user_benefit_usage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_card_id UUID NOT NULL REFERENCES user_cards(id) ON DELETE CASCADE,
+  benefit_id UUID NOT NULL REFERENCES card_benefits(id) ON DELETE CASCADE,
+  period_start DATE NOT NULL,
+  amount_used NUMERIC NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE (user_card_id, benefit_id, period_start)
+);
+
+CREATE TABLE IF NOT EXISTS rotating_categories (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  card_id UUID NOT NULL REFERENCES cards(id) ON DELETE CASCADE,
+  year INTEGER NOT NULL,
+  quarter INTEGER NOT NULL CHECK (quarter BETWEEN 1 AND 4),
+  category TEXT NOT NULL,
+  activation_deadline DATE,
+  notes TEXT,
+  UNIQUE (card_id, year, quarter, category)
+);
+
+CREATE TABLE IF NOT EXISTS user_choice_categories (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_card_id UUID NOT NULL REFERENCES user_cards(id) ON DELETE CASCADE,
+  category TEXT NOT NULL,
+  effective_from DATE NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS user_spending (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  card_id UUID NOT NULL REFERENCES cards(id) ON DELETE CASCADE,
+  category TEXT NOT NULL,
+  amount NUMERIC NOT NULL,
+  date DATE NOT NULL,
+  mcc TEXT,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS user_point_valuations (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  currency TEXT NOT NULL,
+  cents_per_point NUMERIC NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  PRIMARY KEY (user_id, currency)
+);
+
+CREATE TABLE IF NOT EXISTS user_preferences (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  portal_booking TEXT NOT NULL DEFAULT 'always' CHECK (portal_booking IN ('always', 'sometimes', 'never')),
+  activation TEXT NOT NULL DEFAULT 'always' CHECK (activation IN ('always', 'sometimes', 'never')),
+  capped_categories TEXT NOT NULL DEFAULT 'always' CHECK (capped_categories IN ('always', 'sometimes', 'never')),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS user_relationship_tiers (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  program TEXT NOT NULL,
+  tier TEXT NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  PRIMARY KEY (user_id, program)
+);
+
+CREATE TABLE IF NOT EXISTS user_category_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  pattern TEXT NOT NULL,
+  match_type TEXT NOT NULL DEFAULT 'contains' CHECK (match_type IN ('contains', 'exact')),
+  category TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS categorization_feedback (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  description TEXT NOT NULL,
+  original_category TEXT NOT NULL,
+  original_source TEXT,
+  original_confidence NUMERIC,
+  corrected_category TEXT NOT NULL,
+  trained_into TEXT CHECK (trained_into IN ('pinecone', 'embeddings')),
+  vector_id TEXT,
+  trained_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- Upgrade columns for databases created before they existed
+ALTER TABLE cards ADD COLUMN IF NOT EXISTS reward_currency TEXT DEFAULT 'cash';
+ALTER TABLE cards ADD COLUMN IF NOT EXISTS welcome_bonus_points NUMERIC;
+ALTER TABLE cards ADD COLUMN IF NOT EXISTS welcome_bonus_min_spend NUMERIC;
+ALTER TABLE cards ADD COLUMN IF NOT EXISTS welcome_bonus_months INTEGER;
+ALTER TABLE cards ADD COLUMN IF NOT EXISTS foreign_transaction_fee NUMERIC DEFAULT 0;
+ALTER TABLE card_rewards ADD COLUMN IF NOT EXISTS cap_period TEXT
+  CHECK (cap_period IN ('calendar_month', 'calendar_quarter', 'calendar_year', 'cardmember_year', 'statement_cycle'));
+ALTER TABLE card_rewards ADD COLUMN IF NOT EXISTS cap_group TEXT;
+ALTER TABLE card_rewards ADD COLUMN IF NOT EXISTS eligible_categories TEXT[];
+ALTER TABLE card_rewards ADD COLUMN IF NOT EXISTS choice_period TEXT
+  CHECK (choice_period IN ('calendar_month', 'calendar_quarter', 'calendar_year'));
+ALTER TABLE card_rewards ADD COLUMN IF NOT EXISTS excluded_merchants TEXT[];
+ALTER TABLE card_rewards ADD COLUMN IF NOT EXISTS excluded_merchant_types TEXT[];
+ALTER TABLE card_rewards ADD COLUMN IF NOT EXISTS eligible_countries TEXT[];
+ALTER TABLE card_rewards ADD COLUMN IF NOT EXISTS eligible_mccs TEXT[];
+ALTER TABLE user_cards ADD COLUMN IF NOT EXISTS opened_at DATE;
+ALTER TABLE user_cards ADD COLUMN IF NOT EXISTS statement_close_day INTEGER
+  CHECK (statement_close_day BETWEEN 1 AND 31);
+ALTER TABLE user_cards ADD COLUMN IF NOT EXISTS activated_quarters TEXT[] DEFAULT '{}';
+ALTER TABLE user_spending ADD COLUMN IF NOT EXISTS mcc TEXT;
 `;
 
 (async () => {
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+// Print keywords that users keep correcting to the same category, for review before
+// adding them to CATEGORY_KEYWORDS in services/categoryMappings.js
+require('dotenv').config();
+
+const pool = require('../lib/db');
+const categoryFeedbackService = require('../services/categoryFeedbackService');
+const { DEFAULT_MIN_CORRECTIONS, DEFAULT_MIN_USERS } = require('../services/keywordProposals');
+
+async function printKeywordProposals(options) {
+  const proposals = await categoryFeedbackService.getKeywordProposals(options);
+
+  if (proposals.length === 0) {
+    console.log('No keyword proposals yet.');
+    return;
+  }
+
+  console.log(`📝 ${proposals.length} proposed keyword additions\n`);
+  for (const proposal of proposals) {
+    const move = proposal.currentCategories.length > 0
+      ? ` (currently under ${proposal.currentCategories.join(', ')})`
+      : '';
+    console.log(`'${proposal.keyword}' → ${proposal.category}${move}`);
+    console.log(`   ${proposal.corrections} corrections from ${proposal.users} users, e.g. "${proposal.examples.join('", "')}"`);
+  }
+}
+
+// CLI interface
+if (require.main === module) {
+  // Usage: node scripts/keywordProposals.js [minCorrections] [minUsers]
+  const args = process.argv.slice(2);
+  const options = {
+    minCorrections: parseInt(args[0], 10) || DEFAULT_MIN_CORRECTIONS,
+    minUsers: parseInt(args[1], 10) || DEFAULT_MIN_USERS
+  };
+
+  printKeywordProposals(options)
+    .catch(error => {
+      console.error('❌ Failed to build keyword proposals:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = { printKeywordProposals };
@@ -0,0 +1,130 @@
+const pool = require('../lib/db');
+const { getPeriodRange } = require('./capPeriods');
+
+const PERIODS_PER_YEAR = {
+  calendar_month: 12,
+  calendar_quarter: 4,
+  calendar_half: 2,
+  calendar_year: 1,
+  cardmember_year: 1
+};
+
+class BenefitService {
+  /**
+   * Face value of a credit over a full year, e.g. $20 a month is $240
+   */
+  static getAnnualValue(benefit) {
+    return (parseFloat(benefit.amount) || 0) * (PERIODS_PER_YEAR[benefit.cadence] || 1);
+  }
+
+  /**
+   * Yearly face value of every credit on a card
+   */
+  static getAnnualCredits(benefits) {
+    const list = typeof benefits === 'string' ? JSON.parse(benefits) : benefits;
+    const total = (list || []).reduce((sum, benefit) => sum + BenefitService.getAnnualValue(benefit), 0);
+    return Math.round(total * 100) / 100;
+  }
+
+  /**
+   * Start and end of the credit period containing `date`. Half-years are benefit-only;
+   * every other cadence shares its math with spending caps.
+   */
+  static getBenefitPeriod(cadence, date, account = {}) {
+    if (cadence === 'calendar_half') {
+      const d = new Date(date);
+      const half = d.getMonth() < 6 ? 0 : 6;
+      return {
+        startDate: new Date(d.getFullYear(), half, 1),
+        endDate: new Date(d.getFullYear(), half + 6, 0)
+      };
+    }
+
+    const { startDate, endDate } = getPeriodRange(cadence, date, account);
+    return { startDate, endDate };
+  }
+
+  /**
+   * Every credit on the user's cards with how much of the current period has been used
+   */
+  async getUserBenefits(userId, date = new Date()) {
+    const benefits = await pool.query(`
+      SELECT cb.*, c.name AS card_name, uc.id AS user_card_id, uc.opened_at
+      FROM user_cards uc
+      INNER JOIN cards c ON uc.card_id = c.id
+      INNER JOIN card_benefits cb ON cb.card_id = c.id
+      WHERE uc.user_id = $1
+      ORDER BY uc.position ASC, cb.amount DESC
+    `, [userId]);
+
+    const usage = await pool.query(`
+      SELECT ubu.user_card_id, ubu.benefit_id, ubu.period_start, ubu.amount_used
+      FROM user_benefit_usage ubu
+      INNER JOIN user_cards uc ON ubu.user_card_id = uc.id
+      WHERE uc.user_id = $1
+    `, [userId]);
+
+    return benefits.rows.map(row => {
+      const { startDate, endDate } = BenefitService.getBenefitPeriod(row.cadence, date, { openedAt: row.opened_at });
+      const record = usage.rows.find(u =>
+        u.user_card_id === row.user_card_id &&
+        u.benefit_id === row.id &&
+        new Date(u.period_start).getTime() === startDate.getTime()
+      );
+      const amount = parseFloat(row.amount);
+      const used = record ? parseFloat(record.amount_used) : 0;
+
+      return {
+        cardId: row.card_id,
+        cardName: row.card_name,
+        benefitId: row.id,
+        name: row.name,
+        amount,
+        cadence: row.cadence,
+        annualValue: BenefitService.getAnnualValue(row),
+        eligibleMerchants: row.eligible_merchants || [],
+        eligibleCategories: row.eligible_categories || [],
+        enrollmentRequired: row.enrollment_required,
+        notes: row.notes,
+        periodStart: startDate,
+        periodEnd: endDate,
+        used,
+        remaining: Math.max(0, Math.round((amount - used) * 100) / 100),
+        fullyUsed: used >= amount
+      };
+    });
+  }
+
+  /**
+   * Record how much of a credit was used in the period containing `date`.
+   * A null amount marks the whole credit as used. Returns null when the user
+   * does not hold the card or the card has no such benefit.
+   */
+  async setUsage(userId, cardId, benefitId, amountUsed = null, date = new Date()) {
+    const result = await pool.query(`
+      SELECT uc.id AS user_card_id, uc.opened_at, cb.amount, cb.cadence
+      FROM user_cards uc
+      INNER JOIN card_benefits cb ON cb.card_id = uc.card_id
+      WHERE uc.user_id = $1 AND uc.card_id = $2 AND cb.id = $3
+    `, [userId, cardId, benefitId]);
+
+    if (result.rows.length === 0) return null;
+
+    const { user_card_id, opened_at, amount, cadence } = result.rows[0];
+    const { startDate, endDate } = BenefitService.getBenefitPeriod(cadence, date, { openedAt: opened_at });
+    const used = amountUsed == null
+      ? parseFloat(amount)
+      : Math.min(Math.max(0, parseFloat(amountUsed)), parseFloat(amount));
+
+    await pool.query(`
+      INSERT INTO user_benefit_usage (user_card_id, benefit_id, period_start, amount_used)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (user_card_id, benefit_id, period_start)
+      DO UPDATE SET amount_used = EXCLUDED.amount_used, updated_at = now()
+    `, [user_card_id, benefitId, startDate, used]);
+
+    return { benefitId, periodStart: startDate, periodEnd: endDate, used };
+  }
+}
+
+module.exports = BenefitService;
\ No newline at end of file
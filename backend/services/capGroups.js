@@ -0,0 +1,56 @@
+// Shared spending caps across several card_rewards rows (card_rewards.cap_group)
+// e.g. BofA Customized Cash caps choice-category and grocery spend together at $2,500 a quarter
+
+const RotatingCategoryService = require('./rotatingCategoryService');
+const ChoiceCategoryService = require('./choiceCategoryService');
+
+/**
+ * Purchase categories a reward actually earns its bonus on at `date`.
+ * `account` is the cardholder context built by RewardCalculator.getAccountDetails.
+ */
+function getRewardSpendCategories(reward, date, account = {}) {
+  switch (reward.reward_type) {
+    case 'rotating':
+      return RotatingCategoryService.getEntriesForDate(account.rotatingCalendar, date)
+        .map(entry => entry.category);
+
+    case 'choice': {
+      // Demo mode has no selections - any option could be the chosen one
+      if (!account.choiceSelections) return reward.eligible_categories || [];
+      const selected = ChoiceCategoryService.getSelectionForDate(account.choiceSelections, date);
+      return selected ? [selected] : [];
+    }
+
+    case 'top_category':
+      return reward.eligible_categories || [];
+
+    default:
+      return [reward.category];
+  }
+}
+
+/**
+ * Every purchase category whose spending counts toward this reward's cap.
+ * Ungrouped rewards count the purchase category itself; pass a null `category`
+ * to use the categories the reward earns on instead (e.g. for utilization reports).
+ */
+function getCapCategories(reward, rewards, category, date, account = {}) {
+  if (!reward.cap_group) {
+    return category ? [category] : getRewardSpendCategories(reward, date, account);
+  }
+
+  const categories = new Set(category ? [category] : []);
+  for (const member of rewards || []) {
+    if (member.cap_group !== reward.cap_group) continue;
+    for (const memberCategory of getRewardSpendCategories(member, date, account)) {
+      categories.add(memberCategory);
+    }
+  }
+
+  return Array.from(categories);
+}
+
+module.exports = {
+  getRewardSpendCategories,
+  getCapCategories
+};
\ No newline at end of file
@@ -0,0 +1,127 @@
+// Structured spending-cap periods for card_rewards.cap_period
+// Cap math must never depend on the wording of reward notes
+
+const CAP_PERIODS = {
+  CALENDAR_MONTH: 'calendar_month',
+  CALENDAR_QUARTER: 'calendar_quarter',
+  CALENDAR_YEAR: 'calendar_year',
+  CARDMEMBER_YEAR: 'cardmember_year',
+  STATEMENT_CYCLE: 'statement_cycle'
+};
+
+const VALID_CAP_PERIODS = Object.values(CAP_PERIODS);
+
+// Applied when a capped reward has no cap_period recorded
+const DEFAULT_CAP_PERIOD = CAP_PERIODS.CALENDAR_YEAR;
+
+// How often a cardholder may change a choice category (card_rewards.choice_period)
+const CHOICE_PERIODS = [CAP_PERIODS.CALENDAR_MONTH, CAP_PERIODS.CALENDAR_QUARTER, CAP_PERIODS.CALENDAR_YEAR];
+
+// How often a statement credit resets (card_benefits.cadence); half-years only exist for credits
+const BENEFIT_CADENCES = [
+  CAP_PERIODS.CALENDAR_MONTH,
+  CAP_PERIODS.CALENDAR_QUARTER,
+  'calendar_half',
+  CAP_PERIODS.CALENDAR_YEAR,
+  CAP_PERIODS.CARDMEMBER_YEAR
+];
+
+/**
+ * Check whether a value is a supported cap period
+ */
+function isValidCapPeriod(period) {
+  return VALID_CAP_PERIODS.includes(period);
+}
+
+/**
+ * Day `day` of the given month, clamped to the month's length (e.g. the 31st in February)
+ */
+function clampedDate(year, month, day) {
+  const lastDay = new Date(year, month + 1, 0).getDate();
+  return new Date(year, month, Math.min(day, lastDay));
+}
+
+/**
+ * Resolve the start and end dates of the cap period containing `currentDate`.
+ * `account` carries the cardholder-specific anchors: { openedAt, statementCloseDay }.
+ * Periods that need an anchor fall back to their calendar equivalent when it is missing.
+ */
+function getPeriodRange(capPeriod, currentDate, account = {}) {
+  const date = new Date(currentDate);
+  const period = isValidCapPeriod(capPeriod) ? capPeriod : DEFAULT_CAP_PERIOD;
+
+  switch (period) {
+    case CAP_PERIODS.CALENDAR_MONTH:
+      return {
+        period,
+        startDate: new Date(date.getFullYear(), date.getMonth(), 1),
+        endDate: new Date(date.getFullYear(), date.getMonth() + 1, 0)
+      };
+
+    case CAP_PERIODS.CALENDAR_QUARTER: {
+      const quarter = Math.floor(date.getMonth() / 3);
+      return {
+        period,
+        startDate: new Date(date.getFullYear(), quarter * 3, 1),
+        endDate: new Date(date.getFullYear(), quarter * 3 + 3, 0)
+      };
+    }
+
+    case CAP_PERIODS.CARDMEMBER_YEAR: {
+      if (!account.openedAt) {
+        return getPeriodRange(CAP_PERIODS.CALENDAR_YEAR, date);
+      }
+
+      const opened = new Date(account.openedAt);
+      let start = clampedDate(date.getFullYear(), opened.getMonth(), opened.getDate());
+      if (start > date) {
+        start = clampedDate(date.getFullYear() - 1, opened.getMonth(), opened.getDate());
+      }
+      const nextAnniversary = clampedDate(start.getFullYear() + 1, opened.getMonth(), opened.getDate());
+
+      return {
+        period,
+        startDate: start,
+        endDate: new Date(nextAnniversary.getFullYear(), nextAnniversary.getMonth(), nextAnniversary.getDate() - 1)
+      };
+    }
+
+    case CAP_PERIODS.STATEMENT_CYCLE: {
+      const closeDay = parseInt(account.statementCloseDay, 10);
+      if (!closeDay || closeDay < 1 || closeDay > 31) {
+        return { ...getPeriodRange(CAP_PERIODS.CALENDAR_MONTH, date), period };
+      }
+
+      // The cycle containing `date` ends on the next statement close on or after it
+      let end = clampedDate(date.getFullYear(), date.getMonth(), closeDay);
+      if (end < new Date(date.getFullYear(), date.getMonth(), date.getDate())) {
+        end = clampedDate(date.getFullYear(), date.getMonth() + 1, closeDay);
+      }
+      const previousClose = clampedDate(end.getFullYear(), end.getMonth() - 1, closeDay);
+
+      return {
+        period,
+        startDate: new Date(previousClose.getFullYear(), previousClose.getMonth(), previousClose.getDate() + 1),
+        endDate: end
+      };
+    }
+
+    case CAP_PERIODS.CALENDAR_YEAR:
+    default:
+      return {
+        period: CAP_PERIODS.CALENDAR_YEAR,
+        startDate: new Date(date.getFullYear(), 0, 1),
+        endDate: new Date(date.getFullYear(), 11, 31)
+      };
+  }
+}
+
+module.exports = {
+  CAP_PERIODS,
+  VALID_CAP_PERIODS,
+  DEFAULT_CAP_PERIOD,
+  CHOICE_PERIODS,
+  BENEFIT_CADENCES,
+  isValidCapPeriod,
+  getPeriodRange
+};
\ No newline at end of file
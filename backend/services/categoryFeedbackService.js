@@ -0,0 +1,65 @@
+const pool = require('../lib/db');
+const { proposeKeywords } = require('./keywordProposals');
+
+// Most recent corrections read when building keyword proposals
+const PROPOSAL_SAMPLE_SIZE = 5000;
+
+class CategoryFeedbackService {
+  /**
+   * Store a user's correction along with the result they were correcting
+   */
+  async recordCorrection(userId, { description, originalCategory, originalSource, originalConfidence, correctedCategory }) {
+    const result = await pool.query(
+      `INSERT INTO categorization_feedback
+         (user_id, description, original_category, original_source, original_confidence, corrected_category)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, created_at`,
+      [userId, description, originalCategory, originalSource || null, originalConfidence ?? null, correctedCategory]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Record where a correction was fed for training ('pinecone' or 'embeddings')
+   */
+  async markTrained(feedbackId, trainedInto, vectorId = null) {
+    await pool.query(
+      `UPDATE categorization_feedback
+       SET trained_into = $2, vector_id = $3, trained_at = NOW()
+       WHERE id = $1`,
+      [feedbackId, trainedInto, vectorId]
+    );
+  }
+
+  /**
+   * The most recent corrections, newest first
+   */
+  async getRecentCorrections(limit = PROPOSAL_SAMPLE_SIZE) {
+    const result = await pool.query(
+      `SELECT user_id, description, original_category, corrected_category, created_at
+       FROM categorization_feedback
+       ORDER BY created_at DESC
+       LIMIT $1`,
+      [limit]
+    );
+
+    return result.rows.map(row => ({
+      userId: row.user_id,
+      description: row.description,
+      originalCategory: row.original_category,
+      correctedCategory: row.corrected_category,
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Keywords that keep getting corrected to the same category, for review before
+   * they are added to CATEGORY_KEYWORDS
+   */
+  async getKeywordProposals(options = {}) {
+    return proposeKeywords(await this.getRecentCorrections(), options);
+  }
+}
+
+module.exports = new CategoryFeedbackService();
\ No newline at end of file
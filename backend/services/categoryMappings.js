@@ -242,6 +242,14 @@ const MERCHANT_PATTERNS = {
   'PARKING': 'Transit'
 };
 
+// Merchant types that reward exclusions refer to (card_rewards.excluded_merchant_types)
+const MERCHANT_TYPES = {
+  'COSTCO': 'warehouse_club',
+  'SAM\'S CLUB': 'warehouse_club',
+  'WALMART': 'superstore',
+  'TARGET': 'superstore'
+};
+
 // Category priorities for conflicting matches
 const CATEGORY_PRIORITY = {
   'Travel': 10,
@@ -259,5 +267,6 @@ const CATEGORY_PRIORITY = {
 module.exports = {
   CATEGORY_KEYWORDS,
   MERCHANT_PATTERNS,
+  MERCHANT_TYPES,
   CATEGORY_PRIORITY
 };
\ No newline at end of file
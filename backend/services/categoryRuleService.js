@@ -0,0 +1,127 @@
+const pool = require('../lib/db');
+const { getRuleError } = require('./categoryRules');
+
+class CategoryRuleService {
+  constructor() {
+    this.cache = new Map(); // userId -> { value: rules, timestamp }
+    this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
+  }
+
+  /**
+   * Get a user's categorization rules, oldest first
+   */
+  async getRules(userId) {
+    if (!userId) {
+      return [];
+    }
+
+    if (this.cache.has(userId)) {
+      const cached = this.cache.get(userId);
+      if (Date.now() - cached.timestamp < this.cacheExpiry) {
+        return cached.value;
+      }
+    }
+
+    try {
+      const result = await pool.query(
+        `SELECT id, pattern, match_type, category, created_at
+         FROM user_category_rules
+         WHERE user_id = $1
+         ORDER BY created_at`,
+        [userId]
+      );
+
+      const rules = result.rows.map(row => this.toRule(row));
+      this.cache.set(userId, { value: rules, timestamp: Date.now() });
+      return rules;
+    } catch (error) {
+      console.error('Error getting category rules:', error);
+      return []; // Categorize without overrides
+    }
+  }
+
+  /**
+   * Save a new rule
+   */
+  async createRule(userId, { pattern, matchType = 'contains', category }) {
+    const rule = { pattern, matchType, category };
+    const ruleError = getRuleError(rule);
+    if (ruleError) {
+      throw new Error(ruleError);
+    }
+
+    const result = await pool.query(
+      `INSERT INTO user_category_rules (user_id, pattern, match_type, category)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, pattern, match_type, category, created_at`,
+      [userId, pattern.trim(), matchType, category]
+    );
+
+    this.clearUserCache(userId);
+    return this.toRule(result.rows[0]);
+  }
+
+  /**
+   * Change a rule's pattern, match type or category; fields left out keep their value.
+   * Returns null when the user has no such rule.
+   */
+  async updateRule(userId, ruleId, updates) {
+    const existing = (await this.getRules(userId)).find(rule => rule.id === ruleId);
+    if (!existing) {
+      return null;
+    }
+
+    const rule = {
+      pattern: updates.pattern !== undefined ? updates.pattern : existing.pattern,
+      matchType: updates.matchType !== undefined ? updates.matchType : existing.matchType,
+      category: updates.category !== undefined ? updates.category : existing.category
+    };
+    const ruleError = getRuleError(rule);
+    if (ruleError) {
+      throw new Error(ruleError);
+    }
+
+    const result = await pool.query(
+      `UPDATE user_category_rules
+       SET pattern = $3, match_type = $4, category = $5, updated_at = NOW()
+       WHERE id = $1 AND user_id = $2
+       RETURNING id, pattern, match_type, category, created_at`,
+      [ruleId, userId, rule.pattern.trim(), rule.matchType, rule.category]
+    );
+
+    this.clearUserCache(userId);
+    return result.rows[0] ? this.toRule(result.rows[0]) : null;
+  }
+
+  /**
+   * Delete a rule. Returns whether the user had it.
+   */
+  async deleteRule(userId, ruleId) {
+    const result = await pool.query(
+      `DELETE FROM user_category_rules WHERE id = $1 AND user_id = $2`,
+      [ruleId, userId]
+    );
+
+    this.clearUserCache(userId);
+    return result.rowCount > 0;
+  }
+
+  toRule(row) {
+    return {
+      id: row.id,
+      pattern: row.pattern,
+      matchType: row.match_type,
+      category: row.category,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Clear cached rules for a specific user
+   */
+  clearUserCache(userId) {
+    this.cache.delete(userId);
+  }
+}
+
+module.exports = new CategoryRuleService();
\ No newline at end of file
@@ -0,0 +1,83 @@
+// Per-user categorization overrides: "descriptions matching X are category Y"
+// Rules are stored in user_category_rules and checked before any other categorization method
+
+const { CATEGORY_PRIORITY } = require('./categoryMappings');
+
+// Categories a rule may assign: everything the categorizer can return
+const RULE_CATEGORIES = [...Object.keys(CATEGORY_PRIORITY), 'Other'];
+
+// contains - the pattern appears anywhere in the description
+// exact - the whole description equals the pattern
+const MATCH_TYPES = ['contains', 'exact'];
+
+/**
+ * Lowercase and collapse whitespace so "TARGET  #1234" and "target #1234" compare equal
+ */
+function normalizeText(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Why a rule is invalid, or null when it can be saved
+ */
+function getRuleError({ pattern, matchType, category }) {
+  if (typeof pattern !== 'string' || !pattern.trim()) {
+    return 'pattern must be a non-empty string';
+  }
+  if (!MATCH_TYPES.includes(matchType)) {
+    return `matchType must be one of: ${MATCH_TYPES.join(', ')}`;
+  }
+  if (!RULE_CATEGORIES.includes(category)) {
+    return `category must be one of: ${RULE_CATEGORIES.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Whether a rule covers the description
+ */
+function ruleMatches(rule, description) {
+  const text = normalizeText(description);
+  const pattern = normalizeText(rule.pattern);
+  return rule.matchType === 'exact' ? text === pattern : text.includes(pattern);
+}
+
+/**
+ * The most specific rule covering the description, or null. Exact rules win over
+ * contains rules, and among contains rules the longest pattern wins.
+ */
+function findMatchingRule(rules, description) {
+  const specificity = rule => (rule.matchType === 'exact' ? Infinity : normalizeText(rule.pattern).length);
+
+  let best = null;
+  for (const rule of rules) {
+    if (ruleMatches(rule, description) && (!best || specificity(rule) > specificity(best))) {
+      best = rule;
+    }
+  }
+  return best;
+}
+
+/**
+ * Categorization result for a matched rule, shaped like the other sources
+ */
+function toCategoryResult(rule) {
+  const verb = rule.matchType === 'exact' ? 'matching' : 'containing';
+  return {
+    category: rule.category,
+    confidence: 1.0,
+    source: 'user_rule',
+    reasoning: `Your rule: descriptions ${verb} "${rule.pattern}" are ${rule.category}`,
+    ruleId: rule.id
+  };
+}
+
+module.exports = {
+  RULE_CATEGORIES,
+  MATCH_TYPES,
+  normalizeText,
+  getRuleError,
+  ruleMatches,
+  findMatchingRule,
+  toCategoryResult
+};
\ No newline at end of file
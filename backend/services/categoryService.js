@@ -4,13 +4,29 @@ const {
   CATEGORY_PRIORITY 
 } = require('./categoryMappings');
 
+const { findMatchingRule, toCategoryResult } = require('./categoryRules');
+const { categorizeMcc } = require('./mccCodes');
+const { normalizeDescriptor } = require('./descriptorNormalizer');
+const categoryRuleService = require('./categoryRuleService');
+const categoryFeedbackService = require('./categoryFeedbackService');
+const LocalClassifier = require('./localClassifier');
 const PineconeSemanticService = require('./pineconeSemanticService');
+const SemanticEmbeddingService = require('./semanticEmbeddingService');
 
 class CategoryService {
   constructor() {
     this.cache = new Map(); // In-memory cache for frequent descriptions
     this.semanticService = new PineconeSemanticService();
+    this.embeddingService = new SemanticEmbeddingService(); // Batch fallback for low-confidence lists
     this.useSemanticEmbeddings = !!process.env.PINECONE_API_KEY; // Only need Pinecone for hosted embeddings
+
+    // Offline model trained from the keyword tables and both semantic services' example phrases;
+    // stored user corrections are added the first time it is used
+    this.localClassifier = new LocalClassifier();
+    this.localClassifier.trainFromMappings();
+    this.localClassifier.trainFromPhrases(this.embeddingService.categoryExamples);
+    this.localClassifier.trainFromPhrases(this.semanticService.categoryTrainingData);
+    this.localFeedbackLoad = null;
     
     // Initialize semantic service if available
     if (this.useSemanticEmbeddings) {
@@ -24,9 +40,13 @@ class CategoryService {
   /**
    * Main categorization method - tries multiple approaches
    * @param {string} description - The purchase description to categorize
-   * @param {string} detectionMethod - Optional specific method to use ('keyword', 'semantic', 'openai')
+   * @param {string} detectionMethod - Optional specific method to use ('keyword', 'semantic', 'openai', 'local')
+   * @param {string} userId - Optional user whose override rules are checked before any method,
+   *   including a specific detectionMethod
+   * @param {string} mcc - Optional merchant category code; a listed one decides the category
+   *   right after the user's rules, ahead of the cache and every text method
    */
-  async categorize(description, detectionMethod = null) {
+  async categorize(description, detectionMethod = null, userId = null, mcc = null) {
     const startTime = Date.now();
     console.log(`[CATEGORIZATION] Starting categorization for: "${description}"${detectionMethod ? ` with method: ${detectionMethod}` : ''}`);
 
@@ -35,6 +55,26 @@ class CategoryService {
       return { category: 'Other', confidence: 0.1, source: 'invalid' };
     }
 
+    // The user's own rules beat every method, even a requested one; they are per user, so never cached here
+    const ruleResult = await this.matchUserRule(description, userId);
+    if (ruleResult) {
+      console.log(`[CATEGORIZATION] User rule: ${ruleResult.category} - Duration: ${Date.now() - startTime}ms`);
+      return ruleResult;
+    }
+
+    // Statement lines ("SQ *BLUE BOTTLE 8734 SAN FRANCISCO CA") are cut down to the merchant
+    // name, so the cache key and every method below see "BLUE BOTTLE"
+    description = this.cleanDescription(description);
+
+    if (!detectionMethod) {
+      // Issuers go by the MCC; it belongs to this transaction, not the text, so it isn't cached
+      const mccResult = categorizeMcc(mcc);
+      if (mccResult) {
+        console.log(`[CATEGORIZATION] MCC ${mccResult.mcc}: ${mccResult.category} - Duration: ${Date.now() - startTime}ms`);
+        return mccResult;
+      }
+    }
+
     // Skip cache if specific detection method is requested
     const cacheKey = description.toLowerCase().trim();
     if (!detectionMethod && this.cache.has(cacheKey)) {
@@ -138,12 +178,162 @@ class CategoryService {
       console.log(`[CATEGORIZATION] Keyword confidence acceptable (${result.confidence}), skipping other methods`);
     }
 
-    // 4. Return keyword result as final fallback
+    // 4. Local model: needs no network, so it still helps when the services above are
+    // unavailable, failed or weren't more confident
+    const localResult = await this.classifyLocally(description);
+    console.log(`[CATEGORIZATION] Local model result: ${localResult.category} (${localResult.confidence})`);
+    if (localResult.confidence > result.confidence) {
+      console.log(`[CATEGORIZATION] Using local model result (higher confidence) - Total duration: ${Date.now() - startTime}ms`);
+      this.cacheResult(cacheKey, localResult);
+      return localResult;
+    }
+
+    // 5. Return keyword result as final fallback
     console.log(`[CATEGORIZATION] Final result: ${result.category} (${result.confidence}) from ${result.source} - Total duration: ${Date.now() - startTime}ms`);
     this.cacheResult(cacheKey, result);
     return result;
   }
 
+  /**
+   * Categorize a list of descriptions together. Descriptions are reduced to their merchant
+   * names (normalizeDescriptor) and duplicates are categorized once,
+   * keyword matches and cache hits resolve immediately, and the low-confidence
+   * remainder goes through SemanticEmbeddingService.batchCategorize in one pass
+   * (or the normal per-description chain when embeddings are not configured).
+   * Results come back in the order of `descriptions`.
+   * @param {string[]} descriptions - Purchase descriptions to categorize
+   * @param {string} detectionMethod - Optional specific method applied to every description
+   * @param {string} userId - Optional user whose override rules are checked first, whatever the method
+   * @param {string[]} mccs - Optional merchant category codes, parallel to `descriptions`; a line
+   *   with a listed MCC that no user rule claims takes its category from the MCC
+   */
+  async categorizeBatch(descriptions, detectionMethod = null, userId = null, mccs = []) {
+    const startTime = Date.now();
+    const keys = descriptions.map(d => this.cleanDescription(d).toLowerCase().trim());
+    const resolved = new Map();
+
+    // The user's rules come first whatever the method; lines they don't claim that have a
+    // listed MCC skip text categorization
+    const settled = [];
+    for (const [index, key] of keys.entries()) {
+      settled[index] = (await this.matchUserRule(descriptions[index], userId)) ||
+        (detectionMethod ? null : categorizeMcc(mccs[index]));
+    }
+    const unique = [...new Set(keys.filter((key, index) => !settled[index]))];
+
+    console.log(`[CATEGORIZATION] Batch of ${descriptions.length} descriptions (${unique.length} unique)${detectionMethod ? ` with method: ${detectionMethod}` : ''}`);
+
+    if (detectionMethod) {
+      for (const key of unique) {
+        resolved.set(key, await this.categorize(key, detectionMethod));
+      }
+    } else {
+      const pending = [];
+      for (const key of unique) {
+        if (this.cache.has(key)) {
+          resolved.set(key, { ...this.cache.get(key), source: 'cache' });
+          continue;
+        }
+
+        const keywordResult = this.enhancedKeywordMatch(key);
+        resolved.set(key, keywordResult);
+        if (keywordResult.confidence >= 0.8) {
+          this.cacheResult(key, keywordResult);
+        } else {
+          pending.push(key);
+        }
+      }
+
+      if (pending.length > 0 && process.env.OPENAI_API_KEY) {
+        const semanticResults = await this.embeddingService.batchCategorize(pending);
+        for (const result of semanticResults) {
+          const key = result.description;
+          if (result.success && result.confidence > resolved.get(key).confidence) {
+            resolved.set(key, {
+              category: result.category,
+              confidence: result.confidence,
+              source: result.source,
+              reasoning: result.reasoning
+            });
+          }
+          this.cacheResult(key, resolved.get(key));
+        }
+      } else {
+        for (const key of pending) {
+          resolved.set(key, await this.categorize(key, null, userId));
+        }
+      }
+    }
+
+    console.log(`[CATEGORIZATION] Batch complete - Duration: ${Date.now() - startTime}ms`);
+    return keys.map((key, index) => settled[index] || resolved.get(key));
+  }
+
+  /**
+   * Feed a corrected description into whichever semantic layer is configured: the Pinecone
+   * index when it is in use, otherwise the OpenAI embedding example set. The local model
+   * always learns it too (and relearns stored corrections after a restart). The cached result
+   * for the description is dropped so the next lookup sees the new example.
+   * Returns { trainedInto: 'pinecone' | 'embeddings' | null, vectorId }.
+   */
+  async learnFromCorrection(description, category) {
+    description = this.cleanDescription(description);
+    this.cache.delete(description.toLowerCase().trim());
+    this.localClassifier.addFeedback(description, category);
+
+    if (this.useSemanticEmbeddings) {
+      const vectorId = await this.semanticService.addTrainingExample(category, description);
+      return { trainedInto: 'pinecone', vectorId };
+    }
+
+    if (process.env.OPENAI_API_KEY) {
+      await this.embeddingService.addExample(category, description);
+      return { trainedInto: 'embeddings', vectorId: null };
+    }
+
+    return { trainedInto: null, vectorId: null };
+  }
+
+  /**
+   * The merchant name from a bank statement descriptor, or the description as typed
+   */
+  cleanDescription(description) {
+    return normalizeDescriptor(description).merchantName;
+  }
+
+  /**
+   * Result from the user's most specific matching override rule, or null. Rules are tried on
+   * the description as given, then on its merchant name, so "APPLE.COM/BILL" and "APPLE.COM"
+   * can both be matched exactly.
+   */
+  async matchUserRule(description, userId) {
+    if (!userId) {
+      return null;
+    }
+
+    const rules = await categoryRuleService.getRules(userId);
+    const rule = findMatchingRule(rules, description) || findMatchingRule(rules, this.cleanDescription(description));
+    return rule ? toCategoryResult(rule) : null;
+  }
+
+  /**
+   * Categorize with the in-process model, after teaching it the stored user corrections once
+   */
+  async classifyLocally(description) {
+    if (!this.localFeedbackLoad) {
+      this.localFeedbackLoad = categoryFeedbackService.getRecentCorrections()
+        .then(corrections => {
+          for (const correction of corrections) {
+            this.localClassifier.addFeedback(this.cleanDescription(correction.description), correction.correctedCategory);
+          }
+        })
+        .catch(error => console.warn('Local model trained without user feedback:', error.message));
+    }
+
+    await this.localFeedbackLoad;
+    return this.localClassifier.classify(description);
+  }
+
   /**
    * Categorize using a specific detection method (bypasses cache and normal flow)
    */
@@ -187,6 +377,11 @@ class CategoryService {
         }
         break;
 
+      case 'local':
+        console.log(`[CATEGORIZATION] Using local model only`);
+        result = await this.classifyLocally(description);
+        break;
+
       default:
         console.log(`[CATEGORIZATION] Unknown detection method: ${detectionMethod}, falling back to keyword`);
         result = this.enhancedKeywordMatch(description);
@@ -209,30 +404,21 @@ class CategoryService {
     const allMatches = {};
 
     // Check merchant patterns - but don't return immediately, score them
-    for (const [pattern, category] of Object.entries(MERCHANT_PATTERNS)) {
+    const merchantMatches = this.matchMerchants(cleanDesc);
+    for (const pattern of merchantMatches) {
+      const category = MERCHANT_PATTERNS[pattern];
       const lowerPattern = pattern.toLowerCase();
 
-      if (cleanDesc.includes(lowerPattern)) {
-        // Special handling for ambiguous terms
-        if (lowerPattern === 'subway') {
-          // If it mentions fare, it's transit; otherwise it's the restaurant
-          if (cleanDesc.includes('fare') || cleanDesc.includes('card') ||
-              cleanDesc.includes('metro') || cleanDesc.includes('transit')) {
-            continue; // Skip this merchant match, let keyword matching handle it
-          }
-        }
-
-        // Add merchant match to scoring instead of returning immediately
-        if (!allMatches[category]) {
-          allMatches[category] = { score: 0, matches: [], sources: [] };
-        }
-
-        // Merchant patterns get high base score but consider context
-        const contextScore = this.calculateContextScore(cleanDesc, lowerPattern, category);
-        allMatches[category].score += 3.0 * contextScore; // High base score but modulated by context
-        allMatches[category].matches.push(pattern);
-        allMatches[category].sources.push('merchant');
+      // Add merchant match to scoring instead of returning immediately
+      if (!allMatches[category]) {
+        allMatches[category] = { score: 0, matches: [], sources: [] };
       }
+
+      // Merchant patterns get high base score but consider context
+      const contextScore = this.calculateContextScore(cleanDesc, lowerPattern, category);
+      allMatches[category].score += 3.0 * contextScore; // High base score but modulated by context
+      allMatches[category].matches.push(pattern);
+      allMatches[category].sources.push('merchant');
     }
 
     // 2. Keyword scoring with weights
@@ -347,10 +533,33 @@ class CategoryService {
       category: bestCategory,
       confidence: Math.round(confidence * 100) / 100,
       source: primarySource,
-      reasoning: `Matched ${primarySource === 'merchant' ? 'merchant/keywords' : 'keywords'}: ${displayMatches}`
+      reasoning: `Matched ${primarySource === 'merchant' ? 'merchant/keywords' : 'keywords'}: ${displayMatches}`,
+      merchant: merchantMatches.find(pattern => MERCHANT_PATTERNS[pattern] === bestCategory) || merchantMatches[0] || null
     };
   }
 
+  /**
+   * MERCHANT_PATTERNS keys found in a description, in pattern order
+   */
+  matchMerchants(description) {
+    const cleanDesc = description.toLowerCase().trim();
+
+    return Object.keys(MERCHANT_PATTERNS).filter(pattern => {
+      const lowerPattern = pattern.toLowerCase();
+      if (!cleanDesc.includes(lowerPattern)) return false;
+
+      // Special handling for ambiguous terms
+      if (lowerPattern === 'subway') {
+        // If it mentions fare, it's transit; otherwise it's the restaurant
+        // (skip the merchant match and let keyword matching handle it)
+        return !(cleanDesc.includes('fare') || cleanDesc.includes('card') ||
+                 cleanDesc.includes('metro') || cleanDesc.includes('transit'));
+      }
+
+      return true;
+    });
+  }
+
   /**
    * Calculate contextual score based on action words and position
    */
@@ -434,7 +643,8 @@ class CategoryService {
     this.cache.set(key, {
       category: result.category,
       confidence: result.confidence,
-      reasoning: result.reasoning
+      reasoning: result.reasoning,
+      merchant: result.merchant || null
     });
   }
 
@@ -0,0 +1,101 @@
+const pool = require('../lib/db');
+const { getPeriodRange } = require('./capPeriods');
+
+class ChoiceCategoryService {
+  /**
+   * Category in effect on `date`: the latest selection made on or before it
+   */
+  static getSelectionForDate(selections, date) {
+    const target = new Date(date);
+    let current = null;
+
+    for (const selection of selections || []) {
+      if (new Date(selection.effective_from) > target) continue;
+      if (!current || new Date(selection.effective_from) >= new Date(current.effective_from)) {
+        current = selection;
+      }
+    }
+
+    return current ? current.category : null;
+  }
+
+  /**
+   * The choice reward on one of the user's cards, with the user_cards row it belongs to
+   */
+  async getChoiceReward(userId, cardId) {
+    const result = await pool.query(`
+      SELECT uc.id AS user_card_id, cr.multiplier, cr.eligible_categories, cr.choice_period
+      FROM user_cards uc
+      INNER JOIN card_rewards cr ON cr.card_id = uc.card_id AND cr.reward_type = 'choice'
+      WHERE uc.user_id = $1 AND uc.card_id = $2
+      ORDER BY cr.multiplier DESC
+      LIMIT 1
+    `, [userId, cardId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Allowed options, the current selection and the full selection history for a card
+   */
+  async getSelections(userId, cardId, date = new Date()) {
+    const choiceReward = await this.getChoiceReward(userId, cardId);
+    if (!choiceReward) return null;
+
+    const history = await pool.query(`
+      SELECT category, effective_from, created_at
+      FROM user_choice_categories
+      WHERE user_card_id = $1
+      ORDER BY effective_from DESC, created_at DESC
+    `, [choiceReward.user_card_id]);
+
+    return {
+      options: choiceReward.eligible_categories || [],
+      choicePeriod: choiceReward.choice_period || 'calendar_month',
+      current: ChoiceCategoryService.getSelectionForDate(history.rows, date),
+      history: history.rows
+    };
+  }
+
+  /**
+   * Why a selection can't be recorded given the selections already made in its choice period,
+   * or null. Issuers allow one change per period, so any earlier pick in the period uses it up.
+   */
+  static getChangeError(periodSelections, category, choicePeriod) {
+    const latest = (periodSelections || [])[0];
+    if (!latest || latest.category === category) return null;
+    return `Choice category was already changed this ${choicePeriod || 'period'}; it can change again next ${choicePeriod || 'period'}`;
+  }
+
+  /**
+   * Record a selection as a new row so the history behind past dates is kept.
+   * Re-picking the current category is a no-op; a different one is rejected once
+   * the period's change has been used.
+   */
+  async setSelection(userCardId, category, choicePeriod, effectiveFrom = new Date()) {
+    const { startDate, endDate } = getPeriodRange(choicePeriod, effectiveFrom);
+
+    const existing = await pool.query(`
+      SELECT category, effective_from, created_at FROM user_choice_categories
+      WHERE user_card_id = $1 AND effective_from >= $2 AND effective_from <= $3
+      ORDER BY effective_from DESC
+    `, [userCardId, startDate, endDate]);
+
+    const changeError = ChoiceCategoryService.getChangeError(existing.rows, category, choicePeriod);
+    if (changeError) {
+      return { success: false, error: changeError };
+    }
+    if (existing.rows.length > 0) {
+      return { success: true, selection: existing.rows[0] };
+    }
+
+    const result = await pool.query(`
+      INSERT INTO user_choice_categories (user_card_id, category, effective_from)
+      VALUES ($1, $2, $3)
+      RETURNING category, effective_from, created_at
+    `, [userCardId, category, effectiveFrom]);
+    return { success: true, selection: result.rows[0] };
+  }
+}
+
+module.exports = ChoiceCategoryService;
\ No newline at end of file
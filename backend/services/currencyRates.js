@@ -0,0 +1,51 @@
+// Local exchange-rate table for purchases made in other currencies
+// Rates are US dollars per unit of the currency; update them here, no external rate service is called
+
+const HOME_CURRENCY = 'USD';
+
+const EXCHANGE_RATES = {
+  USD: 1.0,
+  EUR: 1.08,
+  GBP: 1.27,
+  CAD: 0.73,
+  MXN: 0.055,
+  JPY: 0.0067,
+  AUD: 0.66,
+  CHF: 1.13,
+  CNY: 0.14,
+  INR: 0.012,
+  KRW: 0.00074,
+  SGD: 0.74,
+  HKD: 0.128,
+  NZD: 0.61,
+  SEK: 0.095,
+  NOK: 0.094,
+  DKK: 0.145,
+  THB: 0.028,
+  BRL: 0.18
+};
+
+/**
+ * Check whether a currency has a configured rate
+ */
+function isSupportedCurrency(currency) {
+  return !!currency && Object.prototype.hasOwnProperty.call(EXCHANGE_RATES, currency.toUpperCase());
+}
+
+/**
+ * Convert an amount in `currency` to US dollars, rounded to the cent
+ */
+function convertToHomeCurrency(amount, currency = HOME_CURRENCY) {
+  const rate = EXCHANGE_RATES[(currency || HOME_CURRENCY).toUpperCase()];
+  if (rate == null) {
+    throw new Error(`No exchange rate configured for ${currency}`);
+  }
+  return Math.round(amount * rate * 100) / 100;
+}
+
+module.exports = {
+  HOME_CURRENCY,
+  EXCHANGE_RATES,
+  isSupportedCurrency,
+  convertToHomeCurrency
+};
\ No newline at end of file
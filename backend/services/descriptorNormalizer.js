@@ -0,0 +1,131 @@
+// Bank statement descriptor cleanup: "SQ *BLUE BOTTLE 8734 SAN FRANCISCO CA" becomes the
+// merchant name "BLUE BOTTLE" plus the location { city: 'SAN FRANCISCO', state: 'CA' }
+
+// Payment processors and marketplaces that put their own prefix ahead of the merchant
+const PROCESSOR_PREFIXES = [
+  { pattern: /^SQ\s*\*\s*/i, processor: 'Square' },
+  { pattern: /^TST\s*\*\s*/i, processor: 'Toast' },
+  { pattern: /^(PAYPAL|PP)\s*\*\s*/i, processor: 'PayPal' },
+  { pattern: /^SP\s*\*\s*/i, processor: 'Shopify' },
+  { pattern: /^AMZN\s+MKTP(\s+[A-Z]{2})?\s*\*?\s*/i, processor: 'Amazon Marketplace' }
+];
+
+const US_STATES = new Set([
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA',
+  'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM',
+  'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'PR', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA',
+  'WA', 'WV', 'WI', 'WY'
+]);
+
+// Cities are rarely longer than this; anything before them stays in the merchant name
+const MAX_CITY_WORDS = 3;
+
+const PHONE_PATTERN = /\(?\b\d{3}\)?[-.\s]\d{3}[-.]\d{4}\b/g;
+// Billing links such as "AMZN.COM/BILL" or "HELP.UBER.COM/CONTACT"; the host is kept
+const BILLING_URL_PATTERN = /(\S+\.(?:com|net|org|co))\/\S*/gi;
+// Store numbers ("8734", "#0042") and reference IDs ("2K4AB12C3"). After a processor prefix any
+// number is a store number; otherwise only longer ones are, so "76 GAS" and "hotel for 3 nights"
+// stay whole.
+const PREFIXED_NUMBER_PATTERN = /^#?\d+$/;
+const STORE_NUMBER_PATTERN = /^#?\d{3,}$|^#\d+$/;
+const REFERENCE_ID_PATTERN = /^(?=(?:[^\d]*\d){2})(?=.*[A-Z])[A-Z0-9]{6,}$/i;
+// Bare hosts ("HELP.UBER.COM") are support contacts unless they are all there is ("NETFLIX.COM")
+const HOST_PATTERN = /^[A-Z0-9-]+(\.[A-Z0-9-]+)*\.(COM|NET|ORG|CO)$/i;
+
+function isNoiseToken(token, prefixed = false) {
+  const numberPattern = prefixed ? PREFIXED_NUMBER_PATTERN : STORE_NUMBER_PATTERN;
+  return numberPattern.test(token) || REFERENCE_ID_PATTERN.test(token);
+}
+
+function isSeparatorToken(token, prefixed = false) {
+  return isNoiseToken(token, prefixed) || HOST_PATTERN.test(token);
+}
+
+/**
+ * Statement descriptors are written in capitals; typed descriptions like "lunch in LA" are not,
+ * so only the former lose a trailing state and city
+ */
+function isStatementStyle(text) {
+  return /[A-Z]/.test(text) && text === text.toUpperCase();
+}
+
+/**
+ * Split a trailing "CITY ST" off the tokens. Store numbers, phone numbers, reference IDs and
+ * hosts sit between the merchant and the city, so the last one marks where the city starts.
+ * Without one a city can't be told from the end of the name ("DD DOORDASH BURGERKING CA"),
+ * so only the state comes off. Returns { tokens, location } with the location tokens removed.
+ */
+function extractLocation(tokens, prefixed = false) {
+  const state = tokens[tokens.length - 1];
+  if (tokens.length < 2 || !US_STATES.has(state.toUpperCase())) {
+    return { tokens, location: null };
+  }
+
+  const rest = tokens.slice(0, -1);
+  const lastSeparator = rest.map(token => isSeparatorToken(token, prefixed)).lastIndexOf(true);
+  let cityStart = lastSeparator >= 0 ? Math.max(lastSeparator + 1, rest.length - MAX_CITY_WORDS) : rest.length;
+
+  // Never take the whole merchant name for the city
+  if (!rest.slice(0, cityStart).some(token => !isNoiseToken(token, prefixed))) {
+    cityStart = rest.length;
+  }
+
+  const city = rest.slice(cityStart).join(' ');
+  return {
+    tokens: rest.slice(0, cityStart),
+    location: { city: city || null, state: state.toUpperCase() }
+  };
+}
+
+/**
+ * Clean a bank statement descriptor ahead of categorization.
+ * Returns { merchantName, location: { city, state } | null, processor, changed }, where
+ * merchantName keeps the description's own casing and falls back to a billing host
+ * ("APPLE.COM"), then the processor (e.g. "Amazon Marketplace") when nothing else is left.
+ * It is never a bare state code. Typed descriptions only lose long numbers, phone numbers
+ * and billing link paths.
+ */
+function normalizeDescriptor(description) {
+  const original = String(description || '').replace(/\s+/g, ' ').trim();
+  let text = original;
+  let processor = null;
+
+  const prefix = PROCESSOR_PREFIXES.find(entry => entry.pattern.test(text));
+  if (prefix) {
+    processor = prefix.processor;
+    text = text.replace(prefix.pattern, '');
+  }
+
+  // Phone numbers become one all-digit token, so they still separate the merchant from the state
+  text = text
+    .replace(PHONE_PATTERN, phone => ` ${phone.replace(/\D/g, '')} `)
+    .replace(BILLING_URL_PATTERN, ' $1 ')
+    .replace(/\*/g, ' ');
+  let tokens = text.split(' ').filter(Boolean);
+  let location = null;
+
+  const prefixed = !!processor;
+  if (prefixed || isStatementStyle(text)) {
+    ({ tokens, location } = extractLocation(tokens, prefixed));
+  }
+
+  const words = tokens.filter(token => !isNoiseToken(token, prefixed));
+  const named = words.filter(token => !HOST_PATTERN.test(token));
+  let merchantWords = named.length > 0 ? named : words;
+  if (merchantWords.length === 1 && location && US_STATES.has(merchantWords[0].toUpperCase())) {
+    merchantWords = [];
+  }
+  const merchantName = merchantWords.join(' ') || processor || original;
+  return {
+    merchantName,
+    location,
+    processor,
+    changed: merchantName !== original
+  };
+}
+
+module.exports = {
+  PROCESSOR_PREFIXES,
+  US_STATES,
+  normalizeDescriptor
+};
\ No newline at end of file
@@ -0,0 +1,74 @@
+// Turn repeated categorization corrections into proposed CATEGORY_KEYWORDS additions.
+// Proposals are for a maintainer to review; nothing here edits categoryMappings.js.
+
+const { CATEGORY_KEYWORDS } = require('./categoryMappings');
+const { normalizeDescriptor } = require('./descriptorNormalizer');
+
+// A word must be corrected to the same category this often, by this many people,
+// before it is worth a reviewer's time
+const DEFAULT_MIN_CORRECTIONS = 3;
+const DEFAULT_MIN_USERS = 2;
+
+// Words that say nothing about the category
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'from', 'with', 'at', 'in', 'on', 'of', 'to', 'my', 'our',
+  'purchase', 'payment', 'store', 'shop', 'inc', 'llc', 'com', 'www', 'card', 'pos', 'debit'
+]);
+
+/**
+ * Distinct candidate keywords in a description: lowercase words of 3+ letters that aren't stopwords,
+ * taken from the merchant name so statement cities and processor prefixes don't become proposals
+ */
+function extractCandidates(description) {
+  const words = normalizeDescriptor(description).merchantName.toLowerCase().match(/[a-z][a-z'&]{2,}/g) || [];
+  return [...new Set(words.filter(word => !STOPWORDS.has(word)))];
+}
+
+/**
+ * Categories that already list this keyword
+ */
+function getKeywordCategories(keyword) {
+  return Object.entries(CATEGORY_KEYWORDS)
+    .filter(([, keywords]) => keywords.includes(keyword))
+    .map(([category]) => category);
+}
+
+/**
+ * Proposed { keyword, category, corrections, users, currentCategories, examples } from corrections
+ * ({ userId, description, correctedCategory }), most-corrected first. Keywords the target
+ * category already lists are left out; currentCategories names any other category that
+ * lists it, which the reviewer would move it from.
+ */
+function proposeKeywords(corrections, { minCorrections = DEFAULT_MIN_CORRECTIONS, minUsers = DEFAULT_MIN_USERS } = {}) {
+  const tallies = new Map(); // "keyword|category" -> tally
+
+  for (const correction of corrections) {
+    for (const keyword of extractCandidates(correction.description)) {
+      const key = `${keyword}|${correction.correctedCategory}`;
+      if (!tallies.has(key)) {
+        tallies.set(key, { keyword, category: correction.correctedCategory, corrections: 0, users: new Set(), examples: [] });
+      }
+
+      const tally = tallies.get(key);
+      tally.corrections++;
+      tally.users.add(correction.userId);
+      if (tally.examples.length < 3 && !tally.examples.includes(correction.description)) {
+        tally.examples.push(correction.description);
+      }
+    }
+  }
+
+  return [...tallies.values()]
+    .filter(tally => tally.corrections >= minCorrections && tally.users.size >= minUsers)
+    .map(tally => ({ ...tally, currentCategories: getKeywordCategories(tally.keyword), users: tally.users.size }))
+    .filter(proposal => !proposal.currentCategories.includes(proposal.category))
+    .sort((a, b) => b.corrections - a.corrections || b.users - a.users);
+}
+
+module.exports = {
+  DEFAULT_MIN_CORRECTIONS,
+  DEFAULT_MIN_USERS,
+  extractCandidates,
+  getKeywordCategories,
+  proposeKeywords
+};
\ No newline at end of file
@@ -0,0 +1,174 @@
+// In-process categorizer for when neither OpenAI nor Pinecone is configured.
+// Multinomial naive Bayes over word tokens and character n-grams, so unseen merchants
+// still match on fragments ("pharm", "burg", "fuel") of words it was trained on.
+
+const { CATEGORY_KEYWORDS, MERCHANT_PATTERNS } = require('./categoryMappings');
+
+// Character n-gram lengths taken from each space-padded word
+const MIN_NGRAM = 3;
+const MAX_NGRAM = 5;
+
+// Laplace smoothing for features a category never saw
+const SMOOTHING = 0.1;
+
+// Naive Bayes posteriors are overconfident; scores are averaged per feature and scaled
+// by this before the softmax
+const CONFIDENCE_SHARPNESS = 1.5;
+
+// Stays under the 0.8 at which keyword matches are trusted outright
+const MAX_CONFIDENCE = 0.75;
+
+// Below this probability, or this close to the runner-up, the model is guessing
+// ("BLUE BOTTLE" comes out 22% Travel, 17% Transit) and the answer is Other
+const MIN_CONFIDENCE = 0.5;
+const MIN_MARGIN = 0.25;
+
+// Relative weight of each training source
+const SOURCE_WEIGHTS = {
+  keyword: 1,
+  merchant: 2,
+  example: 1,
+  feedback: 1.5
+};
+
+/**
+ * Word tokens and character n-grams of a description
+ */
+function extractFeatures(text) {
+  const words = String(text || '').toLowerCase().replace(/[^a-z0-9&' ]+/g, ' ').split(/\s+/).filter(Boolean);
+  const features = [];
+
+  for (const word of words) {
+    features.push(`w:${word}`);
+    const padded = ` ${word} `;
+    for (let n = MIN_NGRAM; n <= MAX_NGRAM; n++) {
+      for (let i = 0; i + n <= padded.length; i++) {
+        features.push(padded.slice(i, i + n));
+      }
+    }
+  }
+
+  return features;
+}
+
+class LocalClassifier {
+  constructor() {
+    this.featureCounts = new Map(); // category -> Map(feature -> weighted count)
+    this.totals = new Map(); // category -> total weighted feature count
+    this.vocabulary = new Set();
+    this.exampleCount = 0;
+  }
+
+  /**
+   * Learn one labelled phrase
+   */
+  addExample(text, category, weight = 1) {
+    if (!this.featureCounts.has(category)) {
+      this.featureCounts.set(category, new Map());
+      this.totals.set(category, 0);
+    }
+
+    const counts = this.featureCounts.get(category);
+    for (const feature of extractFeatures(text)) {
+      counts.set(feature, (counts.get(feature) || 0) + weight);
+      this.totals.set(category, this.totals.get(category) + weight);
+      this.vocabulary.add(feature);
+    }
+    this.exampleCount++;
+  }
+
+  /**
+   * Learn every keyword and merchant pattern in categoryMappings.js
+   */
+  trainFromMappings() {
+    for (const [category, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
+      for (const keyword of keywords) {
+        this.addExample(keyword, category, SOURCE_WEIGHTS.keyword);
+      }
+    }
+
+    for (const [pattern, category] of Object.entries(MERCHANT_PATTERNS)) {
+      this.addExample(pattern, category, SOURCE_WEIGHTS.merchant);
+    }
+  }
+
+  /**
+   * Learn phrase sets shaped { category: ['phrase', ...] } or { category: [{ text, weight }, ...] },
+   * like the semantic services' example data
+   */
+  trainFromPhrases(phraseSet) {
+    for (const [category, phrases] of Object.entries(phraseSet)) {
+      for (const phrase of phrases) {
+        const text = typeof phrase === 'string' ? phrase : phrase.text;
+        const weight = typeof phrase === 'string' ? 1 : phrase.weight || 1;
+        this.addExample(text, category, SOURCE_WEIGHTS.example * weight);
+      }
+    }
+  }
+
+  /**
+   * Learn a user's correction
+   */
+  addFeedback(text, category) {
+    this.addExample(text, category, SOURCE_WEIGHTS.feedback);
+  }
+
+  /**
+   * Categorize a description. Categories are equally likely up front, so one with many
+   * keywords doesn't win by default. A winner short of MIN_CONFIDENCE or MIN_MARGIN
+   * comes back as Other at 0.1, so it never replaces another method's result.
+   * Returns the usual categorization result shape.
+   */
+  classify(description) {
+    const features = extractFeatures(description).filter(feature => this.vocabulary.has(feature));
+
+    if (features.length === 0 || this.featureCounts.size === 0) {
+      return {
+        category: 'Other',
+        confidence: 0.1,
+        source: 'local',
+        reasoning: 'Local model recognized nothing in the description'
+      };
+    }
+
+    const vocabularySize = this.vocabulary.size;
+    const scores = [];
+    for (const [category, counts] of this.featureCounts) {
+      const denominator = this.totals.get(category) + SMOOTHING * vocabularySize;
+      let logLikelihood = 0;
+      for (const feature of features) {
+        logLikelihood += Math.log(((counts.get(feature) || 0) + SMOOTHING) / denominator);
+      }
+      scores.push({ category, score: (logLikelihood / features.length) * CONFIDENCE_SHARPNESS });
+    }
+
+    const maxScore = Math.max(...scores.map(s => s.score));
+    const expScores = scores.map(s => ({ ...s, weight: Math.exp(s.score - maxScore) }));
+    const sum = expScores.reduce((total, s) => total + s.weight, 0);
+    const ranked = expScores
+      .map(s => ({ category: s.category, probability: s.weight / sum }))
+      .sort((a, b) => b.probability - a.probability);
+
+    const [best, runnerUp] = ranked;
+    const breakdown = `${Math.round(best.probability * 100)}% ${best.category}` +
+      (runnerUp ? `, ${Math.round(runnerUp.probability * 100)}% ${runnerUp.category}` : '');
+
+    if (best.probability < MIN_CONFIDENCE || best.probability - (runnerUp ? runnerUp.probability : 0) < MIN_MARGIN) {
+      return {
+        category: 'Other',
+        confidence: 0.1,
+        source: 'local',
+        reasoning: `Local model is not sure: ${breakdown}`
+      };
+    }
+
+    return {
+      category: best.category,
+      confidence: Math.round(Math.min(MAX_CONFIDENCE, best.probability) * 100) / 100,
+      source: 'local',
+      reasoning: `Local model: ${breakdown}`
+    };
+  }
+}
+
+module.exports = LocalClassifier;
\ No newline at end of file
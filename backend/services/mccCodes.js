@@ -0,0 +1,136 @@
+// Merchant category codes (MCCs): the 4-digit code the card network assigns each merchant.
+// Issuers decide bonus eligibility by MCC, so a known MCC beats any reading of the description.
+
+// Bundled MCC-to-category table; ranges are inclusive. merchantType feeds the same
+// card_rewards.excluded_merchant_types checks as the merchant names in MERCHANT_TYPES.
+const MCC_TABLE = [
+  { from: 3000, to: 3299, category: 'Travel', label: 'Airlines' },
+  { from: 3351, to: 3441, category: 'Travel', label: 'Car rental agencies' },
+  { from: 3501, to: 3999, category: 'Travel', label: 'Hotels and resorts' },
+  { from: 4111, to: 4112, category: 'Transit', label: 'Commuter transport and passenger railways' },
+  { from: 4121, to: 4121, category: 'Transit', label: 'Taxicabs and rideshare' },
+  { from: 4131, to: 4131, category: 'Transit', label: 'Bus lines' },
+  { from: 4411, to: 4411, category: 'Travel', label: 'Cruise lines' },
+  { from: 4511, to: 4511, category: 'Travel', label: 'Airlines and air carriers' },
+  { from: 4722, to: 4722, category: 'Travel', label: 'Travel agencies' },
+  { from: 4784, to: 4784, category: 'Transit', label: 'Tolls and bridge fees' },
+  { from: 4812, to: 4816, category: 'Utilities', label: 'Telecommunication services' },
+  { from: 4899, to: 4899, category: 'Entertainment', label: 'Cable, satellite and streaming services' },
+  { from: 4900, to: 4900, category: 'Utilities', label: 'Utilities' },
+  // Clubs sell far more than groceries and most grocery bonuses exclude them; a reward that
+  // does earn there lists 5300 in eligible_mccs
+  { from: 5300, to: 5300, category: 'Other', label: 'Wholesale clubs', merchantType: 'warehouse_club' },
+  { from: 5310, to: 5311, category: 'Other', label: 'Discount and department stores', merchantType: 'superstore' },
+  { from: 5411, to: 5411, category: 'Grocery', label: 'Grocery stores and supermarkets' },
+  { from: 5422, to: 5499, category: 'Grocery', label: 'Specialty food stores' },
+  { from: 5541, to: 5542, category: 'Gas', label: 'Service stations and fuel dispensers' },
+  { from: 5811, to: 5814, category: 'Dining', label: 'Restaurants, bars and fast food' },
+  { from: 5912, to: 5912, category: 'Healthcare', label: 'Drug stores and pharmacies' },
+  { from: 5960, to: 5960, category: 'Insurance', label: 'Direct marketing insurance services' },
+  { from: 5964, to: 5969, category: 'Online', label: 'Catalog and direct marketing merchants' },
+  { from: 6300, to: 6300, category: 'Insurance', label: 'Insurance sales and premiums' },
+  { from: 7011, to: 7011, category: 'Travel', label: 'Hotels and lodging' },
+  { from: 7512, to: 7512, category: 'Travel', label: 'Car rental' },
+  { from: 7523, to: 7523, category: 'Transit', label: 'Parking lots and garages' },
+  { from: 7832, to: 7841, category: 'Entertainment', label: 'Movie theaters and video rental' },
+  { from: 7911, to: 7999, category: 'Entertainment', label: 'Amusement and recreation' },
+  { from: 8011, to: 8099, category: 'Healthcare', label: 'Medical services' }
+];
+
+// A listed MCC is near-certain; 1.0 is left to the user's own rules, which are checked first
+const MCC_CONFIDENCE = 0.97;
+
+/**
+ * The MCC as a 4-digit string ('5411' from 5411 or ' 5411 '), or null when it isn't one
+ */
+function normalizeMcc(value) {
+  const text = String(value ?? '').trim();
+  return /^\d{4}$/.test(text) ? text : null;
+}
+
+function isValidMcc(value) {
+  return normalizeMcc(value) !== null;
+}
+
+/**
+ * The MCC_TABLE entry covering this MCC, or null for unknown or unlisted codes
+ */
+function getMccEntry(mcc) {
+  const code = normalizeMcc(mcc);
+  if (!code) {
+    return null;
+  }
+
+  const number = parseInt(code, 10);
+  return MCC_TABLE.find(entry => number >= entry.from && number <= entry.to) || null;
+}
+
+/**
+ * Categorization result for an MCC, shaped like CategoryService's, or null when the table
+ * doesn't list it
+ */
+function categorizeMcc(mcc) {
+  const entry = getMccEntry(mcc);
+  if (!entry) {
+    return null;
+  }
+
+  return {
+    category: entry.category,
+    confidence: MCC_CONFIDENCE,
+    source: 'mcc',
+    reasoning: `MCC ${normalizeMcc(mcc)}: ${entry.label}`,
+    mcc: normalizeMcc(mcc)
+  };
+}
+
+/**
+ * The merchant type an MCC implies (e.g. 'warehouse_club' for 5300), or null
+ */
+function getMccMerchantType(mcc) {
+  const entry = getMccEntry(mcc);
+  return entry && entry.merchantType ? entry.merchantType : null;
+}
+
+/**
+ * { from, to } for an eligible_mccs entry: a single code ('5411') or an inclusive range
+ * ('5811-5814'). Null when the entry is malformed.
+ */
+function parseMccRange(range) {
+  const match = /^(\d{4})(?:-(\d{4}))?$/.exec(String(range || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  const from = parseInt(match[1], 10);
+  const to = match[2] ? parseInt(match[2], 10) : from;
+  return from <= to ? { from, to } : null;
+}
+
+/**
+ * Whether the MCC falls inside any of the ranges (card_rewards.eligible_mccs)
+ */
+function mccInRanges(mcc, ranges) {
+  const code = normalizeMcc(mcc);
+  if (!code) {
+    return false;
+  }
+
+  const number = parseInt(code, 10);
+  return (ranges || []).some(range => {
+    const parsed = parseMccRange(range);
+    return parsed && number >= parsed.from && number <= parsed.to;
+  });
+}
+
+module.exports = {
+  MCC_TABLE,
+  MCC_CONFIDENCE,
+  normalizeMcc,
+  isValidMcc,
+  getMccEntry,
+  categorizeMcc,
+  getMccMerchantType,
+  parseMccRange,
+  mccInRanges
+};
\ No newline at end of file
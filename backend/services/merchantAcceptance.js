@@ -0,0 +1,76 @@
+// Card networks a merchant takes, by checkout channel
+// `merchant` is a MERCHANT_PATTERNS key, so rules hang off the match CategoryService already made
+
+const CHANNELS = {
+  IN_STORE: 'in_store',
+  ONLINE: 'online'
+};
+
+// A rule without a channel applies to both
+const MERCHANT_ACCEPTANCE_RULES = [
+  { merchant: 'COSTCO', channel: CHANNELS.IN_STORE, networks: ['Visa'], notes: 'Warehouses only take Visa credit cards' },
+  { merchant: 'COSTCO', channel: CHANNELS.ONLINE, networks: ['Mastercard', 'Discover'], notes: 'Costco.com does not take Visa or Amex' }
+];
+
+// Description wording that means the purchase happens online
+const ONLINE_INDICATORS = ['.com', 'online', 'website', 'web order', 'app order', 'delivery'];
+
+const CHANNEL_LABELS = {
+  [CHANNELS.IN_STORE]: 'in-store',
+  [CHANNELS.ONLINE]: 'online'
+};
+
+/**
+ * Guess the checkout channel from the purchase description; in-store unless it reads as online
+ */
+function detectChannel(description) {
+  const cleanDesc = String(description || '').toLowerCase();
+  return ONLINE_INDICATORS.some(indicator => cleanDesc.includes(indicator))
+    ? CHANNELS.ONLINE
+    : CHANNELS.IN_STORE;
+}
+
+/**
+ * The acceptance rule for a matched merchant pattern and channel, or null when any network works
+ */
+function getAcceptanceRule(merchant, channel) {
+  if (!merchant) return null;
+
+  const upper = merchant.toUpperCase();
+  return MERCHANT_ACCEPTANCE_RULES.find(rule =>
+    rule.merchant === upper && (!rule.channel || rule.channel === channel)
+  ) || null;
+}
+
+/**
+ * Whether a card on `network` can pay under `rule`
+ */
+function isNetworkAccepted(rule, network) {
+  if (!rule) return true;
+  return rule.networks.some(accepted => accepted.toLowerCase() === String(network || '').toLowerCase());
+}
+
+/**
+ * Acceptance details for one card, or null when no rule restricts this merchant
+ */
+function getCardAcceptance(rule, network) {
+  if (!rule) return null;
+
+  const merchantName = rule.merchant.charAt(0) + rule.merchant.slice(1).toLowerCase();
+  return {
+    accepted: isNetworkAccepted(rule, network),
+    merchant: rule.merchant,
+    channel: rule.channel,
+    acceptedNetworks: rule.networks,
+    summary: `${merchantName} ${CHANNEL_LABELS[rule.channel] || ''} takes ${rule.networks.join(' and ')} only`.replace(/\s+/g, ' ')
+  };
+}
+
+module.exports = {
+  CHANNELS,
+  MERCHANT_ACCEPTANCE_RULES,
+  detectChannel,
+  getAcceptanceRule,
+  isNetworkAccepted,
+  getCardAcceptance
+};
\ No newline at end of file
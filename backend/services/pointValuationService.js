@@ -0,0 +1,124 @@
+const pool = require('../lib/db');
+const {
+  DEFAULT_REWARD_CURRENCY,
+  REWARD_CURRENCIES,
+  isValidRewardCurrency,
+  getDefaultCentsPerPoint
+} = require('./rewardCurrencies');
+
+class PointValuationService {
+  constructor() {
+    this.cache = new Map(); // userId -> { value: { currency: centsPerPoint }, timestamp }
+    this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
+  }
+
+  /**
+   * Get a user's custom point valuations keyed by currency code
+   */
+  async getUserValuations(userId) {
+    if (!userId) {
+      return {};
+    }
+
+    if (this.cache.has(userId)) {
+      const cached = this.cache.get(userId);
+      if (Date.now() - cached.timestamp < this.cacheExpiry) {
+        return cached.value;
+      }
+    }
+
+    try {
+      const result = await pool.query(
+        `SELECT currency, cents_per_point FROM user_point_valuations WHERE user_id = $1`,
+        [userId]
+      );
+
+      const valuations = {};
+      for (const row of result.rows) {
+        valuations[row.currency] = parseFloat(row.cents_per_point);
+      }
+
+      this.cache.set(userId, { value: valuations, timestamp: Date.now() });
+      return valuations;
+    } catch (error) {
+      console.error('Error getting user point valuations:', error);
+      return {}; // Fall back to default valuations
+    }
+  }
+
+  /**
+   * Resolve the cents-per-point value for a currency, preferring the user's override
+   */
+  async getCentsPerPoint(currency, userId = null) {
+    return this.resolveCentsPerPoint(await this.getUserValuations(userId), currency);
+  }
+
+  /**
+   * Resolve a currency against overrides already loaded with getUserValuations
+   */
+  resolveCentsPerPoint(userValuations, currency) {
+    const code = currency || DEFAULT_REWARD_CURRENCY;
+
+    if (userValuations[code] !== undefined) {
+      return userValuations[code];
+    }
+
+    return getDefaultCentsPerPoint(code);
+  }
+
+  /**
+   * List every known currency with its default and effective valuation for a user
+   */
+  async getValuationTable(userId = null) {
+    const userValuations = await this.getUserValuations(userId);
+
+    return Object.entries(REWARD_CURRENCIES).map(([code, currency]) => ({
+      currency: code,
+      name: currency.name,
+      defaultCentsPerPoint: currency.centsPerPoint,
+      centsPerPoint: userValuations[code] !== undefined ? userValuations[code] : currency.centsPerPoint,
+      isCustom: userValuations[code] !== undefined
+    }));
+  }
+
+  /**
+   * Save a user's override for a currency
+   */
+  async setUserValuation(userId, currency, centsPerPoint) {
+    if (!isValidRewardCurrency(currency)) {
+      throw new Error(`Unknown reward currency: ${currency}`);
+    }
+
+    await pool.query(
+      `INSERT INTO user_point_valuations (user_id, currency, cents_per_point, updated_at)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (user_id, currency)
+       DO UPDATE SET cents_per_point = EXCLUDED.cents_per_point, updated_at = NOW()`,
+      [userId, currency, centsPerPoint]
+    );
+
+    this.clearUserCache(userId);
+  }
+
+  /**
+   * Remove a user's override so the default valuation applies again
+   */
+  async clearUserValuation(userId, currency) {
+    const result = await pool.query(
+      `DELETE FROM user_point_valuations WHERE user_id = $1 AND currency = $2`,
+      [userId, currency]
+    );
+
+    this.clearUserCache(userId);
+    return result.rowCount;
+  }
+
+  /**
+   * Clear cached valuations for a specific user
+   */
+  clearUserCache(userId) {
+    this.cache.delete(userId);
+  }
+}
+
+module.exports = new PointValuationService();
\ No newline at end of file
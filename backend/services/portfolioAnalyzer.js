@@ -1,4 +1,7 @@
 const db = require('../lib/db');
+const ProjectionEngine = require('./projectionEngine');
+const relationshipService = require('./relationshipService');
+const { getRelationshipBoost, applyRelationshipBoost } = require('./relationshipPrograms');
 
 class PortfolioAnalyzer {
   constructor() {
@@ -6,24 +9,247 @@ class PortfolioAnalyzer {
     this.HIGH_PRIORITY_THRESHOLD = 3.0;      // 3%+ = high priority
     this.MEDIUM_PRIORITY_THRESHOLD = 1.5;    // 1.5%+ = medium priority
     this.MAX_RECOMMENDATIONS = 5;            // Top 5 recommendations max
+    this.DEFAULT_WALLET_SIZE = 3;            // Optimizer wallet size when none is given
+    this.MAX_WALLET_SIZE = 5;                // Keeps the combination search small
+    this.CANDIDATES_PER_CATEGORY = 3;        // Best earners per category kept for the search
+    this.MAX_CANDIDATES = 12;                // At most ~1.6k wallets of 5 cards
+    this.MAX_ALTERNATIVES = 2;               // Runner-up wallets returned by the optimizer
+    this.projectionEngine = new ProjectionEngine();
   }
 
-  async analyzePortfolio(userId, mode, category = null) {
+  async analyzePortfolio(userId, mode, category = null, spendProfile = null, constraints = {}) {
     const userCards = await this.getUserCards(userId);
+    const { profile, source } = await this.projectionEngine.resolveSpendProfile(userId, spendProfile);
+    const baseline = await this.getWalletBaseline(userCards, profile, userId);
 
+    let result;
     if (mode === 'auto') {
-      return await this.findPortfolioGaps(userCards);
+      result = await this.findPortfolioGaps(userCards, baseline);
+    } else if (mode === 'optimize') {
+      result = await this.optimizeWallet(userCards, baseline, constraints);
     } else {
-      return await this.findBestCardsForCategory(userCards, category);
+      result = await this.findBestCardsForCategory(userCards, category, baseline);
     }
+
+    return {
+      ...result,
+      spendProfile: profile,
+      spendProfileSource: source,
+      currentWallet: baseline.wallet
+    };
   }
 
-  async findPortfolioGaps(userCards) {
+  /**
+   * Project the user's current wallet once so each candidate can be priced against it.
+   * The user's relationship tiers ride along so every rate comparison can apply them.
+   */
+  async getWalletBaseline(userCards, profile, userId) {
+    const projections = await this.projectionEngine.projectCards(userCards, profile, userId);
+    return {
+      profile,
+      userId,
+      relationships: await relationshipService.getUserTiers(userId),
+      projections,
+      wallet: this.projectionEngine.combineWallet(projections)
+    };
+  }
+
+  /**
+   * Yearly value of adding a card to the wallet: extra rewards plus credits, minus its annual fee
+   */
+  async getAnnualValue(card, baseline) {
+    const projection = await this.projectionEngine.projectCard(card, baseline.profile, baseline.userId);
+    const withCard = this.projectionEngine.combineWallet([...baseline.projections, projection]);
+    const rewardsGain = Math.round((withCard.rewardsValue - baseline.wallet.rewardsValue) * 100) / 100;
+
+    return {
+      projectedRewards: projection.rewardsValue,
+      rewardsGain,
+      annualFee: projection.annualFee,
+      credits: projection.credits,
+      netAnnualValue: Math.round((withCard.netValue - baseline.wallet.netValue) * 100) / 100
+    };
+  }
+
+  /**
+   * Search the catalog for the wallet of up to `walletSize` cards with the highest
+   * net annual value (rewards + credits - fees) for the baseline's spend profile.
+   * Constraints: maxTotalFees, requiredIssuers, excludedNetworks, keepCurrentCards.
+   */
+  async optimizeWallet(userCards, baseline, constraints = {}) {
+    const walletSize = Math.min(constraints.walletSize || this.DEFAULT_WALLET_SIZE, this.MAX_WALLET_SIZE);
+    const options = {
+      walletSize,
+      maxTotalFees: constraints.maxTotalFees != null ? Number(constraints.maxTotalFees) : null,
+      requiredIssuers: constraints.requiredIssuers || [],
+      excludedNetworks: constraints.excludedNetworks || [],
+      keepCurrentCards: Boolean(constraints.keepCurrentCards)
+    };
+
+    // Held cards are projected with the user's activations and selections
+    const heldIds = new Set(userCards.map(card => card.id));
+    const catalog = (await this.getCatalogCards()).filter(card => !heldIds.has(card.id));
+    const catalogProjections = await this.projectionEngine.projectCards(catalog, baseline.profile, baseline.userId);
+    const cardsById = new Map([...userCards, ...catalog].map(card => [card.id, card]));
+
+    const kept = options.keepCurrentCards ? baseline.projections : [];
+    const excludedNetworks = options.excludedNetworks.map(network => network.toLowerCase());
+    const available = [...(options.keepCurrentCards ? [] : baseline.projections), ...catalogProjections]
+      .filter(projection => !excludedNetworks.includes((projection.network || '').toLowerCase()));
+
+    const candidates = this.getOptimizerCandidates(available, options.requiredIssuers);
+    const slots = Math.max(0, walletSize - kept.length);
+    const { wallets, combinationsEvaluated } = this.searchWallets(candidates, kept, slots, options);
+
+    const formatted = wallets.map(wallet => this.formatOptimizedWallet(wallet, cardsById, heldIds));
+    const best = formatted[0] || null;
+
+    return {
+      optimization: {
+        constraints: options,
+        wallet: best,
+        alternatives: formatted.slice(1),
+        improvement: best ? Math.round((best.netValue - baseline.wallet.netValue) * 100) / 100 : null,
+        candidatesConsidered: candidates.length,
+        combinationsEvaluated
+      }
+    };
+  }
+
+  /**
+   * Narrow the catalog to cards that could plausibly belong in the best wallet:
+   * the best card from each required issuer, each category's top earner, the best
+   * standalone cards, then category runners-up, capped at MAX_CANDIDATES in that order
+   * so the exhaustive search stays bounded however many categories the profile has
+   */
+  getOptimizerCandidates(projections, requiredIssuers = []) {
+    // Map keeps first-insertion order, which is the priority order for the cap
+    const candidates = new Map();
+    const add = projection => {
+      if (!candidates.has(projection.cardId)) candidates.set(projection.cardId, projection);
+    };
+
+    const issuerCards = requiredIssuers.map(issuer => projections
+      .filter(p => this.issuerMatches(p.issuer, issuer))
+      .slice(0, this.CANDIDATES_PER_CATEGORY));
+    issuerCards.forEach(cards => cards.slice(0, 1).forEach(add));
+
+    // Biggest categories first, so their leaders survive the cap
+    const categories = new Set(projections.flatMap(p => p.byCategory.map(entry => entry.category)));
+    const rankings = Array.from(categories)
+      .map(category => projections
+        .map(projection => ({ projection, entry: projection.byCategory.find(e => e.category === category) }))
+        .filter(({ entry }) => entry)
+        .sort((a, b) => b.entry.value - a.entry.value || a.projection.annualFee - b.projection.annualFee)
+        .slice(0, this.CANDIDATES_PER_CATEGORY))
+      .sort((a, b) => b[0].entry.value - a[0].entry.value);
+
+    rankings.forEach(ranking => add(ranking[0].projection));
+
+    // projectCards already sorted by net value
+    projections.slice(0, this.CANDIDATES_PER_CATEGORY).forEach(add);
+    projections.filter(p => Number(p.annualFee) === 0).slice(0, this.CANDIDATES_PER_CATEGORY).forEach(add);
+
+    for (let rank = 1; rank < this.CANDIDATES_PER_CATEGORY; rank++) {
+      rankings.forEach(ranking => ranking[rank] && add(ranking[rank].projection));
+    }
+    issuerCards.forEach(cards => cards.forEach(add));
+
+    return Array.from(candidates.values()).slice(0, this.MAX_CANDIDATES);
+  }
+
+  /**
+   * Try every combination of up to `slots` candidates alongside the kept cards,
+   * keeping the best wallets that satisfy the constraints
+   */
+  searchWallets(candidates, kept, slots, options) {
+    const limit = this.MAX_ALTERNATIVES + 1;
+    const keptFees = kept.reduce((sum, p) => sum + p.annualFee, 0);
+    let wallets = [];
+    let combinationsEvaluated = 0;
+
+    const visit = (start, chosen, fees) => {
+      const projections = [...kept, ...chosen];
+      if (projections.length > 0 && this.hasRequiredIssuers(projections, options.requiredIssuers)) {
+        combinationsEvaluated++;
+        const wallet = this.projectionEngine.combineWallet(projections);
+
+        // A new card that wins no category and whose credits don't cover its fee
+        // only pads a smaller wallet already considered
+        const allUsed = chosen.every(p =>
+          p.credits > p.annualFee || wallet.byCategory.some(entry => entry.cardId === p.cardId)
+        );
+        if (allUsed) {
+          wallets.push(wallet);
+          wallets.sort((a, b) => this.compareWallets(a, b));
+          wallets = wallets.slice(0, limit);
+        }
+      }
+
+      if (chosen.length >= slots) return;
+
+      for (let i = start; i < candidates.length; i++) {
+        const nextFees = fees + candidates[i].annualFee;
+        // Fees only grow as cards are added, so this branch can be skipped entirely
+        if (options.maxTotalFees != null && nextFees > options.maxTotalFees) continue;
+        visit(i + 1, [...chosen, candidates[i]], nextFees);
+      }
+    };
+
+    if (options.maxTotalFees == null || keptFees <= options.maxTotalFees) {
+      visit(0, [], keptFees);
+    }
+
+    return { wallets, combinationsEvaluated };
+  }
+
+  /**
+   * Highest net value first; ties go to the smaller, cheaper wallet
+   */
+  compareWallets(a, b) {
+    if (b.netValue !== a.netValue) return b.netValue - a.netValue;
+    if (a.cardIds.length !== b.cardIds.length) return a.cardIds.length - b.cardIds.length;
+    return a.annualFees - b.annualFees;
+  }
+
+  hasRequiredIssuers(projections, requiredIssuers = []) {
+    return requiredIssuers.every(issuer =>
+      projections.some(projection => this.issuerMatches(projection.issuer, issuer))
+    );
+  }
+
+  issuerMatches(cardIssuer, issuer) {
+    return (cardIssuer || '').toLowerCase() === (issuer || '').toLowerCase();
+  }
+
+  formatOptimizedWallet(wallet, cardsById, heldIds) {
+    const cards = wallet.cardIds.map(cardId => {
+      const card = cardsById.get(cardId);
+      const assigned = wallet.byCategory.filter(entry => entry.cardId === cardId);
+      return {
+        cardId,
+        cardName: card.name,
+        issuer: card.issuer,
+        network: card.network,
+        annualFee: Number(card.annual_fee) || 0,
+        imageUrl: card.image_url,
+        rewards: card.rewards,
+        benefits: card.benefits,
+        held: heldIds.has(cardId),
+        categories: assigned.map(entry => entry.category),
+        rewardsValue: Math.round(assigned.reduce((sum, entry) => sum + entry.value, 0) * 100) / 100
+      };
+    });
+
+    return { ...wallet, cards };
+  }
+
+  async findPortfolioGaps(userCards, baseline) {
     const categories = ['Dining', 'Grocery', 'Gas', 'Travel', 'Entertainment', 'Online'];
     const gaps = [];
 
     for (const category of categories) {
-      const userBestRate = this.getUserBestRate(userCards, category);
+      const userBestRate = this.getUserBestRate(userCards, category, baseline.relationships);
       const marketBestRate = await this.getMarketBestRate(category);
 
       if (marketBestRate - userBestRate >= this.MIN_IMPROVEMENT_THRESHOLD) {
@@ -37,16 +263,16 @@ class PortfolioAnalyzer {
       }
     }
 
-    return await this.getRecommendationsForGaps(gaps, userCards);
+    return await this.getRecommendationsForGaps(gaps, userCards, baseline);
   }
 
-  async findBestCardsForCategory(userCards, category) {
+  async findBestCardsForCategory(userCards, category, baseline) {
     if (!category) {
       throw new Error('Category is required for category mode');
     }
 
     // Get user's current best cards for this category
-    const userBestCards = this.getUserBestCardsForCategory(userCards, category);
+    const userBestCards = this.getUserBestCardsForCategory(userCards, category, baseline.relationships);
     const userBestRate = userBestCards.length > 0 ? userBestCards[0].rate : 1.0;
 
     // Get top market cards for this category
@@ -58,7 +284,7 @@ class PortfolioAnalyzer {
 
     const recommendations = [];
     for (const card of availableCards) {
-      const cardRate = this.getCardRateForCategory(card, category);
+      const cardRate = this.getCardRateForCategory(card, category, baseline.relationships);
       const improvement = cardRate - userBestRate;
 
       // Include all cards that are better than user's current best, regardless of annual fee
@@ -72,16 +298,20 @@ class PortfolioAnalyzer {
           newRate: cardRate,
           improvement: `+${improvement.toFixed(1)}%`,
           annualFee: card.annual_fee,
+          annualValue: await this.getAnnualValue(card, baseline),
           rewards: card.rewards,
+          benefits: card.benefits,
           imageUrl: card.image_url
         });
       }
     }
 
-    // Sort by rate first, then by annual fee
+    // Sort by net annual value so a high fee has to be earned back, then by rate
     recommendations.sort((a, b) => {
-      if (b.newRate !== a.newRate) return b.newRate - a.newRate;
-      return a.annualFee - b.annualFee;
+      if (b.annualValue.netAnnualValue !== a.annualValue.netAnnualValue) {
+        return b.annualValue.netAnnualValue - a.annualValue.netAnnualValue;
+      }
+      return b.newRate - a.newRate;
     });
 
     const marketBestRate = await this.getMarketBestRate(category);
@@ -109,20 +339,16 @@ class PortfolioAnalyzer {
     return Math.min(result.rows[0]?.max_rate || 2.0, 10.0); // Cap at 10%
   }
 
-  getUserBestRate(userCards, category) {
+  getUserBestRate(userCards, category, relationships = {}) {
     let bestRate = 1.0; // Default base rate
 
     for (const card of userCards) {
-      for (const reward of card.rewards) {
-        if (this.categoryMatches(reward.category, category)) {
-          bestRate = Math.max(bestRate, reward.multiplier);
-        }
-      }
+      bestRate = Math.max(bestRate, this.getCardRateForCategory(card, category, relationships));
     }
     return bestRate;
   }
 
-  getUserBestCardsForCategory(userCards, category) {
+  getUserBestCardsForCategory(userCards, category, relationships = {}) {
     const cardsWithRates = [];
 
     for (const card of userCards) {
@@ -137,11 +363,13 @@ class PortfolioAnalyzer {
       }
 
       if (bestRateForCard > 1.0) { // Only include cards that have rewards for this category
+        const relationship = getRelationshipBoost(card, relationships);
         cardsWithRates.push({
           cardId: card.id,
           cardName: card.name,
           issuer: card.issuer,
-          rate: bestRateForCard,
+          rate: applyRelationshipBoost(bestRateForCard, relationship),
+          relationshipBoost: relationship,
           annualFee: card.annual_fee,
           reward: bestReward,
           imageUrl: card.image_url
@@ -158,7 +386,7 @@ class PortfolioAnalyzer {
     return cardsWithRates;
   }
 
-  async getRecommendationsForGaps(gaps, userCards) {
+  async getRecommendationsForGaps(gaps, userCards, baseline) {
     const categoryGaps = [];
     const userCardIds = userCards.map(c => c.id);
 
@@ -171,7 +399,7 @@ class PortfolioAnalyzer {
 
       const categoryRecommendations = [];
       for (const card of availableCards.slice(0, 3)) { // Top 3 per category
-        const cardRate = this.getCardRateForCategory(card, gap.category);
+        const cardRate = this.getCardRateForCategory(card, gap.category, baseline.relationships);
 
         if (cardRate > gap.userBestRate + 0.5) { // At least 0.5% improvement
           categoryRecommendations.push({
@@ -183,12 +411,16 @@ class PortfolioAnalyzer {
             improvement: `+${(cardRate - gap.userBestRate).toFixed(1)}%`,
             improvementValue: cardRate - gap.userBestRate,
             annualFee: card.annual_fee,
+            annualValue: await this.getAnnualValue(card, baseline),
             rewards: card.rewards,
+            benefits: card.benefits,
             imageUrl: card.image_url
           });
         }
       }
 
+      categoryRecommendations.sort((a, b) => b.annualValue.netAnnualValue - a.annualValue.netAnnualValue);
+
       if (categoryRecommendations.length > 0) {
         categoryGaps.push({
           category: gap.category,
@@ -232,8 +464,11 @@ class PortfolioAnalyzer {
     const placeholders = cardIds.map((_, i) => `$${i + 1}`).join(',');
 
     const result = await db.query(`
-      SELECT c.id, c.name, c.issuer, c.annual_fee, c.network, c.image_url,
-             r.multiplier, r.category, r.cap, r.portal_only
+      SELECT c.id, c.name, c.issuer, c.annual_fee, c.network, c.image_url, c.reward_currency,
+             (SELECT COALESCE(json_agg(row_to_json(cb)), '[]') FROM card_benefits cb WHERE cb.card_id = c.id) AS benefits,
+             (SELECT COALESCE(json_agg(row_to_json(rc)), '[]') FROM rotating_categories rc WHERE rc.card_id = c.id) AS rotating_calendar,
+             r.multiplier, r.category, r.reward_type, r.cap, r.cap_period, r.cap_group,
+             r.eligible_categories, r.choice_period, r.portal_only, r.start_date, r.end_date
       FROM cards c
       LEFT JOIN card_rewards r ON c.id = r.card_id
       WHERE c.id IN (${placeholders})
@@ -243,10 +478,34 @@ class PortfolioAnalyzer {
     return this.formatCards(result.rows);
   }
 
+  /**
+   * Every catalog card with its rewards and rotating calendar. Catalog cards have no
+   * choice_selections, so their choice rewards go to the best-fitting eligible category.
+   */
+  async getCatalogCards() {
+    const result = await db.query(`
+      SELECT c.id, c.name, c.issuer, c.annual_fee, c.network, c.image_url, c.reward_currency,
+             (SELECT COALESCE(json_agg(row_to_json(cb)), '[]') FROM card_benefits cb WHERE cb.card_id = c.id) AS benefits,
+             (SELECT COALESCE(json_agg(row_to_json(rc)), '[]') FROM rotating_categories rc WHERE rc.card_id = c.id) AS rotating_calendar,
+             r.multiplier, r.category, r.reward_type, r.cap, r.cap_period, r.cap_group,
+             r.eligible_categories, r.choice_period, r.portal_only, r.start_date, r.end_date
+      FROM cards c
+      LEFT JOIN card_rewards r ON c.id = r.card_id
+      ORDER BY c.annual_fee ASC
+    `);
+
+    return this.formatCards(result.rows);
+  }
+
   async getUserCards(userId) {
     const result = await db.query(`
-      SELECT c.id, c.name, c.issuer, c.annual_fee, c.network, c.image_url,
-             r.multiplier, r.category, r.cap, r.portal_only
+      SELECT c.id, c.name, c.issuer, c.annual_fee, c.network, c.image_url, c.reward_currency,
+             (SELECT COALESCE(json_agg(row_to_json(cb)), '[]') FROM card_benefits cb WHERE cb.card_id = c.id) AS benefits,
+             uc.opened_at, uc.statement_close_day, uc.activated_quarters,
+             (SELECT COALESCE(json_agg(row_to_json(rc)), '[]') FROM rotating_categories rc WHERE rc.card_id = c.id) AS rotating_calendar,
+             (SELECT COALESCE(json_agg(row_to_json(ucc)), '[]') FROM user_choice_categories ucc WHERE ucc.user_card_id = uc.id) AS choice_selections,
+             r.multiplier, r.category, r.reward_type, r.cap, r.cap_period, r.cap_group,
+             r.eligible_categories, r.choice_period, r.portal_only, r.start_date, r.end_date
       FROM user_cards uc
       INNER JOIN cards c ON uc.card_id = c.id
       LEFT JOIN card_rewards r ON c.id = r.card_id
@@ -268,6 +527,13 @@ class PortfolioAnalyzer {
           annual_fee: row.annual_fee,
           network: row.network,
           image_url: row.image_url,
+          reward_currency: row.reward_currency,
+          opened_at: row.opened_at,
+          statement_close_day: row.statement_close_day,
+          activated_quarters: row.activated_quarters,
+          rotating_calendar: row.rotating_calendar,
+          choice_selections: row.choice_selections,
+          benefits: row.benefits || [],
           rewards: []
         });
       }
@@ -277,8 +543,15 @@ class PortfolioAnalyzer {
         card.rewards.push({
           category: row.category,
           multiplier: parseFloat(row.multiplier),
+          reward_type: row.reward_type,
           cap: row.cap ? parseFloat(row.cap) : null,
-          portal_only: row.portal_only
+          cap_period: row.cap_period,
+          cap_group: row.cap_group,
+          eligible_categories: row.eligible_categories,
+          choice_period: row.choice_period,
+          portal_only: row.portal_only,
+          start_date: row.start_date,
+          end_date: row.end_date
         });
       }
     }
@@ -286,7 +559,7 @@ class PortfolioAnalyzer {
     return Array.from(cardsMap.values());
   }
 
-  getCardRateForCategory(card, targetCategory) {
+  getCardRateForCategory(card, targetCategory, relationships = {}) {
     let highestRate = 1.0; // Base rate
 
     for (const reward of card.rewards) {
@@ -295,7 +568,7 @@ class PortfolioAnalyzer {
       }
     }
 
-    return highestRate;
+    return applyRelationshipBoost(highestRate, getRelationshipBoost(card, relationships));
   }
 
   categoryMatches(rewardCategory, targetCategory) {
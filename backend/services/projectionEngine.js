@@ -0,0 +1,269 @@
+const pointValuationService = require('./pointValuationService');
+const { DEFAULT_REWARD_CURRENCY } = require('./rewardCurrencies');
+const { getPeriodRange } = require('./capPeriods');
+const RewardCalculator = require('./rewardCalculator');
+const UserSpendingService = require('./userSpendingService');
+const BenefitService = require('./benefitService');
+const userPreferenceService = require('./userPreferenceService');
+const { getLikelihood } = require('./rewardPreferences');
+const relationshipService = require('./relationshipService');
+const { getRelationshipBoost, applyRelationshipBoost } = require('./relationshipPrograms');
+
+// Annual spend assumed when a user has no history and supplies no profile
+const DEFAULT_SPEND_PROFILE = {
+  'Grocery': 6000,
+  'Dining': 3600,
+  'Gas': 2400,
+  'Travel': 3000,
+  'Online': 3000,
+  'Entertainment': 1200,
+  'Transit': 600,
+  'Utilities': 2400,
+  'Other': 6000
+};
+
+class ProjectionEngine {
+  constructor() {
+    this.rewardCalculator = new RewardCalculator();
+    this.userSpendingService = new UserSpendingService();
+    this.HISTORY_MONTHS = 12; // Months of user_spending used to derive a profile
+    this.PROJECTION_MONTHS = 12;
+  }
+
+  /**
+   * Derive a yearly spend profile from the last 12 months of user_spending.
+   * Histories shorter than a year are scaled up; returns null with no history.
+   */
+  async getSpendProfile(userId, date = new Date()) {
+    const end = new Date(date);
+    const start = new Date(end.getFullYear(), end.getMonth() - this.HISTORY_MONTHS, end.getDate());
+
+    const rows = await this.userSpendingService.getSpendingByCategory(userId, start, end);
+    if (rows.length === 0) return null;
+
+    const range = await this.userSpendingService.getSpendingDateRange(userId);
+    const coveredFrom = range && range.firstDate > start ? range.firstDate : start;
+    const monthsCovered = Math.max(1, (end - coveredFrom) / (30.44 * 24 * 60 * 60 * 1000));
+    const scale = Math.max(1, this.HISTORY_MONTHS / monthsCovered);
+
+    const profile = {};
+    for (const row of rows) {
+      profile[row.category] = Math.round(parseFloat(row.total_amount) * scale * 100) / 100;
+    }
+    return profile;
+  }
+
+  /**
+   * Pick the spend profile to project with: the caller's, then the user's history, then the default
+   */
+  async resolveSpendProfile(userId, spendProfile = null) {
+    if (spendProfile && Object.keys(spendProfile).length > 0) {
+      return { profile: this.normalizeSpendProfile(spendProfile), source: 'provided' };
+    }
+
+    if (userId) {
+      const history = await this.getSpendProfile(userId);
+      if (history) {
+        return { profile: history, source: 'history' };
+      }
+    }
+
+    return { profile: { ...DEFAULT_SPEND_PROFILE }, source: 'default' };
+  }
+
+  /**
+   * Keep only positive numeric amounts
+   */
+  normalizeSpendProfile(spendProfile) {
+    const profile = {};
+    for (const [category, amount] of Object.entries(spendProfile || {})) {
+      const value = parseFloat(amount);
+      if (category && value > 0) {
+        profile[category] = value;
+      }
+    }
+    return profile;
+  }
+
+  /**
+   * Project one card's yearly rewards for a spend profile.
+   * Spend is spread evenly across the next 12 months and run through the card's rules
+   * month by month, so every cap period, shared cap group and date window is respected.
+   * A conditional reward the user only sometimes goes along with (portal booking, activation,
+   * caps) gets that share of the spend; the rest falls through to the next reward.
+   * Points are scaled by the user's relationship boost (e.g. Preferred Rewards) at the end.
+   */
+  async projectCard(card, spendProfile, userId = null, date = new Date()) {
+    const rewardCurrency = card.reward_currency || DEFAULT_REWARD_CURRENCY;
+    const centsPerPoint = await pointValuationService.getCentsPerPoint(rewardCurrency, userId);
+    const preferences = await userPreferenceService.getPreferences(userId);
+    const relationship = getRelationshipBoost(card, await relationshipService.getUserTiers(userId));
+    const account = this.rewardCalculator.getAccountDetails(card);
+    const rewards = account.rewards;
+
+    const capUsage = new Map();
+    const categoryPoints = {};
+    const start = new Date(date);
+
+    for (let month = 0; month < this.PROJECTION_MONTHS; month++) {
+      const monthDate = new Date(start.getFullYear(), start.getMonth() + month, 15);
+
+      for (const [category, annualSpend] of Object.entries(spendProfile)) {
+        let remaining = annualSpend / this.PROJECTION_MONTHS;
+        let points = 0;
+
+        const candidates = rewards
+          .filter(reward => this.rewardCalculator.isRewardApplicable(reward, category, monthDate, account))
+          .filter(reward => getLikelihood(reward, preferences) > 0)
+          .filter(reward => !this.isPickedBySpend(reward, account) ||
+            this.getHighestSpendCategory(reward, spendProfile) === category)
+          .sort((a, b) => parseFloat(b.multiplier) - parseFloat(a.multiplier));
+
+        for (const reward of candidates) {
+          if (remaining <= 0) break;
+          const multiplier = parseFloat(reward.multiplier);
+          const eligible = remaining * getLikelihood(reward, preferences);
+
+          if (!reward.cap) {
+            points += eligible * multiplier;
+            remaining -= eligible;
+            continue;
+          }
+
+          const capKey = this.getCapKey(reward, rewards, monthDate, account);
+          const used = capUsage.get(capKey) || 0;
+          const portion = Math.min(Math.max(0, parseFloat(reward.cap) - used), eligible);
+
+          points += portion * multiplier;
+          remaining -= portion;
+          capUsage.set(capKey, used + portion);
+        }
+
+        // Cards without an 'All' reward still earn 1x on everything else
+        points += remaining;
+        categoryPoints[category] = (categoryPoints[category] || 0) + points;
+      }
+    }
+
+    const byCategory = Object.entries(spendProfile).map(([category, spend]) => {
+      const points = applyRelationshipBoost(categoryPoints[category] || 0, relationship);
+      const value = points * centsPerPoint / 100;
+      return {
+        category,
+        spend,
+        points: Math.round(points),
+        value: Math.round(value * 100) / 100,
+        effectiveRate: spend > 0 ? Math.round(value / spend * 10000) / 100 : 0
+      };
+    });
+
+    const annualSpend = byCategory.reduce((sum, c) => sum + c.spend, 0);
+    const rewardsValue = Math.round(byCategory.reduce((sum, c) => sum + c.value, 0) * 100) / 100;
+    const annualFee = Number(card.annual_fee) || 0;
+    const credits = this.getAnnualCredits(card);
+
+    return {
+      cardId: card.id,
+      cardName: card.name,
+      issuer: card.issuer,
+      network: card.network,
+      imageUrl: card.image_url,
+      rewardCurrency,
+      centsPerPoint,
+      annualSpend,
+      pointsEarned: byCategory.reduce((sum, c) => sum + c.points, 0),
+      rewardsValue,
+      annualFee,
+      credits,
+      netValue: Math.round((rewardsValue + credits - annualFee) * 100) / 100,
+      effectiveRate: annualSpend > 0 ? Math.round(rewardsValue / annualSpend * 10000) / 100 : 0,
+      relationshipBoost: relationship,
+      byCategory
+    };
+  }
+
+  /**
+   * Project several cards and rank them by net value
+   */
+  async projectCards(cards, spendProfile, userId = null, date = new Date()) {
+    const projections = [];
+    for (const card of cards) {
+      projections.push(await this.projectCard(card, spendProfile, userId, date));
+    }
+    return projections.sort((a, b) => b.netValue - a.netValue);
+  }
+
+  /**
+   * Combine card projections into a wallet that routes each category to its best card.
+   * Each card's caps were simulated against the whole profile, so this slightly
+   * understates cards whose shared caps would be freed up by another card.
+   */
+  combineWallet(projections) {
+    const assignments = {};
+
+    for (const projection of projections) {
+      for (const entry of projection.byCategory) {
+        const current = assignments[entry.category];
+        if (!current || entry.value > current.value) {
+          assignments[entry.category] = {
+            ...entry,
+            cardId: projection.cardId,
+            cardName: projection.cardName
+          };
+        }
+      }
+    }
+
+    const byCategory = Object.values(assignments);
+    const rewardsValue = Math.round(byCategory.reduce((sum, c) => sum + c.value, 0) * 100) / 100;
+    const annualFees = projections.reduce((sum, p) => sum + p.annualFee, 0);
+    const credits = projections.reduce((sum, p) => sum + p.credits, 0);
+
+    return {
+      cardIds: projections.map(p => p.cardId),
+      rewardsValue,
+      annualFees,
+      credits,
+      netValue: Math.round((rewardsValue + credits - annualFees) * 100) / 100,
+      byCategory
+    };
+  }
+
+  /**
+   * Yearly face value of the card's statement credits (card_benefits)
+   */
+  getAnnualCredits(card) {
+    return BenefitService.getAnnualCredits(card.benefits);
+  }
+
+  /**
+   * Top-category rewards, and choice rewards with no recorded selection, go to the
+   * eligible category with the most projected spend
+   */
+  isPickedBySpend(reward, account) {
+    return reward.reward_type === 'top_category' ||
+      (reward.reward_type === 'choice' && !account.choiceSelections);
+  }
+
+  getHighestSpendCategory(reward, spendProfile) {
+    let best = null;
+    for (const category of Object.keys(spendProfile)) {
+      if (!this.rewardCalculator.isEligibleCategory(reward, category)) continue;
+      if (!best || spendProfile[category] > spendProfile[best]) {
+        best = category;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Identify the cap bucket a reward draws from for the period containing `date`
+   */
+  getCapKey(reward, rewards, date, account) {
+    const { startDate } = getPeriodRange(reward.cap_period, date, account);
+    const bucket = reward.cap_group ? `group:${reward.cap_group}` : `reward:${rewards.indexOf(reward)}`;
+    return `${bucket}:${startDate.toISOString()}`;
+  }
+}
+
+module.exports = ProjectionEngine;
\ No newline at end of file
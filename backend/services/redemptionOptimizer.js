@@ -0,0 +1,145 @@
+const pointValuationService = require('./pointValuationService');
+const { REWARD_CURRENCIES, isValidRewardCurrency } = require('./rewardCurrencies');
+const {
+  PARTNER_PROGRAMS,
+  TRANSFER_PARTNERS,
+  TRANSFER_RULES,
+  getPartnerType,
+  getTransferBonus,
+  getTransferRoutes
+} = require('./transferPartners');
+
+class RedemptionOptimizer {
+  /**
+   * Display name of a card currency or partner program
+   */
+  getProgramName(code) {
+    return REWARD_CURRENCIES[code]?.name || PARTNER_PROGRAMS[code]?.name || code;
+  }
+
+  /**
+   * Whether a code is a program an award can be booked in
+   */
+  isKnownProgram(code) {
+    return isValidRewardCurrency(code) || Object.prototype.hasOwnProperty.call(PARTNER_PROGRAMS, code);
+  }
+
+  /**
+   * Cents per point for any program: the user's valuation for card currencies,
+   * the partner default otherwise
+   */
+  async getCentsPerPoint(code, userId = null) {
+    if (isValidRewardCurrency(code)) {
+      return pointValuationService.getCentsPerPoint(code, userId);
+    }
+    return PARTNER_PROGRAMS[code]?.centsPerPoint ?? 1;
+  }
+
+  /**
+   * The whole partner graph, with bonuses active on `date`
+   */
+  getPartnerGraph(date = new Date()) {
+    return Object.entries(TRANSFER_PARTNERS).map(([from, partners]) => ({
+      currency: from,
+      name: this.getProgramName(from),
+      ...TRANSFER_RULES[from],
+      partners: Object.entries(partners).map(([to, ratio]) => ({
+        program: to,
+        name: this.getProgramName(to),
+        type: getPartnerType(to),
+        ratio,
+        bonus: getTransferBonus(from, to, date)
+      }))
+    }));
+  }
+
+  /**
+   * Cheapest way to cover an award of `points` in `program` from the user's `balances`
+   * ({ UR: 60000, UNITED: 12000, ... }). Cost is the value of the points given up at the
+   * user's valuations, so each source is priced per award point it yields:
+   * cents per point / (ratio x (1 + bonus)). Sources are drawn cheapest first, which is
+   * optimal apart from rounding transfers up to whole blocks.
+   */
+  async planRedemption({ program, points, balances = {}, cashPrice = null, transferBonuses = [], date = new Date() }, userId = null) {
+    const options = [];
+
+    // Points already sitting in the award program
+    const held = Math.floor(parseFloat(balances[program]) || 0);
+    if (held > 0) {
+      const centsPerPoint = await this.getCentsPerPoint(program, userId);
+      options.push({ from: program, direct: true, balance: held, ratio: 1, bonus: 0, effectiveRatio: 1, centsPerPoint, costPerAwardPoint: centsPerPoint });
+    }
+
+    for (const route of getTransferRoutes(program, date, transferBonuses)) {
+      const balance = Math.floor(parseFloat(balances[route.from]) || 0);
+      if (balance < route.minimum) continue;
+
+      const centsPerPoint = await this.getCentsPerPoint(route.from, userId);
+      options.push({ ...route, direct: false, balance, centsPerPoint, costPerAwardPoint: centsPerPoint / route.effectiveRatio });
+    }
+
+    options.sort((a, b) => a.costPerAwardPoint - b.costPerAwardPoint);
+
+    const steps = [];
+    let remaining = points;
+    for (const option of options) {
+      if (remaining <= 0) break;
+
+      let spent;
+      let received;
+      if (option.direct) {
+        spent = Math.min(option.balance, remaining);
+        received = spent;
+      } else {
+        const needed = this.roundUpToBlock(Math.ceil(remaining / option.effectiveRatio), option);
+        const available = option.balance - ((option.balance - option.minimum) % option.increment);
+        spent = Math.min(needed, available);
+        received = Math.floor(spent * option.effectiveRatio);
+      }
+
+      remaining -= received;
+      steps.push({
+        from: option.from,
+        fromName: this.getProgramName(option.from),
+        transfer: !option.direct,
+        pointsUsed: spent,
+        pointsReceived: received,
+        ratio: option.ratio,
+        bonus: option.bonus,
+        centsPerPoint: option.centsPerPoint,
+        value: Math.round(spent * option.centsPerPoint) / 100
+      });
+    }
+
+    const valueSpent = Math.round(steps.reduce((sum, step) => sum + step.value, 0) * 100) / 100;
+    const programName = this.getProgramName(program);
+
+    return {
+      feasible: remaining <= 0,
+      target: { program, name: programName, points },
+      steps,
+      valueSpent,
+      shortfall: Math.max(0, remaining),
+      leftover: Math.max(0, -remaining),
+      cashPrice,
+      // What the award gets per point: above your valuations means it beats paying cash
+      redemptionCentsPerPoint: cashPrice ? Math.round(cashPrice * 10000 / points) / 100 : null,
+      summary: remaining > 0
+        ? `${remaining.toLocaleString()} ${programName} points short`
+        : steps.map(step => step.transfer
+          ? `Transfer ${step.pointsUsed.toLocaleString()} ${step.fromName} for ${step.pointsReceived.toLocaleString()}`
+          : `Use ${step.pointsUsed.toLocaleString()} ${step.fromName} already in the account`
+        ).join(', ')
+    };
+  }
+
+  /**
+   * Round a transfer up to the source's minimum and block size
+   */
+  roundUpToBlock(amount, { minimum, increment }) {
+    if (amount <= minimum) return minimum;
+    return minimum + Math.ceil((amount - minimum) / increment) * increment;
+  }
+}
+
+module.exports = RedemptionOptimizer;
\ No newline at end of file
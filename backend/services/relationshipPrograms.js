@@ -0,0 +1,88 @@
+// Banking-relationship programs that boost card earnings by the user's tier
+// e.g. BofA Preferred Rewards Platinum Honors earns 75% more on eligible cards (3% becomes 5.25%)
+
+const RELATIONSHIP_PROGRAMS = {
+  bofa_preferred_rewards: {
+    name: 'Preferred Rewards',
+    issuer: 'Bank of America',
+    // Boost is the share added to every multiplier; Diamond tiers stop at the Platinum Honors boost
+    tiers: {
+      gold: { name: 'Gold', boost: 0.25 },
+      platinum: { name: 'Platinum', boost: 0.5 },
+      platinum_honors: { name: 'Platinum Honors', boost: 0.75 },
+      diamond: { name: 'Diamond', boost: 0.75 },
+      diamond_honors: { name: 'Diamond Honors', boost: 0.75 }
+    },
+    // Co-brands and no-rewards cards (BankAmericard) don't earn the boost
+    eligibleCards: [
+      'Bank of America Customized Cash Rewards',
+      'Bank of America Unlimited Cash Rewards',
+      'Bank of America Travel Rewards',
+      'Bank of America Premium Rewards'
+    ]
+  }
+};
+
+/**
+ * Check whether a program id is known (own keys only, so 'toString' is not a program)
+ */
+function isKnownProgram(programId) {
+  return Object.prototype.hasOwnProperty.call(RELATIONSHIP_PROGRAMS, programId);
+}
+
+/**
+ * Check whether a program and tier are known
+ */
+function isValidTier(programId, tier) {
+  return isKnownProgram(programId) &&
+    Object.prototype.hasOwnProperty.call(RELATIONSHIP_PROGRAMS[programId].tiers, tier);
+}
+
+/**
+ * The program id a card earns a relationship boost under, or null
+ */
+function getProgramForCard(card) {
+  const entry = Object.entries(RELATIONSHIP_PROGRAMS).find(([, program]) =>
+    program.issuer === card.issuer && program.eligibleCards.includes(card.name)
+  );
+  return entry ? entry[0] : null;
+}
+
+/**
+ * The boost a card gets from the user's relationship tiers ({ programId: tier }), or null
+ */
+function getRelationshipBoost(card, userTiers = {}) {
+  const programId = getProgramForCard(card);
+  const tier = programId && userTiers[programId];
+  if (!tier || !isValidTier(programId, tier)) {
+    return null;
+  }
+
+  const program = RELATIONSHIP_PROGRAMS[programId];
+  const { name: tierName, boost } = program.tiers[tier];
+  return {
+    programId,
+    program: program.name,
+    tier,
+    tierName,
+    boost,
+    summary: `+${Math.round(boost * 100)}% from ${program.name} ${tierName}`
+  };
+}
+
+/**
+ * Scale an earn rate by a relationship boost (unchanged without one)
+ */
+function applyRelationshipBoost(rate, relationship) {
+  if (!relationship) return rate;
+  return Math.round(rate * (1 + relationship.boost) * 10000) / 10000;
+}
+
+module.exports = {
+  RELATIONSHIP_PROGRAMS,
+  isKnownProgram,
+  isValidTier,
+  getProgramForCard,
+  getRelationshipBoost,
+  applyRelationshipBoost
+};
\ No newline at end of file
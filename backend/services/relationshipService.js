@@ -0,0 +1,100 @@
+const pool = require('../lib/db');
+const { RELATIONSHIP_PROGRAMS, isValidTier } = require('./relationshipPrograms');
+
+class RelationshipService {
+  constructor() {
+    this.cache = new Map(); // userId -> { value: { programId: tier }, timestamp }
+    this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
+  }
+
+  /**
+   * Get a user's relationship tiers keyed by program id
+   */
+  async getUserTiers(userId) {
+    if (!userId) {
+      return {};
+    }
+
+    if (this.cache.has(userId)) {
+      const cached = this.cache.get(userId);
+      if (Date.now() - cached.timestamp < this.cacheExpiry) {
+        return cached.value;
+      }
+    }
+
+    try {
+      const result = await pool.query(
+        `SELECT program, tier FROM user_relationship_tiers WHERE user_id = $1`,
+        [userId]
+      );
+
+      const tiers = {};
+      for (const row of result.rows) {
+        tiers[row.program] = row.tier;
+      }
+
+      this.cache.set(userId, { value: tiers, timestamp: Date.now() });
+      return tiers;
+    } catch (error) {
+      console.error('Error getting relationship tiers:', error);
+      return {}; // No boosts
+    }
+  }
+
+  /**
+   * List every program with its tiers and the user's current tier
+   */
+  async getProgramTable(userId = null) {
+    const userTiers = await this.getUserTiers(userId);
+
+    return Object.entries(RELATIONSHIP_PROGRAMS).map(([programId, program]) => ({
+      programId,
+      name: program.name,
+      issuer: program.issuer,
+      tiers: Object.entries(program.tiers).map(([tier, { name, boost }]) => ({ tier, name, boost })),
+      eligibleCards: program.eligibleCards,
+      tier: userTiers[programId] || null
+    }));
+  }
+
+  /**
+   * Save the user's tier in a program
+   */
+  async setUserTier(userId, programId, tier) {
+    if (!isValidTier(programId, tier)) {
+      throw new Error(`Unknown tier ${tier} for ${programId}`);
+    }
+
+    await pool.query(
+      `INSERT INTO user_relationship_tiers (user_id, program, tier, updated_at)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (user_id, program)
+       DO UPDATE SET tier = EXCLUDED.tier, updated_at = NOW()`,
+      [userId, programId, tier]
+    );
+
+    this.clearUserCache(userId);
+  }
+
+  /**
+   * Remove the user's tier so the program no longer boosts their cards
+   */
+  async clearUserTier(userId, programId) {
+    const result = await pool.query(
+      `DELETE FROM user_relationship_tiers WHERE user_id = $1 AND program = $2`,
+      [userId, programId]
+    );
+
+    this.clearUserCache(userId);
+    return result.rowCount;
+  }
+
+  /**
+   * Clear cached tiers for a specific user
+   */
+  clearUserCache(userId) {
+    this.cache.delete(userId);
+  }
+}
+
+module.exports = new RelationshipService();
\ No newline at end of file
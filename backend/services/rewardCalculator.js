@@ -1,96 +1,400 @@
 const pool = require('../lib/db');
+const pointValuationService = require('./pointValuationService');
+const { REWARD_CURRENCIES, DEFAULT_REWARD_CURRENCY } = require('./rewardCurrencies');
+const { getPeriodRange } = require('./capPeriods');
+const { getCapCategories } = require('./capGroups');
+const RotatingCategoryService = require('./rotatingCategoryService');
+const ChoiceCategoryService = require('./choiceCategoryService');
+const UserSpendingService = require('./userSpendingService');
+const { MERCHANT_TYPES } = require('./categoryMappings');
+const { getMccMerchantType, mccInRanges } = require('./mccCodes');
+const { HOME_CURRENCY } = require('./currencyRates');
+const userPreferenceService = require('./userPreferenceService');
+const { getLikelihood, describeAdjustment } = require('./rewardPreferences');
+const relationshipService = require('./relationshipService');
+const { getRelationshipBoost, applyRelationshipBoost } = require('./relationshipPrograms');
+
+// Purchases are domestic unless the caller says otherwise
+const DEFAULT_PURCHASE_COUNTRY = 'US';
 
 class RewardCalculator {
   constructor() {
     // Cache for frequently accessed card data
     this.cardCache = new Map();
     this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
+    this.userSpendingService = new UserSpendingService();
     
     // Validate category mappings on startup
     this.validateCategoryMappings();
   }
 
   /**
-   * Calculate the best reward for a given category and card
+   * Calculate the best reward for a given category and card.
+   * Rewards the user said they never go along with (portal booking, activation, caps) are
+   * skipped; ones they only sometimes do are weighed against the card's unconditional rate.
+   * A banking-relationship tier (e.g. BofA Preferred Rewards) scales the chosen earn rate.
+   * `context` describes the purchase beyond its category:
+   *   merchant - the MERCHANT_PATTERNS key matched in the description, for reward exclusions
+   *   mcc - the merchant category code, checked against rewards that list eligible_mccs; its
+   *     merchant type (5300 is a warehouse club) counts for exclusions like the merchant's
+   *   country - ISO country code of the merchant (defaults to US)
+   *   currency - ISO currency the merchant charges in; with a non-US country it makes the
+   *     purchase foreign, so the card's foreign transaction fee comes off the effective rate
+   *   simulatedSpending - purchases not yet in user_spending ({ cardId, category, amount, date })
+   *     that should count toward caps, e.g. earlier lines of a batch
+   *   spendingHistory - the user's recorded spending from loadSpendingHistory; caps and top
+   *     categories are then worked out in memory instead of one query per reward
+   *   valuations, preferences, relationshipTiers - the user's settings from loadUserContext,
+   *     so scoring a wallet doesn't look them up again for every card
+   *   explain - attach a `trace` of every rule considered: why each was rejected or skipped,
+   *     how caps and preferences shaped the matched ones, and the adjustments applied after
    */
-  async calculateReward(card, category, amount = 0, date = new Date(), userId = null) {
+  async calculateReward(card, category, amount = 0, date = new Date(), userId = null, context = {}) {
+    const rewardCurrency = card.reward_currency || DEFAULT_REWARD_CURRENCY;
+    const centsPerPoint = context.valuations
+      ? pointValuationService.resolveCentsPerPoint(context.valuations, rewardCurrency)
+      : await pointValuationService.getCentsPerPoint(rewardCurrency, userId);
+    const preferences = context.preferences || await userPreferenceService.getPreferences(userId);
+    const relationship = getRelationshipBoost(
+      card, context.relationshipTiers || await relationshipService.getUserTiers(userId)
+    );
+    const account = {
+      ...this.getAccountDetails(card),
+      simulatedSpending: context.simulatedSpending || null,
+      spendingHistory: context.spendingHistory || null
+    };
+    const purchase = {
+      merchant: context.merchant || null,
+      mcc: context.mcc || null,
+      country: context.country || null,
+      foreign: this.isForeignPurchase(context)
+    };
+    const trace = context.explain ? { category, purchase, rules: [], baseReward: false } : null;
+    // Relationship boost first (it scales points), then the fee on the boosted value
+    const finalize = rewardInfo => {
+      const result = this.applyForeignTransactionFee(
+        this.applyRelationship(rewardInfo, relationship, amount), card, amount, purchase
+      );
+      return trace ? { ...result, trace: this.completeTrace(trace, rewardInfo, result) } : result;
+    };
+
     try {
       // Parse rewards if they're still JSON string
       const rewards = typeof card.rewards === 'string' 
         ? JSON.parse(card.rewards) 
         : card.rewards;
 
-      // Find applicable rewards for this category
-      const applicableRewards = rewards.filter(reward => 
-        this.isRewardApplicable(reward, category, date)
-      );
+      // Find applicable rewards for this category that the user would actually earn
+      const applicableRewards = rewards.filter(reward => {
+        const rejection = this.getRewardRejection(reward, category, date, account, purchase);
+        const likelihood = getLikelihood(reward, preferences);
+
+        if (trace && rejection) {
+          trace.rules.push({ ...this.describeRule(reward), status: 'rejected', ...rejection });
+        } else if (trace && likelihood === 0) {
+          trace.rules.push({
+            ...this.describeRule(reward),
+            status: 'skipped',
+            reason: 'preference',
+            detail: describeAdjustment(reward, preferences).join('; ')
+          });
+        }
+
+        return !rejection && likelihood > 0;
+      });
 
       if (applicableRewards.length === 0) {
-        return this.getBaseReward(card, amount);
+        if (trace) trace.baseReward = true;
+        return finalize(this.getBaseReward(card, amount, centsPerPoint));
       }
 
       // Calculate effective rate for each applicable reward
-      let bestReward = null;
-      let highestEffectiveRate = 0;
-
+      const rated = [];
       for (const reward of applicableRewards) {
         const effectiveRate = await this.calculateEffectiveRate(
-          reward, userId, card.id, category, amount, date
+          reward, userId, card.id, category, amount, date, account
         );
-        
-        if (effectiveRate > highestEffectiveRate) {
-          highestEffectiveRate = effectiveRate;
-          bestReward = reward;
+        rated.push({ reward, rate: parseFloat(effectiveRate), likelihood: getLikelihood(reward, preferences) });
+      }
+
+      // When the user skips a conditional reward they earn the best unconditional rate instead
+      const fallbackRate = Math.max(1, ...rated.filter(r => r.likelihood === 1).map(r => r.rate));
+
+      let bestReward = null;
+      let bestRated = null;
+      let highestEffectiveRate = 0;
+
+      for (const entry of rated) {
+        const expectedRate = entry.likelihood * entry.rate + (1 - entry.likelihood) * fallbackRate;
+
+        if (expectedRate > highestEffectiveRate) {
+          highestEffectiveRate = expectedRate;
+          bestReward = entry.reward;
+          bestRated = entry;
+        }
+      }
+
+      if (trace) {
+        trace.fallbackRate = fallbackRate;
+        for (const entry of rated) {
+          trace.rules.push(await this.describeMatchedRule(
+            entry, fallbackRate, entry === bestRated, { userId, card, category, amount, date, account }
+          ));
         }
       }
 
-      const capStatus = await this.getCapStatus(bestReward, userId, card.id, category, date);
+      const capStatus = await this.getCapStatus(bestReward, userId, card.id, category, date, account);
+      const valuedRate = this.applyValuation(highestEffectiveRate, centsPerPoint);
+      const topCategory = bestReward.reward_type === 'top_category'
+        ? await this.getTopCategoryStatus(bestReward, userId, card.id, category, amount, date, account)
+        : null;
       
-      return {
+      return finalize({
         category: bestReward.category,
         multiplier: bestReward.multiplier,
-        effectiveRate: highestEffectiveRate,
-        rewardValue: amount > 0 ? (amount * highestEffectiveRate / 100).toFixed(2) : '0.00',
+        earnRate: highestEffectiveRate,
+        effectiveRate: valuedRate,
+        rewardCurrency,
+        centsPerPoint,
+        pointsEarned: amount > 0 ? Math.round(amount * highestEffectiveRate * 100) / 100 : 0,
+        rewardValue: amount > 0 ? (amount * valuedRate / 100).toFixed(2) : '0.00',
         portalOnly: bestReward.portal_only || false,
         capStatus: capStatus,
+        topCategory,
+        preferenceAdjustment: bestRated.likelihood < 1
+          ? {
+              likelihood: bestRated.likelihood,
+              fullEarnRate: bestRated.rate,
+              fallbackEarnRate: fallbackRate,
+              reasons: describeAdjustment(bestReward, preferences)
+            }
+          : null,
         notes: bestReward.notes || '',
         rawReward: bestReward // Include raw reward for debugging
-      };
+      });
 
     } catch (error) {
       console.error('Error calculating reward:', error);
-      return this.getBaseReward(card, amount);
+      if (trace) {
+        trace.baseReward = true;
+        trace.error = error.message;
+      }
+      return finalize(this.getBaseReward(card, amount, centsPerPoint));
+    }
+  }
+
+  /**
+   * The fields of a card_rewards row worth showing in a trace
+   */
+  describeRule(reward) {
+    return {
+      category: reward.category,
+      rewardType: reward.reward_type || 'fixed',
+      multiplier: parseFloat(reward.multiplier),
+      cap: reward.cap ? parseFloat(reward.cap) : null,
+      capPeriod: reward.cap_period || null,
+      portalOnly: !!reward.portal_only,
+      startDate: reward.start_date || null,
+      endDate: reward.end_date || null
+    };
+  }
+
+  /**
+   * Trace entry for a rule that applied: the rate it earns after caps or a lost top-category
+   * race, and the expected rate once preferences weigh it against the fallback
+   */
+  async describeMatchedRule(entry, fallbackRate, selected, { userId, card, category, amount, date, account }) {
+    const { reward, rate, likelihood } = entry;
+    const multiplier = parseFloat(reward.multiplier);
+    const notes = [];
+
+    if (reward.reward_type === 'top_category') {
+      const topCategory = await this.getTopCategoryStatus(reward, userId, card.id, category, amount, date, account);
+      notes.push(topCategory.summary);
+    }
+
+    let capStatus = null;
+    if (reward.cap) {
+      capStatus = await this.getCapStatus(reward, userId, card.id, category, date, account);
+      if (capStatus.remaining == null) {
+        notes.push(`$${reward.cap} cap not tracked without spending history`);
+      } else if (capStatus.remaining <= 0) {
+        notes.push(`$${reward.cap} cap reached this period; earns the base rate`);
+      } else if (amount > capStatus.remaining) {
+        notes.push(`$${capStatus.remaining} of $${amount} fits under the cap at ${multiplier}x; the rest earns the base rate`);
+      } else {
+        notes.push(`$${capStatus.remaining} of the $${reward.cap} cap left`);
+      }
+    }
+
+    if (likelihood < 1) {
+      notes.push(`Counted at ${Math.round(likelihood * 100)}% against the ${fallbackRate}x fallback`);
+    }
+
+    return {
+      ...this.describeRule(reward),
+      status: selected ? 'selected' : 'matched',
+      earnRate: Math.round(rate * 10000) / 10000,
+      likelihood,
+      expectedRate: Math.round((likelihood * rate + (1 - likelihood) * fallbackRate) * 10000) / 10000,
+      capStatus,
+      detail: notes.join('; ') || null
+    };
+  }
+
+  /**
+   * Record how the chosen rate became the final one: valuation, relationship boost, foreign fee
+   */
+  completeTrace(trace, rewardInfo, result) {
+    const adjustments = [{
+      type: 'valuation',
+      detail: `${rewardInfo.earnRate}x at ${rewardInfo.centsPerPoint}¢ per point = ${rewardInfo.effectiveRate}%`
+    }];
+
+    if (result.relationshipBoost) {
+      adjustments.push({
+        type: 'relationship',
+        detail: `${result.relationshipBoost.summary}: ${result.baseEarnRate}x becomes ${result.earnRate}x`
+      });
+    }
+
+    if (result.foreignTransactionFee != null) {
+      adjustments.push({
+        type: 'foreign_fee',
+        detail: `${result.foreignTransactionFee}% foreign transaction fee: ${result.grossRate}% becomes ${result.effectiveRate}%`
+      });
+    }
+
+    return {
+      ...trace,
+      selected: trace.baseReward ? null : rewardInfo.category,
+      adjustments,
+      effectiveRate: result.effectiveRate
+    };
+  }
+
+  /**
+   * Scale a reward's earn rate by the user's relationship boost, keeping the unboosted
+   * rate as baseEarnRate so the boost can be shown in the reasoning
+   */
+  applyRelationship(rewardInfo, relationship, amount) {
+    if (!relationship) {
+      return rewardInfo;
     }
+
+    const earnRate = applyRelationshipBoost(parseFloat(rewardInfo.earnRate), relationship);
+    const effectiveRate = this.applyValuation(earnRate, rewardInfo.centsPerPoint);
+    return {
+      ...rewardInfo,
+      baseEarnRate: rewardInfo.earnRate,
+      earnRate,
+      effectiveRate,
+      pointsEarned: amount > 0 ? Math.round(amount * earnRate * 100) / 100 : 0,
+      rewardValue: amount > 0 ? (amount * effectiveRate / 100).toFixed(2) : '0.00',
+      relationshipBoost: relationship
+    };
+  }
+
+  /**
+   * A purchase is foreign when the merchant is outside the US or charges in another currency
+   */
+  isForeignPurchase(context = {}) {
+    const country = context.country ? context.country.toUpperCase() : DEFAULT_PURCHASE_COUNTRY;
+    const currency = context.currency ? context.currency.toUpperCase() : HOME_CURRENCY;
+    return country !== DEFAULT_PURCHASE_COUNTRY || currency !== HOME_CURRENCY;
+  }
+
+  /**
+   * Net a foreign purchase's reward of the card's foreign transaction fee. The fee is a
+   * percentage of the purchase, so it comes straight off the dollar-equivalent rate and
+   * can leave it negative (1% back on a 3% fee card loses 2%).
+   */
+  applyForeignTransactionFee(rewardInfo, card, amount, purchase = {}) {
+    if (!purchase.foreign) {
+      return rewardInfo;
+    }
+
+    const fee = parseFloat(card.foreign_transaction_fee) || 0;
+    const effectiveRate = Math.round((rewardInfo.effectiveRate - fee) * 100) / 100;
+    return {
+      ...rewardInfo,
+      grossRate: rewardInfo.effectiveRate,
+      effectiveRate,
+      rewardValue: amount > 0 ? (amount * effectiveRate / 100).toFixed(2) : '0.00',
+      foreignTransactionFee: fee,
+      foreignFeeCost: amount > 0 ? Math.round(amount * fee) / 100 : 0
+    };
+  }
+
+  /**
+   * Cardholder-specific context: cap anchors, the rotating-category calendar, activations,
+   * choice-category selections and the card's rewards (for shared cap groups).
+   * activatedQuarters and choiceSelections stay null for demo cards, which have no user_cards row.
+   */
+  getAccountDetails(card) {
+    const rewards = typeof card.rewards === 'string'
+      ? JSON.parse(card.rewards)
+      : card.rewards;
+    const rotatingCalendar = typeof card.rotating_calendar === 'string'
+      ? JSON.parse(card.rotating_calendar)
+      : card.rotating_calendar;
+    const choiceSelections = typeof card.choice_selections === 'string'
+      ? JSON.parse(card.choice_selections)
+      : card.choice_selections;
+
+    return {
+      openedAt: card.opened_at || null,
+      statementCloseDay: card.statement_close_day || null,
+      rotatingCalendar: rotatingCalendar || [],
+      activatedQuarters: card.activated_quarters || null,
+      choiceSelections: choiceSelections || null,
+      rewards: rewards || []
+    };
+  }
+
+  /**
+   * Convert an earn rate (points per dollar) into a dollar-equivalent percentage
+   */
+  applyValuation(earnRate, centsPerPoint) {
+    return Math.round(earnRate * centsPerPoint * 100) / 100;
   }
 
   /**
    * Calculate effective reward rate considering caps and spending history
    */
-  async calculateEffectiveRate(reward, userId, cardId, category, amount, date) {
+  async calculateEffectiveRate(reward, userId, cardId, category, amount, date, account = {}) {
     // Base multiplier
     let effectiveRate = reward.multiplier;
 
+    // Top-category rewards only pay the bonus when this category wins the cycle
+    if (reward.reward_type === 'top_category') {
+      const topCategory = await this.getTopCategoryStatus(reward, userId, cardId, category, amount, date, account);
+      if (!topCategory.qualifies) {
+        return this.getBaseRate(cardId, account);
+      }
+    }
+
     // If no cap, return the full rate
     if (!reward.cap) {
       return effectiveRate;
     }
 
     // If no user ID provided (demo mode), assume no prior spending
-    if (!userId) {
+    if (!userId && !account.simulatedSpending) {
       return effectiveRate;
     }
 
     try {
       // Get current spending for this cap period
       const currentSpending = await this.getCurrentSpending(
-        userId, cardId, category, reward, date
+        userId, cardId, category, reward, date, account
       );
 
       const remainingCap = Math.max(0, reward.cap - currentSpending);
       
       // If cap is already exceeded, return base rate (usually 1x)
       if (remainingCap <= 0) {
-        return this.getBaseRate(cardId);
+        return this.getBaseRate(cardId, account);
       }
       
       // If amount fits within remaining cap, return full rate
@@ -100,7 +404,7 @@ class RewardCalculator {
         // Calculate blended rate for amount exceeding cap
         const capPortion = remainingCap / amount;
         const excessPortion = 1 - capPortion;
-        const baseRate = await this.getBaseRate(cardId);
+        const baseRate = await this.getBaseRate(cardId, account);
         
         return (effectiveRate * capPortion) + (baseRate * excessPortion);
       }
@@ -113,27 +417,224 @@ class RewardCalculator {
   }
 
   /**
-   * Check if a reward applies to the given category and date
+   * Check if a reward applies to the given category and date, and that the
+   * purchase's merchant and country are not excluded from it
    */
-  isRewardApplicable(reward, category, date) {
-    // Category matching - 'All' category matches everything
-    const categoryMatches = reward.category === 'All' || 
-                           reward.category === category ||
-                           this.isCategoryMatch(reward.category, category);
-    
-    if (!categoryMatches) {
-      return false;
+  isRewardApplicable(reward, category, date, account = {}, purchase = {}) {
+    return !this.getRewardRejection(reward, category, date, account, purchase);
+  }
+
+  /**
+   * Why a reward doesn't apply to this purchase ({ reason, detail }), or null when it does.
+   * reason is one of category, activation, date, merchant, merchant_type, mcc or country.
+   */
+  getRewardRejection(reward, category, date, account = {}, purchase = {}) {
+    // Rotating rewards take their category from the quarterly calendar
+    if (reward.reward_type === 'rotating') {
+      if (!this.isRotatingCategory(category, date, account)) {
+        return { reason: 'category', detail: `${category} is not a rotating category this quarter` };
+      }
+      if (!this.isQuarterActivated(date, account)) {
+        return { reason: 'activation', detail: `${RotatingCategoryService.getQuarterKey(date)} was not activated` };
+      }
+    } else if (reward.reward_type === 'top_category') {
+      if (!this.isEligibleCategory(reward, category)) {
+        return { reason: 'category', detail: `${category} is not one of ${(reward.eligible_categories || []).join(', ')}` };
+      }
+    } else if (reward.reward_type === 'choice') {
+      if (!this.isChosenCategory(reward, category, date, account)) {
+        return { reason: 'category', detail: `${category} is not the selected choice category` };
+      }
+    } else {
+      // Category matching - 'All' category matches everything, and an MCC the reward
+      // lists in eligible_mccs counts whatever category it maps to (BofA grocery at a 5300 club)
+      const categoryMatches = reward.category === 'All' || 
+                             reward.category === category ||
+                             this.isCategoryMatch(reward.category, category) ||
+                             this.isEligibleMcc(reward, purchase.mcc);
+      
+      if (!categoryMatches) {
+        return { reason: 'category', detail: `Earns on ${reward.category}, not ${category}` };
+      }
     }
 
     // Date restrictions
     if (reward.start_date && new Date(reward.start_date) > date) {
-      return false;
+      return { reason: 'date', detail: `Starts ${new Date(reward.start_date).toISOString().split('T')[0]}` };
     }
     if (reward.end_date && new Date(reward.end_date) < date) {
-      return false;
+      return { reason: 'date', detail: `Ended ${new Date(reward.end_date).toISOString().split('T')[0]}` };
+    }
+
+    return this.getExclusion(reward, purchase);
+  }
+
+  /**
+   * Whether the reward names this MCC in its eligible_mccs
+   */
+  isEligibleMcc(reward, mcc) {
+    return !!mcc && !!reward.eligible_mccs && reward.eligible_mccs.length > 0 && mccInRanges(mcc, reward.eligible_mccs);
+  }
+
+  /**
+   * Whether a reward's structured exclusions rule out this purchase: the merchant itself,
+   * its merchant type (e.g. warehouse clubs), an MCC outside eligible_mccs or a country
+   * outside eligible_countries
+   */
+  isExcludedPurchase(reward, purchase = {}) {
+    return !!this.getExclusion(reward, purchase);
+  }
+
+  /**
+   * The exclusion that rules out this purchase ({ reason, detail }), or null
+   */
+  getExclusion(reward, purchase = {}) {
+    const merchant = purchase.merchant ? purchase.merchant.toUpperCase() : null;
+
+    if (merchant && (reward.excluded_merchants || []).includes(merchant)) {
+      return { reason: 'merchant', detail: `${merchant} is excluded` };
+    }
+
+    if (merchant && (reward.excluded_merchant_types || []).includes(MERCHANT_TYPES[merchant])) {
+      return { reason: 'merchant_type', detail: `${merchant} is a ${MERCHANT_TYPES[merchant].replace(/_/g, ' ')}, which is excluded` };
     }
 
-    return true;
+    const mccMerchantType = getMccMerchantType(purchase.mcc);
+    if (mccMerchantType && (reward.excluded_merchant_types || []).includes(mccMerchantType)) {
+      return { reason: 'merchant_type', detail: `MCC ${purchase.mcc} is a ${mccMerchantType.replace(/_/g, ' ')}, which is excluded` };
+    }
+
+    // Without an MCC the category match stands in for it
+    if (purchase.mcc && reward.eligible_mccs && reward.eligible_mccs.length > 0 &&
+        !mccInRanges(purchase.mcc, reward.eligible_mccs)) {
+      return { reason: 'mcc', detail: `MCC ${purchase.mcc} is not one of ${reward.eligible_mccs.join(', ')}` };
+    }
+
+    if (reward.eligible_countries && reward.eligible_countries.length > 0) {
+      // A foreign purchase with no country given is assumed to be outside every listed country
+      if (!purchase.country && purchase.foreign) {
+        return { reason: 'country', detail: `Foreign purchase; only earns in ${reward.eligible_countries.join(', ')}` };
+      }
+      const country = (purchase.country || DEFAULT_PURCHASE_COUNTRY).toUpperCase();
+      if (!reward.eligible_countries.includes(country)) {
+        return { reason: 'country', detail: `Only earns in ${reward.eligible_countries.join(', ')}, not ${country}` };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether the rotating calendar lists this category for the quarter containing `date`
+   */
+  isRotatingCategory(category, date, account = {}) {
+    const entries = RotatingCategoryService.getEntriesForDate(account.rotatingCalendar, date);
+    return entries.some(entry =>
+      entry.category === category || this.isCategoryMatch(entry.category, category)
+    );
+  }
+
+  /**
+   * Whether the user activated the quarter containing `date`
+   */
+  isQuarterActivated(date, account = {}) {
+    // Demo mode has no activation data - assume the quarter is activated
+    if (!account.activatedQuarters) {
+      return true;
+    }
+
+    return account.activatedQuarters.includes(RotatingCategoryService.getQuarterKey(date));
+  }
+
+  /**
+   * Whether the cardholder had selected this category as their choice category on `date`
+   */
+  isChosenCategory(reward, category, date, account = {}) {
+    // Demo mode has no selections - assume the best eligible option was picked
+    if (!account.choiceSelections) {
+      return this.isEligibleCategory(reward, category);
+    }
+
+    const selected = ChoiceCategoryService.getSelectionForDate(account.choiceSelections, date);
+    return !!selected && (selected === category || this.isCategoryMatch(selected, category));
+  }
+
+  /**
+   * Whether a purchase category is on the reward's eligible_categories menu
+   */
+  isEligibleCategory(reward, category) {
+    return (reward.eligible_categories || []).some(eligible =>
+      eligible === category || this.isCategoryMatch(eligible, category)
+    );
+  }
+
+  /**
+   * Find the eligible category leading this cycle and whether this purchase would make
+   * its own category the winner. The issuer settles the winner at cycle close, so this
+   * is a projection from the spending recorded so far.
+   */
+  async getTopCategoryStatus(reward, userId, cardId, category, amount, date, account = {}) {
+    const { period, startDate, endDate } = getPeriodRange(reward.cap_period || 'statement_cycle', date, account);
+    const base = { period, periodStart: startDate, periodEnd: endDate, eligibleCategories: reward.eligible_categories || [] };
+
+    // Demo mode has no spending history - the purchase category wins by default
+    if (!userId) {
+      return {
+        ...base,
+        qualifies: true,
+        currentLeader: null,
+        leaderSpend: 0,
+        categorySpend: 0,
+        amountToLead: 0,
+        shortfall: 0,
+        summary: `Earns the top-category bonus when ${category} is your highest eligible spend this cycle`
+      };
+    }
+
+    const totals = await this.getCategoryTotals(userId, cardId, startDate, endDate, account);
+
+    let categorySpend = 0;
+    let rival = null;
+    let rivalSpend = 0;
+    for (const [rowCategory, total] of totals) {
+      if (!this.isEligibleCategory(reward, rowCategory)) continue;
+
+      if (rowCategory === category) {
+        categorySpend = total;
+      } else if (total > rivalSpend) {
+        rival = rowCategory;
+        rivalSpend = total;
+      }
+    }
+
+    const spendAfterPurchase = categorySpend + amount;
+    const qualifies = spendAfterPurchase >= rivalSpend;
+    const currentLeader = categorySpend > 0 && categorySpend >= rivalSpend ? category : rival;
+    const leaderSpend = Math.max(categorySpend, rivalSpend);
+    const amountToLead = Math.round(Math.max(0, rivalSpend - categorySpend) * 100) / 100;
+    const shortfall = Math.round(Math.max(0, rivalSpend - spendAfterPurchase) * 100) / 100;
+
+    let summary;
+    if (!qualifies) {
+      summary = `${rival} leads this cycle at $${rivalSpend.toFixed(2)}; ${category} would still be $${shortfall.toFixed(2)} short after this purchase`;
+    } else if (currentLeader === category) {
+      summary = `${category} is your top category this cycle ($${categorySpend.toFixed(2)} so far)`;
+    } else if (rival) {
+      summary = `This purchase makes ${category} your top category, overtaking ${rival} ($${rivalSpend.toFixed(2)})`;
+    } else {
+      summary = `This purchase makes ${category} your top category this cycle`;
+    }
+
+    return {
+      ...base,
+      qualifies,
+      currentLeader,
+      leaderSpend,
+      categorySpend,
+      amountToLead,
+      shortfall,
+      summary
+    };
   }
 
   /**
@@ -187,83 +688,183 @@ class RewardCalculator {
   }
 
   /**
-   * Get current spending for cap calculation
+   * Get current spending for cap calculation, across every category sharing the reward's cap group
    */
-  async getCurrentSpending(userId, cardId, category, reward, date) {
-    const { startDate, endDate } = this.getCapPeriod(reward, date);
+  async getCurrentSpending(userId, cardId, category, reward, date, account = {}) {
+    const { startDate, endDate } = this.getCapPeriod(reward, date, account);
+    const categories = getCapCategories(reward, account.rewards, category, date, account);
+    const simulated = this.getSimulatedSpending(account, cardId, categories, startDate, endDate);
+
+    // Demo mode has no recorded spending, only what was simulated
+    if (!userId) {
+      return simulated;
+    }
+
+    if (account.spendingHistory) {
+      return this.sumSpending(account.spendingHistory, cardId, categories, startDate, endDate) + simulated;
+    }
     
     // Query user spending table
     const query = `
       SELECT COALESCE(SUM(amount), 0) as total
       FROM user_spending 
-      WHERE user_id = $1 AND card_id = $2 AND category = $3
+      WHERE user_id = $1 AND card_id = $2 AND category = ANY($3)
         AND date >= $4 AND date <= $5
     `;
     
     try {
       const result = await pool.query(query, [
-        userId, cardId, category, startDate, endDate
+        userId, cardId, categories, startDate, endDate
       ]);
       
-      return parseFloat(result.rows[0].total) || 0;
+      return (parseFloat(result.rows[0].total) || 0) + simulated;
     } catch (error) {
       console.error('Error getting current spending:', error);
-      return 0; // Assume no spending on error
+      return simulated; // Assume no recorded spending on error
     }
   }
 
   /**
-   * Determine the cap period dates
+   * Total of the simulated purchases on this card in the given categories and period
    */
-  getCapPeriod(reward, currentDate) {
-    const date = new Date(currentDate);
-    
-    // Determine period type from cap amount or notes
-    let periodType = 'yearly'; // default
-    
-    if (reward.notes) {
-      const notes = reward.notes.toLowerCase();
-      if (notes.includes('month') || notes.includes('/mo')) {
-        periodType = 'monthly';
-      } else if (notes.includes('quarter') || notes.includes('q1') || notes.includes('q2') || 
-                 notes.includes('q3') || notes.includes('q4')) {
-        periodType = 'quarterly';
+  getSimulatedSpending(account, cardId, categories, startDate, endDate) {
+    return this.sumSpending(account.simulatedSpending || [], cardId, categories, startDate, endDate);
+  }
+
+  /**
+   * Total of spending entries ({ cardId, category, amount, date }) on this card in the given
+   * categories and period
+   */
+  sumSpending(entries, cardId, categories, startDate, endDate) {
+    return entries
+      .filter(entry => {
+        const entryDate = new Date(entry.date);
+        return entry.cardId === cardId &&
+          categories.includes(entry.category) &&
+          entryDate >= startDate && entryDate <= endDate;
+      })
+      .reduce((sum, entry) => sum + entry.amount, 0);
+  }
+
+  /**
+   * Recorded plus simulated spending on a card per category within a period
+   */
+  async getCategoryTotals(userId, cardId, startDate, endDate, account = {}) {
+    const totals = new Map();
+    const add = (category, amount) => totals.set(category, (totals.get(category) || 0) + amount);
+
+    if (account.spendingHistory) {
+      for (const entry of account.spendingHistory) {
+        const entryDate = new Date(entry.date);
+        if (entry.cardId !== cardId || entryDate < startDate || entryDate > endDate) continue;
+        add(entry.category, entry.amount);
+      }
+    } else {
+      const rows = await this.userSpendingService.getSpendingByCategory(userId, startDate, endDate, cardId);
+      for (const row of rows) {
+        add(row.category, parseFloat(row.total_amount) || 0);
       }
     }
-    
-    switch (periodType) {
-      case 'monthly':
-        return {
-          startDate: new Date(date.getFullYear(), date.getMonth(), 1),
-          endDate: new Date(date.getFullYear(), date.getMonth() + 1, 0)
-        };
-      case 'quarterly':
-        const quarter = Math.floor(date.getMonth() / 3);
-        return {
-          startDate: new Date(date.getFullYear(), quarter * 3, 1),
-          endDate: new Date(date.getFullYear(), quarter * 3 + 3, 0)
-        };
-      case 'yearly':
-      default:
-        return {
-          startDate: new Date(date.getFullYear(), 0, 1),
-          endDate: new Date(date.getFullYear(), 11, 31)
-        };
+
+    for (const entry of account.simulatedSpending || []) {
+      const entryDate = new Date(entry.date);
+      if (entry.cardId !== cardId || entryDate < startDate || entryDate > endDate) continue;
+      add(entry.category, entry.amount);
     }
+
+    return totals;
+  }
+
+  /**
+   * Load the user's point valuations, reward preferences and relationship tiers once.
+   * Passed to calculateReward as context alongside spendingHistory.
+   */
+  async loadUserContext(userId) {
+    const [valuations, preferences, relationshipTiers] = await Promise.all([
+      pointValuationService.getUserValuations(userId),
+      userPreferenceService.getPreferences(userId),
+      relationshipService.getUserTiers(userId)
+    ]);
+    return { valuations, preferences, relationshipTiers };
+  }
+
+  /**
+   * Load the user's recorded spending on these cards in one query, covering every cap and
+   * top-category period that any of `dates` falls in. Passed to calculateReward as
+   * context.spendingHistory so a whole wallet is scored without further spending queries.
+   * Returns null in demo mode or on error, which leaves calculateReward querying per reward.
+   */
+  async loadSpendingHistory(cards, userId, dates = [new Date()]) {
+    if (!userId) {
+      return null;
+    }
+
+    let startDate = null;
+    let endDate = null;
+    for (const card of cards) {
+      const account = this.getAccountDetails(card);
+      for (const reward of account.rewards) {
+        const periods = [];
+        if (reward.cap) periods.push(reward.cap_period);
+        if (reward.reward_type === 'top_category') periods.push(reward.cap_period || 'statement_cycle');
+
+        for (const capPeriod of periods) {
+          for (const date of dates) {
+            const range = getPeriodRange(capPeriod, date, account);
+            if (!startDate || range.startDate < startDate) startDate = range.startDate;
+            if (!endDate || range.endDate > endDate) endDate = range.endDate;
+          }
+        }
+      }
+    }
+
+    // Nothing in the wallet depends on past spending
+    if (!startDate) {
+      return [];
+    }
+
+    const query = `
+      SELECT card_id, category, date, SUM(amount) AS total
+      FROM user_spending
+      WHERE user_id = $1 AND card_id = ANY($2)
+        AND date >= $3 AND date <= $4
+      GROUP BY card_id, category, date
+    `;
+
+    try {
+      const result = await pool.query(query, [userId, cards.map(card => card.id), startDate, endDate]);
+      return result.rows.map(row => ({
+        cardId: row.card_id,
+        category: row.category,
+        amount: parseFloat(row.total) || 0,
+        date: row.date
+      }));
+    } catch (error) {
+      console.error('Error loading spending history:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Determine the cap period dates from the reward's structured cap_period
+   */
+  getCapPeriod(reward, currentDate, account = {}) {
+    return getPeriodRange(reward.cap_period, currentDate, account);
   }
 
   /**
    * Get cap status for display
    */
-  async getCapStatus(reward, userId, cardId, category, date) {
-    if (!reward.cap || !userId) {
+  async getCapStatus(reward, userId, cardId, category, date, account = {}) {
+    if (!reward.cap || (!userId && !account.simulatedSpending)) {
       return { remaining: null, total: null, percentage: 0 };
     }
 
     try {
       const currentSpending = await this.getCurrentSpending(
-        userId, cardId, category, reward, date
+        userId, cardId, category, reward, date, account
       );
+      const { period, startDate, endDate } = this.getCapPeriod(reward, date, account);
       
       const remaining = Math.max(0, reward.cap - currentSpending);
       const used = reward.cap - remaining;
@@ -273,7 +874,13 @@ class RewardCalculator {
         remaining: remaining,
         total: reward.cap,
         used: used,
-        percentage: Math.round(percentage)
+        percentage: Math.round(percentage),
+        period,
+        periodStart: startDate,
+        periodEnd: endDate,
+        sharedCategories: reward.cap_group
+          ? getCapCategories(reward, account.rewards, category, date, account)
+          : null
       };
     } catch (error) {
       console.error('Error getting cap status:', error);
@@ -282,9 +889,18 @@ class RewardCalculator {
   }
 
   /**
-   * Get base reward rate for a card (usually 1x)
+   * Get base reward rate for a card (usually 1x), from the card's loaded rewards when
+   * `account` has them
    */
-  async getBaseRate(cardId) {
+  async getBaseRate(cardId, account = {}) {
+    // The account carries the card's full reward list, so no 'All' reward there means 1x
+    if (Array.isArray(account.rewards)) {
+      const baseRates = account.rewards
+        .filter(reward => reward.category === 'All')
+        .map(reward => parseFloat(reward.multiplier));
+      return baseRates.length > 0 ? Math.max(...baseRates) : 1;
+    }
+
     try {
       // Look for 'All' category reward or default to 1
       const query = `
@@ -310,12 +926,18 @@ class RewardCalculator {
   /**
    * Get base reward structure when no category matches
    */
-  getBaseReward(card, amount) {
+  getBaseReward(card, amount, centsPerPoint = 1) {
+    const valuedRate = this.applyValuation(1, centsPerPoint);
+
     return {
       category: 'All',
       multiplier: 1,
-      effectiveRate: 1,
-      rewardValue: amount > 0 ? (amount * 0.01).toFixed(2) : '0.00',
+      earnRate: 1,
+      effectiveRate: valuedRate,
+      rewardCurrency: card.reward_currency || DEFAULT_REWARD_CURRENCY,
+      centsPerPoint,
+      pointsEarned: amount > 0 ? amount : 0,
+      rewardValue: amount > 0 ? (amount * valuedRate / 100).toFixed(2) : '0.00',
       portalOnly: false,
       capStatus: { remaining: null, total: null, percentage: 0 },
       notes: 'Base reward rate'
@@ -355,6 +977,73 @@ class RewardCalculator {
     });
   }
 
+  /**
+   * Split a purchase across cards when one card's remaining cap cannot absorb it.
+   * Each card offers its bonus rate up to the remaining cap (from getCapStatus) and its
+   * base rate beyond it; dollars go to the best remaining rate first, which is optimal
+   * because a card's rate never rises once its cap is used up.
+   */
+  async allocatePurchase(cards, category, amount, date = new Date(), userId = null, context = {}) {
+    const tiers = [];
+
+    for (const card of cards) {
+      // Zero amount: the rate of the next dollar and the cap room left before this purchase
+      const rewardInfo = await this.calculateReward(card, category, 0, date, userId, context);
+      // Without tracked spending (demo mode) the whole cap is still there, but it is still a cap
+      const cap = rewardInfo.rawReward && rewardInfo.rawReward.cap ? parseFloat(rewardInfo.rawReward.cap) : null;
+      const remaining = rewardInfo.capStatus.remaining != null ? rewardInfo.capStatus.remaining : cap;
+      tiers.push({ card, rate: rewardInfo.effectiveRate, limit: remaining == null ? Infinity : remaining, capped: remaining != null });
+
+      if (remaining != null) {
+        const baseRate = applyRelationshipBoost(parseFloat(await this.getBaseRate(card.id, this.getAccountDetails(card))) || 1, rewardInfo.relationshipBoost);
+        const baseValue = this.applyValuation(baseRate, rewardInfo.centsPerPoint) - (rewardInfo.foreignTransactionFee || 0);
+        tiers.push({ card, rate: baseValue, limit: Infinity, capped: false });
+      }
+    }
+
+    tiers.sort((a, b) => b.rate - a.rate);
+
+    const byCard = new Map();
+    let unallocated = amount;
+    for (const tier of tiers) {
+      if (unallocated <= 0) break;
+      const portion = Math.min(unallocated, tier.limit);
+      if (portion <= 0) continue;
+
+      const entry = byCard.get(tier.card.id) || {
+        cardId: tier.card.id,
+        cardName: tier.card.name,
+        issuer: tier.card.issuer,
+        imageUrl: tier.card.image_url,
+        amount: 0,
+        rewardValue: 0,
+        upToCap: false
+      };
+      entry.amount += portion;
+      entry.rewardValue += portion * tier.rate / 100;
+      entry.upToCap = entry.upToCap || (tier.capped && portion === tier.limit);
+      byCard.set(tier.card.id, entry);
+      unallocated -= portion;
+    }
+
+    const allocations = [...byCard.values()].map(entry => ({
+      ...entry,
+      amount: Math.round(entry.amount * 100) / 100,
+      rewardValue: Math.round(entry.rewardValue * 100) / 100,
+      effectiveRate: Math.round((entry.rewardValue / entry.amount) * 10000) / 100
+    }));
+    const totalReward = Math.round(allocations.reduce((sum, a) => sum + a.rewardValue, 0) * 100) / 100;
+
+    return {
+      isSplit: allocations.length > 1,
+      allocations,
+      totalReward,
+      summary: allocations
+        .map(a => `$${a.amount.toLocaleString()} on ${a.cardName}${a.upToCap ? ' up to its cap' : ''}`)
+        .join(', ')
+    };
+  }
+
   /**
    * Calculate total value considering annual fees
    */
@@ -364,7 +1053,7 @@ class RewardCalculator {
     const rewardValue = parseFloat(rewardInfo.rewardValue);
     
     // For single transaction, don't subtract annual fee
-    // (This would be more sophisticated in a real app with annual spending estimates)
+    // (yearly net-of-fee value comes from ProjectionEngine)
     return rewardValue;
   }
 
@@ -386,6 +1075,11 @@ class RewardCalculator {
    */
   generateRecommendation(rewardInfo, card) {
     let recommendation = `Earn ${rewardInfo.effectiveRate}% back`;
+
+    if (rewardInfo.rewardCurrency && rewardInfo.rewardCurrency !== DEFAULT_REWARD_CURRENCY) {
+      const currencyName = REWARD_CURRENCIES[rewardInfo.rewardCurrency]?.name || rewardInfo.rewardCurrency;
+      recommendation += ` (${rewardInfo.earnRate}x ${currencyName} at ${rewardInfo.centsPerPoint}¢ each)`;
+    }
     
     if (rewardInfo.portalOnly) {
       recommendation += ' (requires booking through portal)';
@@ -394,6 +1088,19 @@ class RewardCalculator {
     if (rewardInfo.capStatus.total) {
       recommendation += ` (up to $${rewardInfo.capStatus.total} spending)`;
     }
+
+    if (rewardInfo.topCategory) {
+      recommendation += ` • ${rewardInfo.topCategory.summary}`;
+    }
+
+    if (rewardInfo.relationshipBoost) {
+      recommendation += ` • ${rewardInfo.relationshipBoost.summary}`;
+    }
+
+    if (rewardInfo.preferenceAdjustment) {
+      const { likelihood, fullEarnRate } = rewardInfo.preferenceAdjustment;
+      recommendation += ` • ${fullEarnRate}x counted at ${Math.round(likelihood * 100)}% per your preferences`;
+    }
     
     if (card.annual_fee > 0) {
       recommendation += ` • $${card.annual_fee} annual fee`;
@@ -0,0 +1,50 @@
+// Reward currency definitions with default point valuations
+// Valuations are in cents per point, so a 3x card earning a 1.5¢ currency is worth 4.5% back
+
+const DEFAULT_REWARD_CURRENCY = 'cash';
+
+const REWARD_CURRENCIES = {
+  // Cash back (1 point = 1 cent)
+  'cash': { name: 'Cash Back', centsPerPoint: 1.0 },
+
+  // Transferable bank currencies
+  'UR': { name: 'Chase Ultimate Rewards', centsPerPoint: 1.5 },
+  'MR': { name: 'American Express Membership Rewards', centsPerPoint: 1.6 },
+  'TYP': { name: 'Citi ThankYou Points', centsPerPoint: 1.5 },
+  'C1': { name: 'Capital One Miles', centsPerPoint: 1.5 },
+  'BOFA': { name: 'Bank of America Points', centsPerPoint: 1.0 },
+
+  // Airline miles
+  'UNITED': { name: 'United MileagePlus', centsPerPoint: 1.2 },
+  'DELTA': { name: 'Delta SkyMiles', centsPerPoint: 1.1 },
+  'SOUTHWEST': { name: 'Southwest Rapid Rewards', centsPerPoint: 1.3 },
+
+  // Hotel points
+  'MARRIOTT': { name: 'Marriott Bonvoy', centsPerPoint: 0.8 },
+  'HYATT': { name: 'World of Hyatt', centsPerPoint: 1.7 },
+
+  // Co-brand currencies
+  'DISNEY': { name: 'Disney Rewards Dollars', centsPerPoint: 1.0 }
+};
+
+/**
+ * Check whether a currency code is known
+ */
+function isValidRewardCurrency(code) {
+  return Object.prototype.hasOwnProperty.call(REWARD_CURRENCIES, code);
+}
+
+/**
+ * Default cents-per-point value for a currency (unknown codes are treated as cash)
+ */
+function getDefaultCentsPerPoint(code) {
+  const currency = REWARD_CURRENCIES[code] || REWARD_CURRENCIES[DEFAULT_REWARD_CURRENCY];
+  return currency.centsPerPoint;
+}
+
+module.exports = {
+  DEFAULT_REWARD_CURRENCY,
+  REWARD_CURRENCIES,
+  isValidRewardCurrency,
+  getDefaultCentsPerPoint
+};
\ No newline at end of file
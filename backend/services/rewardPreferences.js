@@ -0,0 +1,83 @@
+// How willing a user is to do what conditional rewards ask of them
+// Each preference is a PREFERENCE_LEVELS value; RewardCalculator weighs rewards by it
+
+const PREFERENCE_LEVELS = ['always', 'sometimes', 'never'];
+
+// Share of a conditional reward's bonus that counts at each level
+const PREFERENCE_LIKELIHOOD = {
+  always: 1,
+  sometimes: 0.5,
+  never: 0
+};
+
+// portalBooking: books travel through issuer portals (portal_only rewards)
+// activation: activates quarterly categories and offers (rotating rewards, notes mentioning activation)
+// cappedCategories: keeps track of spending caps (rewards with a cap)
+// Defaults keep the optimistic behavior from before preferences existed
+const DEFAULT_PREFERENCES = {
+  portalBooking: 'always',
+  activation: 'always',
+  cappedCategories: 'always'
+};
+
+const REQUIREMENT_LABELS = {
+  portalBooking: 'Portal booking',
+  activation: 'Activation',
+  cappedCategories: 'Cap tracking'
+};
+
+/**
+ * Check whether a preference key and level are known
+ */
+function isValidPreference(key, level) {
+  return Object.prototype.hasOwnProperty.call(DEFAULT_PREFERENCES, key) && PREFERENCE_LEVELS.includes(level);
+}
+
+/**
+ * The preferences a reward depends on: portal booking, activation and/or cap tracking
+ */
+function getRequirements(reward) {
+  const requirements = [];
+
+  if (reward.portal_only) {
+    requirements.push('portalBooking');
+  }
+  if (reward.reward_type === 'rotating' || (reward.notes || '').toLowerCase().includes('activation')) {
+    requirements.push('activation');
+  }
+  if (reward.cap) {
+    requirements.push('cappedCategories');
+  }
+
+  return requirements;
+}
+
+/**
+ * Likelihood (0-1) that the user actually earns a reward. Requirements compound,
+ * so a capped portal reward for someone who "sometimes" does both counts at 25%.
+ */
+function getLikelihood(reward, preferences = DEFAULT_PREFERENCES) {
+  return getRequirements(reward).reduce(
+    (likelihood, key) => likelihood * (PREFERENCE_LIKELIHOOD[preferences[key]] ?? 1),
+    1
+  );
+}
+
+/**
+ * Why a reward was discounted, e.g. 'Portal booking required (you said "sometimes")'
+ */
+function describeAdjustment(reward, preferences = DEFAULT_PREFERENCES) {
+  return getRequirements(reward)
+    .filter(key => preferences[key] && preferences[key] !== 'always')
+    .map(key => `${REQUIREMENT_LABELS[key]} required (you said "${preferences[key]}")`);
+}
+
+module.exports = {
+  PREFERENCE_LEVELS,
+  PREFERENCE_LIKELIHOOD,
+  DEFAULT_PREFERENCES,
+  isValidPreference,
+  getRequirements,
+  getLikelihood,
+  describeAdjustment
+};
\ No newline at end of file
@@ -0,0 +1,116 @@
+const pool = require('../lib/db');
+
+class RotatingCategoryService {
+  constructor() {
+    this.REMINDER_LEAD_DAYS = 30; // Start reminding a month before the quarter begins
+  }
+
+  /**
+   * Quarter identifier stored in user_cards.activated_quarters, e.g. "2026-Q4"
+   */
+  static getQuarterKey(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-Q${Math.floor(d.getMonth() / 3) + 1}`;
+  }
+
+  /**
+   * Parse a quarter key back into its year and quarter number
+   */
+  static parseQuarterKey(key) {
+    const match = /^(\d{4})-Q([1-4])$/.exec(key || '');
+    if (!match) return null;
+    return { year: parseInt(match[1], 10), quarter: parseInt(match[2], 10) };
+  }
+
+  /**
+   * Calendar entries for the quarter containing `date`
+   */
+  static getEntriesForDate(calendar, date) {
+    const d = new Date(date);
+    const year = d.getFullYear();
+    const quarter = Math.floor(d.getMonth() / 3) + 1;
+
+    return (calendar || []).filter(entry =>
+      Number(entry.year) === year && Number(entry.quarter) === quarter
+    );
+  }
+
+  /**
+   * Build activation reminders for the current and upcoming quarter of every rotating card a user holds
+   */
+  async getActivationReminders(userId, date = new Date()) {
+    const today = new Date(date);
+    const currentQuarterStart = new Date(today.getFullYear(), Math.floor(today.getMonth() / 3) * 3, 1);
+    const nextQuarterStart = new Date(currentQuarterStart.getFullYear(), currentQuarterStart.getMonth() + 3, 1);
+    const daysUntilNextQuarter = Math.ceil((nextQuarterStart - today) / (24 * 60 * 60 * 1000));
+
+    const quarters = [{ start: currentQuarterStart, upcoming: false }];
+    if (daysUntilNextQuarter <= this.REMINDER_LEAD_DAYS) {
+      quarters.push({ start: nextQuarterStart, upcoming: true });
+    }
+
+    const result = await pool.query(`
+      SELECT c.id AS card_id, c.name AS card_name, c.issuer, uc.activated_quarters,
+             rc.year, rc.quarter, rc.category, rc.activation_deadline, rc.notes
+      FROM user_cards uc
+      INNER JOIN cards c ON uc.card_id = c.id
+      INNER JOIN rotating_categories rc ON rc.card_id = c.id
+      WHERE uc.user_id = $1
+      ORDER BY c.name, rc.year, rc.quarter, rc.category
+    `, [userId]);
+
+    const reminders = new Map();
+
+    for (const { start, upcoming } of quarters) {
+      const quarterKey = RotatingCategoryService.getQuarterKey(start);
+      const { year, quarter } = RotatingCategoryService.parseQuarterKey(quarterKey);
+
+      for (const row of result.rows) {
+        if (row.year !== year || row.quarter !== quarter) continue;
+
+        const key = `${row.card_id}_${quarterKey}`;
+        if (!reminders.has(key)) {
+          const activatedQuarters = row.activated_quarters || [];
+          reminders.set(key, {
+            cardId: row.card_id,
+            cardName: row.card_name,
+            issuer: row.issuer,
+            quarter: quarterKey,
+            quarterStart: start,
+            upcoming,
+            daysUntilStart: upcoming ? daysUntilNextQuarter : 0,
+            activated: activatedQuarters.includes(quarterKey),
+            activationDeadline: row.activation_deadline,
+            categories: []
+          });
+        }
+
+        reminders.get(key).categories.push(row.category);
+      }
+    }
+
+    return Array.from(reminders.values());
+  }
+
+  /**
+   * Mark a quarter as activated (or not) for one of the user's cards
+   */
+  async setActivation(userId, cardId, quarterKey, activated = true) {
+    if (!RotatingCategoryService.parseQuarterKey(quarterKey)) {
+      throw new Error(`Invalid quarter: ${quarterKey}`);
+    }
+
+    const query = activated
+      ? `UPDATE user_cards
+         SET activated_quarters = array_append(array_remove(COALESCE(activated_quarters, '{}'), $3), $3)
+         WHERE user_id = $1 AND card_id = $2`
+      : `UPDATE user_cards
+         SET activated_quarters = array_remove(COALESCE(activated_quarters, '{}'), $3)
+         WHERE user_id = $1 AND card_id = $2`;
+
+    const result = await pool.query(query, [userId, cardId, quarterKey]);
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = RotatingCategoryService;
\ No newline at end of file
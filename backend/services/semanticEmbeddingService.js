@@ -122,6 +122,29 @@ class SemanticEmbeddingService {
     console.log('Semantic embedding initialization complete!');
   }
 
+  /**
+   * Add an example phrase to a category, e.g. from a user's correction. Once the category
+   * embeddings are computed, that category's average is recomputed to include it.
+   * Examples added here live in memory only.
+   */
+  async addExample(category, text) {
+    const example = text.toLowerCase().trim();
+    const examples = this.categoryExamples[category] || (this.categoryExamples[category] = []);
+    if (examples.includes(example)) return false;
+
+    examples.push(example);
+
+    if (this.categoryEmbeddings) {
+      const embeddings = [];
+      for (const phrase of examples) {
+        embeddings.push(await this.getEmbedding(phrase)); // Earlier examples come from the cache
+      }
+      this.categoryEmbeddings[category] = this.averageEmbeddings(embeddings);
+    }
+
+    return true;
+  }
+
   /**
    * Categorize using semantic similarity
    */
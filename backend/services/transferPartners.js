@@ -0,0 +1,129 @@
+// Transfer-partner graph: which airline and hotel programs each bank currency moves to, and at what ratio
+// Ratios are partner points per bank point (MR -> Hilton is 1:2, so 2). Check the issuer's site before transferring.
+
+// Partner programs that aren't card reward currencies, with default valuations in cents per point
+const PARTNER_PROGRAMS = {
+  AER_LINGUS: { name: 'Aer Lingus AerClub', type: 'airline', centsPerPoint: 1.4 },
+  AEROMEXICO: { name: 'Aeromexico Rewards', type: 'airline', centsPerPoint: 0.8 },
+  AEROPLAN: { name: 'Air Canada Aeroplan', type: 'airline', centsPerPoint: 1.5 },
+  AMERICAN: { name: 'American Airlines AAdvantage', type: 'airline', centsPerPoint: 1.6 },
+  ANA: { name: 'ANA Mileage Club', type: 'airline', centsPerPoint: 1.4 },
+  AVIANCA: { name: 'Avianca LifeMiles', type: 'airline', centsPerPoint: 1.3 },
+  BRITISH_AIRWAYS: { name: 'British Airways Club', type: 'airline', centsPerPoint: 1.4 },
+  CATHAY: { name: 'Cathay Pacific Asia Miles', type: 'airline', centsPerPoint: 1.3 },
+  EMIRATES: { name: 'Emirates Skywards', type: 'airline', centsPerPoint: 1.0 },
+  ETIHAD: { name: 'Etihad Guest', type: 'airline', centsPerPoint: 1.3 },
+  FLYING_BLUE: { name: 'Air France-KLM Flying Blue', type: 'airline', centsPerPoint: 1.3 },
+  IBERIA: { name: 'Iberia Club', type: 'airline', centsPerPoint: 1.4 },
+  JETBLUE: { name: 'JetBlue TrueBlue', type: 'airline', centsPerPoint: 1.3 },
+  QANTAS: { name: 'Qantas Frequent Flyer', type: 'airline', centsPerPoint: 1.2 },
+  SINGAPORE: { name: 'Singapore KrisFlyer', type: 'airline', centsPerPoint: 1.4 },
+  TURKISH: { name: 'Turkish Miles&Smiles', type: 'airline', centsPerPoint: 1.3 },
+  VIRGIN_ATLANTIC: { name: 'Virgin Atlantic Flying Club', type: 'airline', centsPerPoint: 1.4 },
+  CHOICE: { name: 'Choice Privileges', type: 'hotel', centsPerPoint: 0.6 },
+  HILTON: { name: 'Hilton Honors', type: 'hotel', centsPerPoint: 0.5 },
+  IHG: { name: 'IHG One Rewards', type: 'hotel', centsPerPoint: 0.5 },
+  WYNDHAM: { name: 'Wyndham Rewards', type: 'hotel', centsPerPoint: 0.9 }
+};
+
+// Card reward currencies that are also transfer partners
+const CURRENCY_PARTNER_TYPES = {
+  UNITED: 'airline',
+  SOUTHWEST: 'airline',
+  DELTA: 'airline',
+  MARRIOTT: 'hotel',
+  HYATT: 'hotel'
+};
+
+// Bank currency -> partner program -> ratio (UNITED, SOUTHWEST, DELTA, MARRIOTT and HYATT are REWARD_CURRENCIES codes)
+const TRANSFER_PARTNERS = {
+  UR: {
+    AER_LINGUS: 1, AEROPLAN: 1, BRITISH_AIRWAYS: 1, EMIRATES: 1, FLYING_BLUE: 1, IBERIA: 1,
+    JETBLUE: 1, SINGAPORE: 1, SOUTHWEST: 1, UNITED: 1, VIRGIN_ATLANTIC: 1,
+    HYATT: 1, IHG: 1, MARRIOTT: 1
+  },
+  MR: {
+    AER_LINGUS: 1, AEROMEXICO: 1.6, AEROPLAN: 1, ANA: 1, AVIANCA: 1, BRITISH_AIRWAYS: 1, DELTA: 1,
+    EMIRATES: 0.8, ETIHAD: 1, FLYING_BLUE: 1, IBERIA: 1, JETBLUE: 0.8, QANTAS: 1, SINGAPORE: 1,
+    VIRGIN_ATLANTIC: 1,
+    CHOICE: 1, HILTON: 2, MARRIOTT: 1
+  },
+  C1: {
+    AEROMEXICO: 1, AEROPLAN: 1, AVIANCA: 1, BRITISH_AIRWAYS: 1, CATHAY: 1, EMIRATES: 0.75, ETIHAD: 1,
+    FLYING_BLUE: 1, JETBLUE: 0.6, QANTAS: 1, SINGAPORE: 1, TURKISH: 1,
+    CHOICE: 1, WYNDHAM: 1
+  },
+  TYP: {
+    AEROMEXICO: 1, AMERICAN: 1, AVIANCA: 1, CATHAY: 1, EMIRATES: 0.8, ETIHAD: 1, FLYING_BLUE: 1,
+    JETBLUE: 1, QANTAS: 1, SINGAPORE: 1, TURKISH: 1, VIRGIN_ATLANTIC: 1,
+    CHOICE: 2, WYNDHAM: 1
+  }
+};
+
+// Transfers move in blocks: at least `minimum` bank points, then multiples of `increment`
+const TRANSFER_RULES = {
+  UR: { minimum: 1000, increment: 1000 },
+  MR: { minimum: 1000, increment: 1000 },
+  C1: { minimum: 1000, increment: 100 },
+  TYP: { minimum: 1000, increment: 1000 }
+};
+
+// Limited-time transfer bonuses, e.g.
+// { from: 'MR', to: 'FLYING_BLUE', bonus: 0.25, startDate: '2025-03-01', endDate: '2025-03-31' }
+// `bonus` is the extra share received, so 0.25 turns 1:1 into 1:1.25
+const TRANSFER_BONUSES = [];
+
+/**
+ * Whether a code is a bank currency with transfer partners
+ */
+function isTransferableCurrency(code) {
+  return Object.prototype.hasOwnProperty.call(TRANSFER_PARTNERS, code);
+}
+
+/**
+ * 'airline' or 'hotel' for a partner program
+ */
+function getPartnerType(code) {
+  return PARTNER_PROGRAMS[code]?.type || CURRENCY_PARTNER_TYPES[code] || null;
+}
+
+/**
+ * The best bonus running on a transfer at `date`, from the configured list plus any extras
+ */
+function getTransferBonus(from, to, date = new Date(), extraBonuses = []) {
+  return [...TRANSFER_BONUSES, ...extraBonuses]
+    .filter(bonus => bonus.from === from && bonus.to === to)
+    .filter(bonus => (!bonus.startDate || new Date(bonus.startDate) <= date) &&
+      (!bonus.endDate || new Date(bonus.endDate) >= date))
+    .reduce((best, bonus) => Math.max(best, parseFloat(bonus.bonus) || 0), 0);
+}
+
+/**
+ * Every bank currency that transfers into `program`, with its ratio and any active bonus
+ */
+function getTransferRoutes(program, date = new Date(), extraBonuses = []) {
+  return Object.entries(TRANSFER_PARTNERS)
+    .filter(([, partners]) => partners[program] != null)
+    .map(([from, partners]) => {
+      const bonus = getTransferBonus(from, program, date, extraBonuses);
+      return {
+        from,
+        to: program,
+        ratio: partners[program],
+        bonus,
+        effectiveRatio: Math.round(partners[program] * (1 + bonus) * 10000) / 10000,
+        ...TRANSFER_RULES[from]
+      };
+    });
+}
+
+module.exports = {
+  PARTNER_PROGRAMS,
+  TRANSFER_PARTNERS,
+  TRANSFER_RULES,
+  TRANSFER_BONUSES,
+  isTransferableCurrency,
+  getPartnerType,
+  getTransferBonus,
+  getTransferRoutes
+};
\ No newline at end of file
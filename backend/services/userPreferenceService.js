@@ -0,0 +1,90 @@
+const pool = require('../lib/db');
+const { DEFAULT_PREFERENCES, isValidPreference, PREFERENCE_LEVELS } = require('./rewardPreferences');
+
+// Preference key -> user_preferences column
+const PREFERENCE_COLUMNS = {
+  portalBooking: 'portal_booking',
+  activation: 'activation',
+  cappedCategories: 'capped_categories'
+};
+
+class UserPreferenceService {
+  constructor() {
+    this.cache = new Map(); // userId -> { value: preferences, timestamp }
+    this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
+  }
+
+  /**
+   * Get a user's reward preferences; anything never saved keeps its default
+   */
+  async getPreferences(userId) {
+    if (!userId) {
+      return { ...DEFAULT_PREFERENCES };
+    }
+
+    if (this.cache.has(userId)) {
+      const cached = this.cache.get(userId);
+      if (Date.now() - cached.timestamp < this.cacheExpiry) {
+        return cached.value;
+      }
+    }
+
+    try {
+      const result = await pool.query(
+        `SELECT portal_booking, activation, capped_categories FROM user_preferences WHERE user_id = $1`,
+        [userId]
+      );
+
+      const preferences = { ...DEFAULT_PREFERENCES };
+      const row = result.rows[0];
+      if (row) {
+        for (const [key, column] of Object.entries(PREFERENCE_COLUMNS)) {
+          if (row[column]) preferences[key] = row[column];
+        }
+      }
+
+      this.cache.set(userId, { value: preferences, timestamp: Date.now() });
+      return preferences;
+    } catch (error) {
+      console.error('Error getting user preferences:', error);
+      return { ...DEFAULT_PREFERENCES }; // Fall back to default preferences
+    }
+  }
+
+  /**
+   * Save some or all of a user's preferences; keys left out keep their current value
+   */
+  async setPreferences(userId, updates) {
+    const preferences = { ...(await this.getPreferences(userId)) };
+
+    for (const [key, level] of Object.entries(updates || {})) {
+      if (!isValidPreference(key, level)) {
+        throw new Error(`${key} must be one of: ${PREFERENCE_LEVELS.join(', ')}`);
+      }
+      preferences[key] = level;
+    }
+
+    await pool.query(
+      `INSERT INTO user_preferences (user_id, portal_booking, activation, capped_categories, updated_at)
+       VALUES ($1, $2, $3, $4, NOW())
+       ON CONFLICT (user_id)
+       DO UPDATE SET portal_booking = EXCLUDED.portal_booking,
+                     activation = EXCLUDED.activation,
+                     capped_categories = EXCLUDED.capped_categories,
+                     updated_at = NOW()`,
+      [userId, preferences.portalBooking, preferences.activation, preferences.cappedCategories]
+    );
+
+    this.clearUserCache(userId);
+    return preferences;
+  }
+
+  /**
+   * Clear cached preferences for a specific user
+   */
+  clearUserCache(userId) {
+    this.cache.delete(userId);
+  }
+}
+
+module.exports = new UserPreferenceService();
\ No newline at end of file
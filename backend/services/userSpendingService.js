@@ -1,4 +1,7 @@
 const pool = require('../lib/db');
+const { getPeriodRange } = require('./capPeriods');
+const { getCapCategories } = require('./capGroups');
+const { normalizeMcc, categorizeMcc } = require('./mccCodes');
 
 class UserSpendingService {
   constructor() {
@@ -7,17 +10,17 @@ class UserSpendingService {
   }
 
   /**
-   * Record a spending transaction
+   * Record a spending transaction. `mcc` is the merchant category code, when known.
    */
-  async recordSpending(userId, cardId, category, amount, date = new Date()) {
+  async recordSpending(userId, cardId, category, amount, date = new Date(), mcc = null) {
     try {
       const query = `
-        INSERT INTO user_spending (user_id, card_id, category, amount, date, created_at)
-        VALUES ($1, $2, $3, $4, $5, NOW())
+        INSERT INTO user_spending (user_id, card_id, category, amount, date, mcc, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, NOW())
         RETURNING id
       `;
       
-      const result = await pool.query(query, [userId, cardId, category, amount, date]);
+      const result = await pool.query(query, [userId, cardId, category, amount, date, normalizeMcc(mcc)]);
       
       // Clear relevant cache entries
       this.clearUserCache(userId);
@@ -30,10 +33,12 @@ class UserSpendingService {
   }
 
   /**
-   * Get spending for a specific period and criteria
+   * Get spending for a specific period and criteria.
+   * `category` may be an array to total a shared cap group.
    */
   async getSpending(userId, cardId, category, startDate, endDate) {
-    const cacheKey = `${userId}_${cardId}_${category}_${startDate}_${endDate}`;
+    const categories = Array.isArray(category) ? category : [category];
+    const cacheKey = `${userId}_${cardId}_${categories.join('|')}_${startDate}_${endDate}`;
     
     // Check cache first
     if (this.cache.has(cacheKey)) {
@@ -47,12 +52,12 @@ class UserSpendingService {
       const query = `
         SELECT COALESCE(SUM(amount), 0) as total
         FROM user_spending 
-        WHERE user_id = $1 AND card_id = $2 AND category = $3
+        WHERE user_id = $1 AND card_id = $2 AND category = ANY($3)
           AND date >= $4 AND date <= $5
       `;
       
       const result = await pool.query(query, [
-        userId, cardId, category, startDate, endDate
+        userId, cardId, categories, startDate, endDate
       ]);
       
       const total = parseFloat(result.rows[0].total) || 0;
@@ -71,9 +76,9 @@ class UserSpendingService {
   }
 
   /**
-   * Get spending by category for a user
+   * Get spending by category for a user, optionally limited to one card
    */
-  async getSpendingByCategory(userId, startDate, endDate) {
+  async getSpendingByCategory(userId, startDate, endDate, cardId = null) {
     try {
       const query = `
         SELECT 
@@ -86,11 +91,12 @@ class UserSpendingService {
         FROM user_spending 
         WHERE user_id = $1 
           AND date >= $2 AND date <= $3
+          AND ($4::uuid IS NULL OR card_id = $4)
         GROUP BY category
         ORDER BY total_amount DESC
       `;
       
-      const result = await pool.query(query, [userId, startDate, endDate]);
+      const result = await pool.query(query, [userId, startDate, endDate, cardId]);
       return result.rows;
     } catch (error) {
       console.error('Error getting spending by category:', error);
@@ -98,6 +104,25 @@ class UserSpendingService {
     }
   }
 
+  /**
+   * First and last dates with recorded spending for a user
+   */
+  async getSpendingDateRange(userId) {
+    try {
+      const result = await pool.query(`
+        SELECT MIN(date) as first_date, MAX(date) as last_date
+        FROM user_spending
+        WHERE user_id = $1
+      `, [userId]);
+
+      const { first_date, last_date } = result.rows[0];
+      return first_date ? { firstDate: new Date(first_date), lastDate: new Date(last_date) } : null;
+    } catch (error) {
+      console.error('Error getting spending date range:', error);
+      return null;
+    }
+  }
+
   /**
    * Get spending by card for a user
    */
@@ -178,39 +203,77 @@ class UserSpendingService {
   }
 
   /**
-   * Get cap utilization across all user's cards
+   * Get cap utilization across all user's cards for the cap periods containing `date`.
+   * Rewards sharing a cap group are reported once, with spending totalled across the group.
    */
-  async getCapUtilization(userId, year = new Date().getFullYear()) {
+  async getCapUtilization(userId, date = new Date()) {
     try {
       const query = `
         SELECT 
-          us.card_id,
+          c.id as card_id,
           c.name as card_name,
           cr.category,
+          cr.reward_type,
+          cr.eligible_categories,
           cr.cap,
+          cr.cap_period,
+          cr.cap_group,
           cr.notes,
-          SUM(us.amount) as spent_amount,
-          (cr.cap - COALESCE(SUM(us.amount), 0)) as remaining_cap,
-          CASE 
-            WHEN cr.cap > 0 THEN (COALESCE(SUM(us.amount), 0) / cr.cap * 100)
-            ELSE 0 
-          END as utilization_percentage
+          uc.opened_at,
+          uc.statement_close_day,
+          (SELECT COALESCE(json_agg(row_to_json(rc)), '[]') FROM rotating_categories rc WHERE rc.card_id = c.id) AS rotating_calendar,
+          (SELECT COALESCE(json_agg(row_to_json(ucc)), '[]') FROM user_choice_categories ucc WHERE ucc.user_card_id = uc.id) AS choice_selections
         FROM card_rewards cr
         JOIN cards c ON cr.card_id = c.id
         JOIN user_cards uc ON c.id = uc.card_id
-        LEFT JOIN user_spending us ON us.card_id = c.id 
-          AND us.category = cr.category 
-          AND us.user_id = $1
-          AND EXTRACT(YEAR FROM us.date) = $2
         WHERE uc.user_id = $1 
           AND cr.cap IS NOT NULL 
           AND cr.cap > 0
-        GROUP BY us.card_id, c.name, cr.category, cr.cap, cr.notes
-        ORDER BY utilization_percentage DESC
       `;
       
-      const result = await pool.query(query, [userId, year]);
-      return result.rows;
+      const result = await pool.query(query, [userId]);
+
+      const utilization = [];
+      const seenGroups = new Set();
+      for (const row of result.rows) {
+        if (row.cap_group) {
+          const groupKey = `${row.card_id}_${row.cap_group}`;
+          if (seenGroups.has(groupKey)) continue;
+          seenGroups.add(groupKey);
+        }
+
+        const cap = parseFloat(row.cap);
+        const account = {
+          openedAt: row.opened_at,
+          statementCloseDay: row.statement_close_day,
+          rotatingCalendar: row.rotating_calendar,
+          choiceSelections: row.choice_selections
+        };
+        const { period, startDate, endDate } = getPeriodRange(row.cap_period, date, account);
+        const cardRewards = result.rows.filter(r => r.card_id === row.card_id);
+        const categories = getCapCategories(row, cardRewards, null, date, account);
+        const spent = categories.length > 0
+          ? await this.getSpending(userId, row.card_id, categories, startDate, endDate)
+          : 0;
+
+        utilization.push({
+          card_id: row.card_id,
+          card_name: row.card_name,
+          category: row.category,
+          cap_group: row.cap_group,
+          categories,
+          cap,
+          cap_period: period,
+          period_start: startDate,
+          period_end: endDate,
+          notes: row.notes,
+          spent_amount: spent,
+          remaining_cap: cap - spent,
+          utilization_percentage: cap > 0 ? (spent / cap * 100) : 0
+        });
+      }
+
+      return utilization.sort((a, b) => b.utilization_percentage - a.utilization_percentage);
     } catch (error) {
       console.error('Error getting cap utilization:', error);
       return [];
@@ -278,26 +341,34 @@ class UserSpendingService {
   }
 
   /**
-   * Bulk import spending data (useful for data migration)
+   * Bulk import spending data (useful for data migration and bank exports).
+   * Each transaction is { cardId, category?, mcc?, amount, date }; a transaction without a
+   * category takes it from its MCC, so exports that only carry MCCs import as they are.
    */
   async bulkImportSpending(userId, transactions) {
+    const uncategorized = transactions.filter(t => !t.category && !categorizeMcc(t.mcc));
+    if (uncategorized.length > 0) {
+      throw new Error(`${uncategorized.length} transactions have neither a category nor a known MCC`);
+    }
+
     const client = await pool.connect();
     
     try {
       await client.query('BEGIN');
       
       const query = `
-        INSERT INTO user_spending (user_id, card_id, category, amount, date, created_at)
-        VALUES ($1, $2, $3, $4, $5, NOW())
+        INSERT INTO user_spending (user_id, card_id, category, amount, date, mcc, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, NOW())
       `;
       
       for (const transaction of transactions) {
         await client.query(query, [
           userId,
           transaction.cardId,
-          transaction.category,
+          transaction.category || categorizeMcc(transaction.mcc).category,
           transaction.amount,
-          transaction.date
+          transaction.date,
+          normalizeMcc(transaction.mcc)
         ]);
       }
       
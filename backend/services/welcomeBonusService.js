@@ -0,0 +1,140 @@
+const pool = require('../lib/db');
+const pointValuationService = require('./pointValuationService');
+const { REWARD_CURRENCIES, DEFAULT_REWARD_CURRENCY } = require('./rewardCurrencies');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+class WelcomeBonusService {
+  /**
+   * End of the minimum-spend window: `months` after the account was opened
+   */
+  static getDeadline(openedAt, months) {
+    const opened = new Date(openedAt);
+    return new Date(opened.getFullYear(), opened.getMonth() + Number(months), opened.getDate());
+  }
+
+  static hasWelcomeBonus(card) {
+    return Number(card.welcome_bonus_points) > 0 &&
+      Number(card.welcome_bonus_min_spend) > 0 &&
+      Number(card.welcome_bonus_months) > 0;
+  }
+
+  /**
+   * Minimum-spend progress for every card the user holds that has a welcome offer.
+   * Spending is counted from user_spending between the open date and the deadline;
+   * cards with no open date are returned with status 'needs_open_date'.
+   */
+  async getUserProgress(userId, date = new Date()) {
+    const result = await pool.query(`
+      SELECT c.id, c.name, c.issuer, c.reward_currency,
+             c.welcome_bonus_points, c.welcome_bonus_min_spend, c.welcome_bonus_months,
+             uc.opened_at, uc.statement_close_day,
+             (SELECT COALESCE(SUM(us.amount), 0)
+              FROM user_spending us
+              WHERE us.user_id = uc.user_id AND us.card_id = c.id
+                AND us.date >= uc.opened_at
+                AND us.date < uc.opened_at + make_interval(months => c.welcome_bonus_months)) AS spent
+      FROM user_cards uc
+      INNER JOIN cards c ON uc.card_id = c.id
+      WHERE uc.user_id = $1 AND c.welcome_bonus_points IS NOT NULL
+      ORDER BY uc.position ASC
+    `, [userId]);
+
+    const progress = [];
+    for (const row of result.rows) {
+      if (!WelcomeBonusService.hasWelcomeBonus(row)) continue;
+      const rewardCurrency = row.reward_currency || DEFAULT_REWARD_CURRENCY;
+      const centsPerPoint = await pointValuationService.getCentsPerPoint(rewardCurrency, userId);
+      progress.push(this.buildProgress(row, parseFloat(row.spent), centsPerPoint, date));
+    }
+
+    return progress;
+  }
+
+  /**
+   * Offers the user can still earn, keyed by card id
+   */
+  async getOpenBonuses(userId, date = new Date()) {
+    const progress = await this.getUserProgress(userId, date);
+    return new Map(
+      progress
+        .filter(bonus => bonus.status === 'in_progress')
+        .map(bonus => [bonus.cardId, bonus])
+    );
+  }
+
+  buildProgress(card, spent, centsPerPoint, date = new Date()) {
+    const bonusPoints = Number(card.welcome_bonus_points);
+    const minSpend = Number(card.welcome_bonus_min_spend);
+    const bonus = {
+      cardId: card.id,
+      cardName: card.name,
+      issuer: card.issuer,
+      rewardCurrency: card.reward_currency || DEFAULT_REWARD_CURRENCY,
+      bonusPoints,
+      bonusValue: Math.round(bonusPoints * centsPerPoint) / 100,
+      minSpend,
+      windowMonths: Number(card.welcome_bonus_months),
+      openedAt: card.opened_at || null,
+      statementCloseDay: card.statement_close_day || null
+    };
+
+    if (!card.opened_at) {
+      return {
+        ...bonus,
+        status: 'needs_open_date',
+        spent: 0,
+        remaining: minSpend,
+        deadline: null,
+        daysLeft: null,
+        summary: null
+      };
+    }
+
+    const deadline = WelcomeBonusService.getDeadline(card.opened_at, card.welcome_bonus_months);
+    const daysLeft = Math.max(0, Math.ceil((deadline - new Date(date)) / MS_PER_DAY));
+    const remaining = Math.max(0, Math.round((minSpend - spent) * 100) / 100);
+
+    let status = 'in_progress';
+    if (remaining === 0) status = 'earned';
+    else if (daysLeft === 0) status = 'expired';
+
+    return {
+      ...bonus,
+      status,
+      spent: Math.round(spent * 100) / 100,
+      remaining,
+      deadline,
+      daysLeft,
+      summary: status === 'in_progress'
+        ? `$${Math.ceil(remaining).toLocaleString()} left to spend in ${daysLeft} day${daysLeft === 1 ? '' : 's'} for the ${this.describeBonus(bonus)} welcome bonus`
+        : null
+    };
+  }
+
+  /**
+   * "$200" for cash back, "60,000 Chase Ultimate Rewards" for points
+   */
+  describeBonus(bonus) {
+    if (bonus.rewardCurrency === DEFAULT_REWARD_CURRENCY) {
+      return `$${(bonus.bonusPoints / 100).toLocaleString()}`;
+    }
+    const currency = REWARD_CURRENCIES[bonus.rewardCurrency];
+    return `${bonus.bonusPoints.toLocaleString()} ${currency ? currency.name : bonus.rewardCurrency}`;
+  }
+
+  /**
+   * Share of the bonus a purchase moves the user toward, in the same units recommend-card
+   * ranks by: dollars when an amount is given, otherwise a percentage of spend
+   */
+  getBonusBoost(bonus, amount = 0) {
+    if (!bonus || bonus.status !== 'in_progress' || bonus.remaining <= 0) return 0;
+
+    if (amount > 0) {
+      return Math.round(bonus.bonusValue * Math.min(1, amount / bonus.remaining) * 100) / 100;
+    }
+    return Math.round(bonus.bonusValue / bonus.remaining * 10000) / 100;
+  }
+}
+
+module.exports = WelcomeBonusService;
\ No newline at end of file
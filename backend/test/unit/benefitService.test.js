@@ -0,0 +1,40 @@
+// Unit tests for statement credit valuation and periods (services/benefitService.js)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const BenefitService = require('../../services/benefitService');
+const ProjectionEngine = require('../../services/projectionEngine');
+
+const benefits = [
+  { name: 'Dining credit', amount: '10', cadence: 'calendar_month' },
+  { name: 'Saks credit', amount: 50, cadence: 'calendar_half' },
+  { name: 'Airline fee credit', amount: 200, cadence: 'calendar_year' }
+];
+
+test('credits are valued over a full year', () => {
+  assert.equal(BenefitService.getAnnualValue(benefits[0]), 120);
+  assert.equal(BenefitService.getAnnualCredits(benefits), 420);
+  assert.equal(BenefitService.getAnnualCredits(JSON.stringify(benefits)), 420);
+  assert.equal(BenefitService.getAnnualCredits(null), 0);
+});
+
+test('half-year credits reset in January and July', () => {
+  assert.deepEqual(BenefitService.getBenefitPeriod('calendar_half', new Date(2026, 9, 19)), {
+    startDate: new Date(2026, 6, 1),
+    endDate: new Date(2026, 11, 31)
+  });
+  assert.deepEqual(BenefitService.getBenefitPeriod('calendar_half', new Date(2026, 1, 3)).startDate, new Date(2026, 0, 1));
+});
+
+test('other cadences follow the cap period math, including the cardmember year', () => {
+  const { startDate } = BenefitService.getBenefitPeriod('cardmember_year', new Date(2026, 9, 19), { openedAt: new Date(2024, 2, 10) });
+  assert.deepEqual(startDate, new Date(2026, 2, 10));
+});
+
+test('credits count toward a card\'s projected net value', async () => {
+  const card = {
+    id: 'card-credits', name: 'Credit Card', reward_currency: 'cash', annual_fee: 250, benefits,
+    rewards: [{ category: 'All', multiplier: 1, reward_type: 'fixed', cap: null }]
+  };
+  const projection = await new ProjectionEngine().projectCard(card, { Dining: 1000 }, null, new Date(2026, 9, 19));
+  assert.deepEqual([projection.credits, projection.netValue], [420, 180]);
+});
@@ -0,0 +1,35 @@
+// Unit tests for shared cap groups (services/capGroups.js)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getRewardSpendCategories, getCapCategories } = require('../../services/capGroups');
+
+const date = new Date(2026, 9, 19);
+
+// BofA Customized Cash: choice category and grocery share one $2,500 quarterly cap
+const choice = {
+  category: 'Choice', reward_type: 'choice', cap: 2500, cap_group: 'choice_and_grocery',
+  eligible_categories: ['Gas', 'Online', 'Dining']
+};
+const grocery = { category: 'Grocery', reward_type: 'fixed', cap: 2500, cap_group: 'choice_and_grocery' };
+const base = { category: 'All', reward_type: 'fixed', cap: null };
+const rewards = [choice, grocery, base];
+
+test('spend categories follow the reward type', () => {
+  assert.deepEqual(getRewardSpendCategories(grocery, date), ['Grocery']);
+  assert.deepEqual(getRewardSpendCategories(choice, date, { choiceSelections: [{ category: 'Gas', effective_from: '2026-01-01' }] }), ['Gas']);
+  assert.deepEqual(getRewardSpendCategories(choice, date, {}), ['Gas', 'Online', 'Dining']);
+  assert.deepEqual(getRewardSpendCategories(
+    { category: 'Rotating', reward_type: 'rotating' }, date, { rotatingCalendar: [{ year: 2026, quarter: 4, category: 'Online' }] }
+  ), ['Online']);
+});
+
+test('grouped rewards count spending from every member of the group', () => {
+  const account = { choiceSelections: [{ category: 'Gas', effective_from: '2026-01-01' }] };
+  assert.deepEqual(getCapCategories(grocery, rewards, 'Grocery', date, account).sort(), ['Gas', 'Grocery']);
+  assert.deepEqual(getCapCategories(choice, rewards, 'Gas', date, account).sort(), ['Gas', 'Grocery']);
+});
+
+test('ungrouped rewards count only the purchase category', () => {
+  assert.deepEqual(getCapCategories({ ...grocery, cap_group: null }, rewards, 'Grocery', date), ['Grocery']);
+  assert.deepEqual(getCapCategories({ ...grocery, cap_group: null }, rewards, null, date), ['Grocery']);
+});
@@ -0,0 +1,46 @@
+// Unit tests for cap period resolution (services/capPeriods.js)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getPeriodRange, isValidCapPeriod, DEFAULT_CAP_PERIOD } = require('../../services/capPeriods');
+
+const day = date => `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+const range = result => [day(result.startDate), day(result.endDate)];
+
+test('calendar month and quarter contain the date', () => {
+  assert.deepEqual(range(getPeriodRange('calendar_month', new Date(2025, 1, 14))), ['2025-2-1', '2025-2-28']);
+  assert.deepEqual(range(getPeriodRange('calendar_quarter', new Date(2025, 4, 20))), ['2025-4-1', '2025-6-30']);
+});
+
+test('unknown and missing periods fall back to the calendar year', () => {
+  assert.equal(DEFAULT_CAP_PERIOD, 'calendar_year');
+  assert.equal(isValidCapPeriod('fortnight'), false);
+  const result = getPeriodRange('fortnight', new Date(2025, 6, 4));
+  assert.equal(result.period, 'calendar_year');
+  assert.deepEqual(range(result), ['2025-1-1', '2025-12-31']);
+});
+
+test('cardmember year runs from the account anniversary', () => {
+  const account = { openedAt: new Date(2022, 8, 15) };
+  assert.deepEqual(range(getPeriodRange('cardmember_year', new Date(2025, 2, 1), account)), ['2024-9-15', '2025-9-14']);
+  assert.deepEqual(range(getPeriodRange('cardmember_year', new Date(2025, 8, 15), account)), ['2025-9-15', '2026-9-14']);
+});
+
+test('cardmember year clamps a Feb 29 anniversary and needs an open date', () => {
+  const account = { openedAt: new Date(2024, 1, 29) };
+  assert.deepEqual(range(getPeriodRange('cardmember_year', new Date(2025, 5, 1), account)), ['2025-2-28', '2026-2-27']);
+  assert.deepEqual(range(getPeriodRange('cardmember_year', new Date(2025, 5, 1))), ['2025-1-1', '2025-12-31']);
+});
+
+test('statement cycle ends on the next close day', () => {
+  const account = { statementCloseDay: 20 };
+  assert.deepEqual(range(getPeriodRange('statement_cycle', new Date(2025, 2, 10), account)), ['2025-2-21', '2025-3-20']);
+  assert.deepEqual(range(getPeriodRange('statement_cycle', new Date(2025, 2, 20), account)), ['2025-2-21', '2025-3-20']);
+  assert.deepEqual(range(getPeriodRange('statement_cycle', new Date(2025, 2, 21), account)), ['2025-3-21', '2025-4-20']);
+});
+
+test('statement cycle clamps day 31 to short months and defaults to the calendar month', () => {
+  assert.deepEqual(range(getPeriodRange('statement_cycle', new Date(2025, 1, 10), { statementCloseDay: 31 })), ['2025-2-1', '2025-2-28']);
+  const fallback = getPeriodRange('statement_cycle', new Date(2025, 1, 10));
+  assert.equal(fallback.period, 'statement_cycle');
+  assert.deepEqual(range(fallback), ['2025-2-1', '2025-2-28']);
+});
@@ -0,0 +1,46 @@
+// Unit tests for per-user categorization rules (services/categoryRules.js, CategoryService)
+// Rules are seeded into categoryRuleService's cache, so no database is needed.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { findMatchingRule, getRuleError } = require('../../services/categoryRules');
+const categoryRuleService = require('../../services/categoryRuleService');
+const CategoryService = require('../../services/categoryService');
+
+const categoryService = new CategoryService();
+
+const rules = [
+  { id: 1, pattern: 'target', matchType: 'contains', category: 'Grocery' },
+  { id: 2, pattern: 'target optical', matchType: 'contains', category: 'Other' },
+  { id: 3, pattern: 'TARGET', matchType: 'exact', category: 'Entertainment' }
+];
+categoryRuleService.cache.set('rule-user', { value: rules, timestamp: Date.now() });
+
+test('an exact rule beats contains rules, then the longest pattern wins', () => {
+  assert.equal(findMatchingRule(rules, '  Target ').id, 3);
+  assert.equal(findMatchingRule(rules, 'TARGET  OPTICAL 0042').id, 2);
+  assert.equal(findMatchingRule(rules, 'SUPERTARGET 0042').id, 1);
+  assert.equal(findMatchingRule(rules, 'WALMART'), null);
+});
+
+test('rules are validated before they are saved', () => {
+  assert.equal(getRuleError({ pattern: 'target', matchType: 'contains', category: 'Grocery' }), null);
+  assert.match(getRuleError({ pattern: ' ', matchType: 'contains', category: 'Grocery' }), /pattern/);
+  assert.match(getRuleError({ pattern: 'target', matchType: 'starts', category: 'Grocery' }), /matchType/);
+  assert.match(getRuleError({ pattern: 'target', matchType: 'exact', category: 'Pets' }), /category/);
+});
+
+test('a rule wins even when a specific detection method is requested', async () => {
+  const result = await categoryService.categorize('TARGET OPTICAL 0042', 'keyword', 'rule-user');
+  assert.equal(result.source, 'user_rule');
+  assert.equal(result.category, 'Other');
+});
+
+test('batches apply rules with and without a detection method, ahead of the MCC', async () => {
+  const descriptions = ['TARGET OPTICAL 0042', 'SHELL OIL 5743'];
+  for (const method of [null, 'keyword']) {
+    const [optical, shell] = await categoryService.categorizeBatch(descriptions, method, 'rule-user', ['5411', null]);
+    assert.equal(optical.source, 'user_rule');
+    assert.equal(optical.category, 'Other');
+    assert.notEqual(shell.source, 'user_rule');
+  }
+});
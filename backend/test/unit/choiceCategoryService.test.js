@@ -0,0 +1,28 @@
+// Unit tests for choice-category selection rules (services/choiceCategoryService.js)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ChoiceCategoryService = require('../../services/choiceCategoryService');
+
+const selection = (category, effectiveFrom) => ({ category, effective_from: new Date(effectiveFrom) });
+
+test('the latest selection on or before a date is in effect', () => {
+  const history = [selection('Dining', '2025-01-05'), selection('Travel', '2025-02-03')];
+  assert.equal(ChoiceCategoryService.getSelectionForDate(history, new Date('2025-01-20')), 'Dining');
+  assert.equal(ChoiceCategoryService.getSelectionForDate(history, new Date('2025-02-10')), 'Travel');
+  assert.equal(ChoiceCategoryService.getSelectionForDate(history, new Date('2024-12-31')), null);
+});
+
+test('the first pick in a period is allowed', () => {
+  assert.equal(ChoiceCategoryService.getChangeError([], 'Dining', 'calendar_month'), null);
+});
+
+test('re-picking the category already chosen this period is allowed', () => {
+  const period = [selection('Dining', '2025-02-03')];
+  assert.equal(ChoiceCategoryService.getChangeError(period, 'Dining', 'calendar_month'), null);
+});
+
+test('a second change in the same period is rejected', () => {
+  const period = [selection('Dining', '2025-02-03')];
+  const error = ChoiceCategoryService.getChangeError(period, 'Travel', 'calendar_month');
+  assert.match(error, /already changed this calendar_month/);
+});
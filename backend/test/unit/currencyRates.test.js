@@ -0,0 +1,17 @@
+// Unit tests for purchase currency conversion (services/currencyRates.js)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { isSupportedCurrency, convertToHomeCurrency } = require('../../services/currencyRates');
+
+test('amounts convert to US dollars rounded to the cent', () => {
+  assert.equal(convertToHomeCurrency(100, 'eur'), 108);
+  assert.equal(convertToHomeCurrency(1234, 'JPY'), 8.27);
+  assert.equal(convertToHomeCurrency(42.5), 42.5);
+});
+
+test('unknown currencies are reported instead of converted', () => {
+  assert.equal(isSupportedCurrency('GBP'), true);
+  assert.equal(isSupportedCurrency('XYZ'), false);
+  assert.equal(isSupportedCurrency(null), false);
+  assert.throws(() => convertToHomeCurrency(10, 'XYZ'), /No exchange rate configured for XYZ/);
+});
@@ -0,0 +1,82 @@
+// Unit tests for bank statement descriptor cleanup (services/descriptorNormalizer.js)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeDescriptor } = require('../../services/descriptorNormalizer');
+const categoryRuleService = require('../../services/categoryRuleService');
+const CategoryService = require('../../services/categoryService');
+
+const categoryService = new CategoryService();
+const clean = description => {
+  const { merchantName, location } = normalizeDescriptor(description);
+  return { merchantName, location };
+};
+
+test('processor prefixes, store numbers and the city and state come off', () => {
+  assert.deepEqual(normalizeDescriptor('SQ *BLUE BOTTLE 8734 SAN FRANCISCO CA'), {
+    merchantName: 'BLUE BOTTLE',
+    location: { city: 'SAN FRANCISCO', state: 'CA' },
+    processor: 'Square',
+    changed: true
+  });
+  assert.equal(normalizeDescriptor('TST* JOES PIZZA 0042').merchantName, 'JOES PIZZA');
+  assert.equal(normalizeDescriptor('AMZN MKTP US*2K4AB12C3').merchantName, 'Amazon Marketplace');
+});
+
+test('a billing host is the merchant when nothing else is left, never the state', () => {
+  assert.deepEqual(clean('APPLE.COM/BILL 866-712-7753 CA'), {
+    merchantName: 'APPLE.COM',
+    location: { city: null, state: 'CA' }
+  });
+  assert.equal(normalizeDescriptor('UBER *TRIP HELP.UBER.COM CA').merchantName, 'UBER TRIP');
+});
+
+test('without a separator before the state no city is taken from the merchant name', () => {
+  assert.deepEqual(clean('DD DOORDASH BURGERKING 855-973-1040 CA'), {
+    merchantName: 'DD DOORDASH BURGERKING',
+    location: { city: null, state: 'CA' }
+  });
+  assert.deepEqual(clean('CITY ELECTRIC CO'), { merchantName: 'CITY ELECTRIC', location: { city: null, state: 'CO' } });
+});
+
+test('short numbers stay in the name unless they follow a processor prefix', () => {
+  assert.deepEqual(clean('76 GAS 123 DENVER CO'), { merchantName: '76 GAS', location: { city: 'DENVER', state: 'CO' } });
+  assert.equal(normalizeDescriptor('SQ *FARM STAND 12').merchantName, 'FARM STAND');
+});
+
+test('typed descriptions are left alone', () => {
+  for (const description of ['lunch in LA', 'hotel for 3 nights', 'NETFLIX.COM']) {
+    assert.deepEqual([description, normalizeDescriptor(description).changed], [description, false]);
+  }
+});
+
+test('the cleaned names keep their categories', async () => {
+  const expected = {
+    'APPLE.COM/BILL 866-712-7753 CA': 'Online',
+    'DD DOORDASH BURGERKING 855-973-1040 CA': 'Dining',
+    '76 GAS 123 DENVER CO': 'Gas'
+  };
+  for (const [description, category] of Object.entries(expected)) {
+    const result = await categoryService.categorize(description, 'keyword');
+    assert.deepEqual([description, result.category], [description, category]);
+  }
+});
+
+test('rules match the description as given, then its merchant name', async () => {
+  categoryRuleService.cache.set('descriptor-user', {
+    value: [
+      { id: 1, pattern: 'APPLE.COM/BILL 866-712-7753 CA', matchType: 'exact', category: 'Entertainment' },
+      { id: 2, pattern: 'BLUE BOTTLE', matchType: 'exact', category: 'Dining' }
+    ],
+    timestamp: Date.now()
+  });
+
+  const raw = await categoryService.categorize('APPLE.COM/BILL 866-712-7753 CA', null, 'descriptor-user');
+  const cleaned = await categoryService.categorize('SQ *BLUE BOTTLE 8734 SAN FRANCISCO CA', null, 'descriptor-user');
+  assert.deepEqual([raw.ruleId, raw.category], [1, 'Entertainment']);
+  assert.deepEqual([cleaned.ruleId, cleaned.category], [2, 'Dining']);
+
+  const batch = await categoryService.categorizeBatch(
+    ['APPLE.COM/BILL 866-712-7753 CA', 'APPLE.COM'], null, 'descriptor-user'
+  );
+  assert.deepEqual(batch.map(result => result.source === 'user_rule'), [true, false]);
+});
@@ -0,0 +1,41 @@
+// Unit tests for keyword proposals from categorization corrections (services/keywordProposals.js)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractCandidates, proposeKeywords } = require('../../services/keywordProposals');
+
+const correction = (userId, description, correctedCategory) => ({ userId, description, correctedCategory });
+
+test('candidates come from the merchant name, without stopwords or the location', () => {
+  assert.deepEqual(extractCandidates('SQ *BLUE BOTTLE 8734 SAN FRANCISCO CA'), ['blue', 'bottle']);
+  assert.deepEqual(extractCandidates('Payment for the coffee shop'), ['coffee']);
+});
+
+test('a keyword needs enough corrections from enough people', () => {
+  const corrections = [
+    correction('u1', 'SQ *BLUE BOTTLE 8734 SAN FRANCISCO CA', 'Dining'),
+    correction('u1', 'BLUE BOTTLE COFFEE', 'Dining'),
+    correction('u2', 'TST* BLUE BOTTLE 0042', 'Dining'),
+    correction('u1', 'UBER EATS', 'Dining'),
+    correction('u1', 'UBER EATS 1234', 'Dining'),
+    correction('u1', 'UBER EATS ORDER', 'Dining')
+  ];
+  const proposals = proposeKeywords(corrections);
+
+  assert.deepEqual(proposals.map(p => [p.keyword, p.category, p.corrections, p.users]), [
+    ['blue', 'Dining', 3, 2],
+    ['bottle', 'Dining', 3, 2]
+  ]);
+  assert.equal(proposals[0].examples.length, 3);
+  assert.equal(proposeKeywords(corrections, { minUsers: 1 }).some(p => p.keyword === 'uber'), true);
+});
+
+test('keywords already listed for the category are skipped; ones listed elsewhere say where', () => {
+  const corrections = [
+    correction('u1', 'TARGET 0042', 'Other'),
+    correction('u2', 'TARGET 1111', 'Other'),
+    correction('u3', 'COFFEE BAR', 'Dining'),
+    correction('u4', 'COFFEE CART', 'Dining')
+  ];
+  const proposals = proposeKeywords(corrections, { minCorrections: 2 });
+  assert.deepEqual(proposals.map(p => [p.keyword, p.currentCategories]), [['target', ['Grocery']]]);
+});
@@ -0,0 +1,61 @@
+// Unit tests for the offline naive Bayes categorizer (services/localClassifier.js)
+// The held-out descriptors appear nowhere in the keyword tables or example phrases.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const LocalClassifier = require('../../services/localClassifier');
+const CategoryService = require('../../services/categoryService');
+
+const categoryService = new CategoryService();
+const classify = description => categoryService.localClassifier.classify(categoryService.cleanDescription(description));
+
+test('a clear winner keeps its category, capped under the keyword threshold', () => {
+  const classifier = new LocalClassifier();
+  classifier.trainFromPhrases({ Dining: ['pizza place', 'burger grill'], Gas: ['fuel station', 'gas pump'] });
+  const result = classifier.classify('pizza grill');
+  assert.equal(result.category, 'Dining');
+  assert.ok(result.confidence <= 0.75);
+});
+
+test('nothing recognized falls back to Other', () => {
+  const classifier = new LocalClassifier();
+  classifier.trainFromPhrases({ Dining: ['pizza place'] });
+  assert.deepEqual([classifier.classify('zzz').category, classifier.classify('zzz').confidence], ['Other', 0.1]);
+});
+
+test('held-out merchants the model is unsure about fall back to Other', () => {
+  const unsure = [
+    'SQ *BLUE BOTTLE 8734 SAN FRANCISCO CA',
+    'SP * ALLBIRDS',
+    'TST* SHAKE SHACK 1123',
+    'BEST BUY 00012',
+    'NORDSTROM',
+    'SEPHORA',
+    'DUANE READE',
+    'SUSHI ZEN',
+    'ACME HARDWARE',
+    'BOWLING ALLEY'
+  ];
+  for (const description of unsure) {
+    const result = classify(description);
+    assert.deepEqual([description, result.category, result.confidence], [description, 'Other', 0.1]);
+    assert.match(result.reasoning, /not sure/);
+  }
+});
+
+test('held-out merchants with a clear signal keep the local answer', () => {
+  const clear = {
+    'BURGER BARN': 'Dining',
+    'VALLEY FOODS': 'Grocery',
+    'PG&E UTILITY': 'Utilities',
+    'AT&T BILL': 'Utilities'
+  };
+  for (const [description, category] of Object.entries(clear)) {
+    assert.deepEqual([description, classify(description).category], [description, category]);
+  }
+});
+
+test('an unsure local answer does not replace the keyword result in the chain', async () => {
+  const result = await categoryService.categorize('SQ *BLUE BOTTLE 8734 SAN FRANCISCO CA');
+  assert.equal(result.category, 'Other');
+  assert.notEqual(result.source, 'local');
+});
@@ -0,0 +1,42 @@
+// Unit tests for the merchant category code table (services/mccCodes.js)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeMcc,
+  categorizeMcc,
+  getMccMerchantType,
+  parseMccRange,
+  mccInRanges
+} = require('../../services/mccCodes');
+
+test('MCCs are normalized to 4-digit strings', () => {
+  assert.equal(normalizeMcc(5411), '5411');
+  assert.equal(normalizeMcc(' 5812 '), '5812');
+  assert.equal(normalizeMcc('541'), null);
+  assert.equal(normalizeMcc('54a1'), null);
+  assert.equal(normalizeMcc(null), null);
+});
+
+test('listed MCCs categorize at MCC confidence, unlisted ones fall through', () => {
+  assert.deepEqual(
+    [categorizeMcc('5812').category, categorizeMcc('5812').confidence, categorizeMcc('5812').source],
+    ['Dining', 0.97, 'mcc']
+  );
+  assert.equal(categorizeMcc(3100).category, 'Travel');
+  assert.equal(categorizeMcc('0742'), null);
+});
+
+test('wholesale clubs are Other but keep their warehouse club merchant type', () => {
+  assert.equal(categorizeMcc('5300').category, 'Other');
+  assert.equal(getMccMerchantType('5300'), 'warehouse_club');
+  assert.equal(getMccMerchantType('5411'), null);
+});
+
+test('eligible MCC lists take single codes and inclusive ranges', () => {
+  assert.deepEqual(parseMccRange('5811-5814'), { from: 5811, to: 5814 });
+  assert.equal(parseMccRange('5814-5811'), null);
+  assert.equal(parseMccRange('groceries'), null);
+  assert.equal(mccInRanges('5813', ['5411', '5811-5814']), true);
+  assert.equal(mccInRanges('5815', ['5411', '5811-5814']), false);
+  assert.equal(mccInRanges('5813', ['bad entry']), false);
+});
@@ -0,0 +1,43 @@
+// Unit tests for merchant network acceptance (services/merchantAcceptance.js)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  CHANNELS,
+  detectChannel,
+  getAcceptanceRule,
+  isNetworkAccepted,
+  getCardAcceptance
+} = require('../../services/merchantAcceptance');
+
+test('descriptions read as online only when they say so', () => {
+  assert.equal(detectChannel('costco.com order'), CHANNELS.ONLINE);
+  assert.equal(detectChannel('Costco delivery'), CHANNELS.ONLINE);
+  assert.equal(detectChannel('COSTCO WHSE #0423'), CHANNELS.IN_STORE);
+  assert.equal(detectChannel(null), CHANNELS.IN_STORE);
+});
+
+test('Costco takes different networks in the warehouse and online', () => {
+  const inStore = getAcceptanceRule('costco', CHANNELS.IN_STORE);
+  const online = getAcceptanceRule('COSTCO', CHANNELS.ONLINE);
+  assert.equal(isNetworkAccepted(inStore, 'visa'), true);
+  assert.equal(isNetworkAccepted(inStore, 'Mastercard'), false);
+  assert.equal(isNetworkAccepted(online, 'Visa'), false);
+  assert.equal(isNetworkAccepted(online, 'Discover'), true);
+});
+
+test('merchants without a rule take every network', () => {
+  assert.equal(getAcceptanceRule('TARGET', CHANNELS.IN_STORE), null);
+  assert.equal(getAcceptanceRule(null, CHANNELS.IN_STORE), null);
+  assert.equal(isNetworkAccepted(null, 'Amex'), true);
+  assert.equal(getCardAcceptance(null, 'Amex'), null);
+});
+
+test('acceptance details explain the restriction', () => {
+  const acceptance = getCardAcceptance(getAcceptanceRule('COSTCO', CHANNELS.ONLINE), 'Amex');
+  assert.equal(acceptance.accepted, false);
+  assert.equal(acceptance.summary, 'Costco online takes Mastercard and Discover only');
+  assert.equal(
+    getCardAcceptance(getAcceptanceRule('COSTCO', CHANNELS.IN_STORE), 'Visa').summary,
+    'Costco in-store takes Visa only'
+  );
+});
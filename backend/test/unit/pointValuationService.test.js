@@ -0,0 +1,39 @@
+// Unit tests for valuing rewards by point currency (services/pointValuationService.js, RewardCalculator)
+// A user's overrides are seeded into the service's cache, so no database is needed.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getDefaultCentsPerPoint, isValidRewardCurrency } = require('../../services/rewardCurrencies');
+const pointValuationService = require('../../services/pointValuationService');
+const RewardCalculator = require('../../services/rewardCalculator');
+
+const calculator = new RewardCalculator();
+
+test('unknown currencies are valued as cash', () => {
+  assert.equal(getDefaultCentsPerPoint('UR'), 1.5);
+  assert.equal(getDefaultCentsPerPoint('NOPE'), 1);
+  assert.equal(isValidRewardCurrency('MR'), true);
+  assert.equal(isValidRewardCurrency('toString'), false);
+});
+
+test('a user override replaces the default only for that currency and user', async () => {
+  pointValuationService.cache.set('points-user', { value: { UR: 2.0 }, timestamp: Date.now() });
+  assert.equal(await pointValuationService.getCentsPerPoint('UR', 'points-user'), 2);
+  assert.equal(await pointValuationService.getCentsPerPoint('MR', 'points-user'), 1.6);
+  assert.equal(await pointValuationService.getCentsPerPoint('UR'), 1.5);
+
+  const table = await pointValuationService.getValuationTable('points-user');
+  assert.deepEqual(table.find(row => row.currency === 'UR'), {
+    currency: 'UR', name: 'Chase Ultimate Rewards', defaultCentsPerPoint: 1.5, centsPerPoint: 2, isCustom: true
+  });
+});
+
+test('points are converted to a dollar-equivalent rate', async () => {
+  const card = {
+    id: 'card-ur', name: 'Points Card', reward_currency: 'UR', foreign_transaction_fee: 0,
+    rewards: [{ category: 'Dining', multiplier: 3, reward_type: 'fixed', cap: null }]
+  };
+  const reward = await calculator.calculateReward(card, 'Dining', 100, new Date(2026, 9, 19));
+  assert.deepEqual([reward.earnRate, reward.centsPerPoint, reward.effectiveRate], [3, 1.5, 4.5]);
+  assert.equal(reward.pointsEarned, 300);
+  assert.equal(reward.rewardValue, '4.50');
+});
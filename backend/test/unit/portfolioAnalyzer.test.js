@@ -0,0 +1,77 @@
+// Unit tests for the wallet optimizer's search (services/portfolioAnalyzer.js)
+// Works on prebuilt projections, so no catalog or database is needed.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const PortfolioAnalyzer = require('../../services/portfolioAnalyzer');
+
+const analyzer = new PortfolioAnalyzer();
+
+const projection = (cardId, issuer, annualFee, values) => ({
+  cardId, issuer, annualFee, credits: 0,
+  byCategory: Object.entries(values).map(([category, value]) => ({ category, value }))
+});
+const grocery = projection('grocery', 'Chase', 0, { Grocery: 52, Dining: 10 });
+const flat = projection('flat', 'Citi', 0, { Grocery: 24, Dining: 20 });
+const dining = projection('dining', 'Amex', 95, { Grocery: 10, Dining: 40 });
+const candidates = [grocery, flat, dining];
+
+const search = (options, kept = []) => analyzer.searchWallets(candidates, kept, 2, {
+  maxTotalFees: null, requiredIssuers: [], ...options
+});
+
+test('the optimizer ranks wallets by net value after fees', () => {
+  const { wallets } = search({});
+  assert.deepEqual(wallets.map(w => [w.cardIds, w.netValue]), [
+    [['grocery', 'flat'], 72],
+    [['grocery'], 62],
+    [['flat'], 44]
+  ]);
+});
+
+test('a fee budget keeps cards over the limit out of every wallet', () => {
+  const { wallets, combinationsEvaluated } = search({ maxTotalFees: 50 });
+  assert.ok(wallets.every(w => !w.cardIds.includes('dining')));
+  assert.equal(combinationsEvaluated, 3);
+});
+
+test('required issuers must appear in the wallet even when they cost value', () => {
+  const { wallets } = search({ requiredIssuers: ['amex'] });
+  assert.deepEqual(wallets[0].cardIds, ['grocery', 'dining']);
+  assert.equal(wallets[0].netValue, -3);
+});
+
+test('kept cards stay in every wallet and only the free slots are searched', () => {
+  const { wallets } = analyzer.searchWallets([flat, dining], [grocery], 1, { maxTotalFees: null, requiredIssuers: [] });
+  assert.ok(wallets.every(w => w.cardIds[0] === 'grocery' && w.cardIds.length <= 2));
+  assert.deepEqual(wallets[0].cardIds, ['grocery', 'flat']);
+});
+
+test('candidates are each category\'s top earners plus the best card from each required issuer', () => {
+  const weak = projection('weak', 'Discover', 5, { Grocery: 1, Dining: 1 });
+  const ids = projections => projections.map(p => p.cardId).sort();
+
+  assert.deepEqual(ids(analyzer.getOptimizerCandidates([grocery, flat, dining, weak])), ['dining', 'flat', 'grocery']);
+  assert.deepEqual(
+    ids(analyzer.getOptimizerCandidates([grocery, flat, dining, weak], ['discover'])),
+    ['dining', 'flat', 'grocery', 'weak']
+  );
+});
+
+test('a large catalog is pruned so the search stays bounded', () => {
+  // 40 cards, each leading its own category, would be ~760k wallets of 5 unpruned
+  const catalog = Array.from({ length: 40 }, (_, i) =>
+    projection(`card${i}`, i === 39 ? 'Discover' : 'Chase', 0, { [`Category${i}`]: 100 - i, Grocery: i })
+  );
+
+  const pruned = analyzer.getOptimizerCandidates(catalog, ['discover']);
+  assert.equal(pruned.length, analyzer.MAX_CANDIDATES);
+  assert.ok(pruned.some(p => p.issuer === 'Discover'));
+  assert.ok(pruned.some(p => p.cardId === 'card0'));
+
+  const { wallets, combinationsEvaluated } = analyzer.searchWallets(pruned, [], analyzer.MAX_WALLET_SIZE, {
+    maxTotalFees: null, requiredIssuers: []
+  });
+  // Every non-empty wallet of up to 5 from 12 candidates
+  assert.equal(combinationsEvaluated, 12 + 66 + 220 + 495 + 792);
+  assert.ok(wallets.length > 0);
+});
@@ -0,0 +1,54 @@
+// Unit tests for the annual spend projection (services/projectionEngine.js)
+// Projections run without a user, so valuations, preferences and relationships use their defaults.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ProjectionEngine = require('../../services/projectionEngine');
+
+const engine = new ProjectionEngine();
+const OCT_2026 = new Date(2026, 9, 19);
+
+const groceryCard = {
+  id: 'card-grocery', name: 'Grocery Card', issuer: 'Test Bank', network: 'Visa', reward_currency: 'cash', annual_fee: 0,
+  rewards: [
+    { category: 'Grocery', multiplier: 6, reward_type: 'fixed', cap: 500, cap_period: 'calendar_year' },
+    { category: 'All', multiplier: 1, reward_type: 'fixed', cap: null }
+  ]
+};
+const flatCard = {
+  id: 'card-flat', name: 'Flat Card', issuer: 'Other Bank', network: 'Mastercard', reward_currency: 'cash', annual_fee: 10,
+  rewards: [{ category: 'All', multiplier: 2, reward_type: 'fixed', cap: null }]
+};
+
+test('spend profiles keep only positive amounts', () => {
+  assert.deepEqual(
+    engine.normalizeSpendProfile({ Grocery: '1200', Dining: 0, Gas: -50, Travel: 'soon', Online: 300 }),
+    { Grocery: 1200, Online: 300 }
+  );
+});
+
+test('a yearly cap resets when the projection crosses into a new calendar year', async () => {
+  const projection = await engine.projectCard(groceryCard, { Grocery: 1200 }, null, OCT_2026);
+  // Oct-Dec 2026: $300 at 6x; Jan-Sep 2027: $500 at 6x, then $400 at 1x
+  assert.equal(projection.pointsEarned, 5200);
+  assert.equal(projection.rewardsValue, 52);
+  assert.equal(projection.effectiveRate, 4.33);
+  assert.equal(projection.netValue, 52);
+});
+
+test('net value subtracts the annual fee', async () => {
+  const projection = await engine.projectCard(flatCard, { Grocery: 1200 }, null, OCT_2026);
+  assert.equal(projection.rewardsValue, 24);
+  assert.equal(projection.netValue, 14);
+});
+
+test('a wallet routes each category to the card that earns the most on it', async () => {
+  const profile = { Grocery: 1200, Dining: 1000 };
+  const projections = await engine.projectCards([groceryCard, flatCard], profile, null, OCT_2026);
+  const wallet = engine.combineWallet(projections);
+
+  const routed = Object.fromEntries(wallet.byCategory.map(entry => [entry.category, entry.cardId]));
+  assert.deepEqual(routed, { Grocery: 'card-grocery', Dining: 'card-flat' });
+  assert.equal(wallet.rewardsValue, 72);
+  assert.equal(wallet.annualFees, 10);
+  assert.equal(wallet.netValue, 62);
+});
@@ -0,0 +1,56 @@
+// Unit tests for the transfer partner graph and redemption planner
+// (services/transferPartners.js, services/redemptionOptimizer.js)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getTransferRoutes, getPartnerType, isTransferableCurrency } = require('../../services/transferPartners');
+const RedemptionOptimizer = require('../../services/redemptionOptimizer');
+
+const optimizer = new RedemptionOptimizer();
+const OCT_2026 = new Date(2026, 9, 19);
+const flyingBlueBonus = { from: 'MR', to: 'FLYING_BLUE', bonus: 0.25, startDate: '2026-10-01', endDate: '2026-10-31' };
+
+test('routes list every bank currency that transfers into a program', () => {
+  const routes = getTransferRoutes('HILTON', OCT_2026);
+  assert.deepEqual(routes.map(r => [r.from, r.ratio]), [['MR', 2]]);
+  assert.equal(getPartnerType('HYATT'), 'hotel');
+  assert.equal(isTransferableCurrency('UR'), true);
+  assert.equal(isTransferableCurrency('UNITED'), false);
+});
+
+test('transfer bonuses apply only while they run', () => {
+  const during = getTransferRoutes('FLYING_BLUE', OCT_2026, [flyingBlueBonus]).find(r => r.from === 'MR');
+  const after = getTransferRoutes('FLYING_BLUE', new Date(2026, 10, 2), [flyingBlueBonus]).find(r => r.from === 'MR');
+  assert.deepEqual([during.bonus, during.effectiveRatio], [0.25, 1.25]);
+  assert.deepEqual([after.bonus, after.effectiveRatio], [0, 1]);
+});
+
+test('points already in the program go first, then transfers rounded up to whole blocks', async () => {
+  const plan = await optimizer.planRedemption({
+    program: 'HILTON', points: 50000, balances: { HILTON: 5000, MR: 30000 }, date: OCT_2026
+  });
+  assert.equal(plan.feasible, true);
+  assert.deepEqual(plan.steps.map(s => [s.from, s.pointsUsed, s.pointsReceived]), [
+    ['HILTON', 5000, 5000],
+    ['MR', 23000, 46000]
+  ]);
+  assert.deepEqual([plan.valueSpent, plan.leftover], [393, 1000]);
+});
+
+test('the cheapest source per award point is drawn first', async () => {
+  const plan = await optimizer.planRedemption({
+    program: 'FLYING_BLUE', points: 20000, balances: { MR: 50000, UR: 12000 }, date: OCT_2026
+  });
+  assert.deepEqual(plan.steps.map(s => [s.from, s.pointsUsed]), [['UR', 12000], ['MR', 8000]]);
+
+  const withBonus = await optimizer.planRedemption({
+    program: 'FLYING_BLUE', points: 20000, balances: { MR: 50000, UR: 12000 }, transferBonuses: [flyingBlueBonus], date: OCT_2026
+  });
+  assert.deepEqual(withBonus.steps.map(s => [s.from, s.pointsUsed, s.pointsReceived]), [['MR', 16000, 20000]]);
+});
+
+test('balances under the transfer minimum leave a shortfall', async () => {
+  const plan = await optimizer.planRedemption({ program: 'UNITED', points: 10000, balances: { UR: 500 }, date: OCT_2026 });
+  assert.equal(plan.feasible, false);
+  assert.equal(plan.shortfall, 10000);
+  assert.equal(plan.summary, '10,000 United MileagePlus points short');
+});
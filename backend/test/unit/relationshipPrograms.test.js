@@ -0,0 +1,48 @@
+// Unit tests for banking relationship boosts (services/relationshipPrograms.js)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isKnownProgram,
+  isValidTier,
+  getProgramForCard,
+  getRelationshipBoost,
+  applyRelationshipBoost
+} = require('../../services/relationshipPrograms');
+
+const customizedCash = { issuer: 'Bank of America', name: 'Bank of America Customized Cash Rewards' };
+const coBrand = { issuer: 'Bank of America', name: 'Alaska Airlines Visa Signature' };
+
+test('only the program\'s listed cards earn a boost', () => {
+  assert.equal(getProgramForCard(customizedCash), 'bofa_preferred_rewards');
+  assert.equal(getProgramForCard(coBrand), null);
+  assert.equal(getProgramForCard({ issuer: 'Chase', name: customizedCash.name }), null);
+});
+
+test('the user\'s tier sets the boost', () => {
+  const boost = getRelationshipBoost(customizedCash, { bofa_preferred_rewards: 'platinum_honors' });
+  assert.equal(boost.boost, 0.75);
+  assert.equal(boost.summary, '+75% from Preferred Rewards Platinum Honors');
+
+  assert.equal(getRelationshipBoost(customizedCash, {}), null);
+  assert.equal(getRelationshipBoost(customizedCash, { bofa_preferred_rewards: 'bronze' }), null);
+  assert.equal(getRelationshipBoost(coBrand, { bofa_preferred_rewards: 'gold' }), null);
+});
+
+test('a boost scales the earn rate, and no boost leaves it alone', () => {
+  assert.equal(applyRelationshipBoost(3, { boost: 0.75 }), 5.25);
+  assert.equal(applyRelationshipBoost(1.5, { boost: 0.25 }), 1.875);
+  assert.equal(applyRelationshipBoost(3, null), 3);
+});
+
+test('tiers are validated per program', () => {
+  assert.equal(isValidTier('bofa_preferred_rewards', 'diamond'), true);
+  assert.equal(isValidTier('bofa_preferred_rewards', 'hasOwnProperty'), false);
+  assert.equal(isValidTier('unknown_program', 'gold'), false);
+  assert.equal(isValidTier('toString', 'gold'), false);
+});
+
+test('prototype keys are not relationship programs', () => {
+  assert.equal(isKnownProgram('bofa_preferred_rewards'), true);
+  assert.equal(isKnownProgram('toString'), false);
+  assert.equal(isKnownProgram('__proto__'), false);
+});
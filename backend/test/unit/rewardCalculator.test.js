@@ -0,0 +1,269 @@
+// Unit tests for RewardCalculator's rule matching and allocation (services/rewardCalculator.js)
+// Nothing here reaches the database: every case runs in demo mode or on in-memory account data.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const RewardCalculator = require('../../services/rewardCalculator');
+const pointValuationService = require('../../services/pointValuationService');
+const userPreferenceService = require('../../services/userPreferenceService');
+const relationshipService = require('../../services/relationshipService');
+const { DEFAULT_PREFERENCES } = require('../../services/rewardPreferences');
+
+const calculator = new RewardCalculator();
+const Q4_2026 = new Date(2026, 9, 19);
+
+const rotatingReward = { category: 'Rotating', multiplier: 5, reward_type: 'rotating', cap: 1500, cap_period: 'calendar_quarter' };
+const rotatingCalendar = [
+  { year: 2026, quarter: 4, category: 'Online' },
+  { year: 2026, quarter: 4, category: 'Grocery' }
+];
+
+test('rotating rewards earn only on this quarter\'s calendar categories', () => {
+  const account = { rotatingCalendar, activatedQuarters: ['2026-Q4'] };
+  assert.equal(calculator.getRewardRejection(rotatingReward, 'Online', Q4_2026, account), null);
+  assert.equal(calculator.getRewardRejection(rotatingReward, 'Dining', Q4_2026, account).reason, 'category');
+  assert.equal(calculator.getRewardRejection(rotatingReward, 'Online', new Date(2027, 0, 5), account).reason, 'category');
+});
+
+test('rotating rewards need the quarter activated, except in demo mode', () => {
+  const notActivated = { rotatingCalendar, activatedQuarters: ['2026-Q3'] };
+  const rejection = calculator.getRewardRejection(rotatingReward, 'Grocery', Q4_2026, notActivated);
+  assert.equal(rejection.reason, 'activation');
+  assert.match(rejection.detail, /2026-Q4/);
+  assert.equal(calculator.getRewardRejection(rotatingReward, 'Grocery', Q4_2026, { rotatingCalendar }), null);
+});
+
+test('a rotating reward without a calendar never applies', () => {
+  assert.equal(calculator.getRewardRejection(rotatingReward, 'Online', Q4_2026, {}).reason, 'category');
+});
+
+const topCategoryReward = {
+  category: 'Top Category', multiplier: 5, reward_type: 'top_category', cap: 500, cap_period: 'calendar_month',
+  eligible_categories: ['Dining', 'Gas', 'Grocery']
+};
+
+test('top-category rewards only consider their eligible categories', () => {
+  assert.equal(calculator.getRewardRejection(topCategoryReward, 'Gas', Q4_2026, {}), null);
+  assert.equal(calculator.getRewardRejection(topCategoryReward, 'Travel', Q4_2026, {}).reason, 'category');
+});
+
+test('top-category status projects the cycle leader from recorded and simulated spending', async () => {
+  const account = {
+    spendingHistory: [
+      { cardId: 'card-1', category: 'Dining', amount: 300, date: new Date(2026, 9, 2) },
+      { cardId: 'card-1', category: 'Gas', amount: 100, date: new Date(2026, 9, 5) },
+      { cardId: 'card-1', category: 'Travel', amount: 900, date: new Date(2026, 9, 6) },
+      { cardId: 'card-2', category: 'Gas', amount: 900, date: new Date(2026, 9, 6) },
+      { cardId: 'card-1', category: 'Gas', amount: 900, date: new Date(2026, 8, 30) }
+    ],
+    simulatedSpending: [{ cardId: 'card-1', category: 'Gas', amount: 40, date: Q4_2026 }]
+  };
+
+  const short = await calculator.getTopCategoryStatus(topCategoryReward, 'user-1', 'card-1', 'Gas', 50, Q4_2026, account);
+  assert.equal(short.qualifies, false);
+  assert.equal(short.currentLeader, 'Dining');
+  assert.equal(short.categorySpend, 140);
+  assert.equal(short.shortfall, 110);
+
+  const overtakes = await calculator.getTopCategoryStatus(topCategoryReward, 'user-1', 'card-1', 'Gas', 200, Q4_2026, account);
+  assert.equal(overtakes.qualifies, true);
+});
+
+const choiceReward = {
+  category: 'Choice', multiplier: 3, reward_type: 'choice', cap: 2500, cap_period: 'calendar_quarter',
+  eligible_categories: ['Dining', 'Gas', 'Online', 'Travel'], choice_period: 'calendar_month'
+};
+
+test('choice rewards earn on the selection in effect on the purchase date', () => {
+  const account = {
+    choiceSelections: [
+      { category: 'Gas', effective_from: '2026-08-01' },
+      { category: 'Online', effective_from: '2026-10-01' }
+    ]
+  };
+  assert.equal(calculator.getRewardRejection(choiceReward, 'Online', Q4_2026, account), null);
+  assert.equal(calculator.getRewardRejection(choiceReward, 'Gas', Q4_2026, account).reason, 'category');
+  assert.equal(calculator.getRewardRejection(choiceReward, 'Gas', new Date(2026, 8, 15), account), null);
+  assert.equal(calculator.getRewardRejection(choiceReward, 'Online', new Date(2026, 6, 15), account).reason, 'category');
+});
+
+test('choice rewards accept any eligible option in demo mode', () => {
+  assert.equal(calculator.getRewardRejection(choiceReward, 'Travel', Q4_2026, {}), null);
+  assert.equal(calculator.getRewardRejection(choiceReward, 'Grocery', Q4_2026, {}).reason, 'category');
+});
+
+const cashCard = (id, name, rewards) => ({
+  id, name, issuer: 'Test Bank', network: 'Visa', reward_currency: 'cash', foreign_transaction_fee: 0, rewards
+});
+const groceryCard = cashCard('card-grocery', 'Grocery Card', [
+  { category: 'Grocery', multiplier: 6, reward_type: 'fixed', cap: 500, cap_period: 'calendar_year' },
+  { category: 'All', multiplier: 1, reward_type: 'fixed', cap: null }
+]);
+const flatCard = cashCard('card-flat', 'Flat Card', [
+  { category: 'All', multiplier: 2, reward_type: 'fixed', cap: null }
+]);
+
+test('allocation fills a cap at the bonus rate before moving to the next best card', async () => {
+  const allocation = await calculator.allocatePurchase([groceryCard, flatCard], 'Grocery', 1200, Q4_2026);
+  assert.equal(allocation.isSplit, true);
+  assert.deepEqual(
+    allocation.allocations.map(a => [a.cardId, a.amount, a.upToCap]),
+    [['card-grocery', 500, true], ['card-flat', 700, false]]
+  );
+  assert.equal(allocation.totalReward, 44);
+});
+
+test('allocation counts cap use already recorded or simulated', async () => {
+  const context = { simulatedSpending: [{ cardId: 'card-grocery', category: 'Grocery', amount: 400, date: Q4_2026 }] };
+  const allocation = await calculator.allocatePurchase([groceryCard, flatCard], 'Grocery', 300, Q4_2026, null, context);
+  assert.deepEqual(allocation.allocations.map(a => [a.cardId, a.amount]), [['card-grocery', 100], ['card-flat', 200]]);
+});
+
+test('a purchase that fits under the cap stays on one card', async () => {
+  const allocation = await calculator.allocatePurchase([groceryCard, flatCard], 'Grocery', 300, Q4_2026);
+  assert.equal(allocation.isSplit, false);
+  assert.equal(allocation.summary, '$300 on Grocery Card');
+});
+
+test('earlier lines of a batch use up the cap for the lines after them', async () => {
+  const batch = [{ cardId: 'card-grocery', category: 'Grocery', amount: 450, date: new Date(2026, 9, 1) }];
+  const reward = await calculator.calculateReward(groceryCard, 'Grocery', 100, Q4_2026, null, { simulatedSpending: batch });
+  // $50 left under the cap at 6x, the other $50 at the 1x base rate
+  assert.equal(reward.pointsEarned, 350);
+  assert.deepEqual([reward.capStatus.used, reward.capStatus.remaining], [450, 50]);
+});
+
+test('simulated spend only counts on its own card and inside the cap period', async () => {
+  const batch = [
+    { cardId: 'card-flat', category: 'Grocery', amount: 450, date: Q4_2026 },
+    { cardId: 'card-grocery', category: 'Grocery', amount: 450, date: new Date(2025, 9, 1) }
+  ];
+  const reward = await calculator.calculateReward(groceryCard, 'Grocery', 100, Q4_2026, null, { simulatedSpending: batch });
+  assert.equal(reward.pointsEarned, 600);
+  assert.equal(reward.capStatus.remaining, 500);
+});
+
+const groceryBonus = {
+  category: 'Grocery', multiplier: 6, reward_type: 'fixed', cap: null,
+  excluded_merchants: ['WHOLE FOODS'], excluded_merchant_types: ['warehouse_club'], eligible_countries: ['US']
+};
+
+test('exclusions rule out a merchant, its merchant type and purchases abroad', () => {
+  const exclusion = purchase => calculator.getExclusion(groceryBonus, purchase);
+  assert.equal(exclusion({ merchant: 'Whole Foods' }).reason, 'merchant');
+  assert.equal(exclusion({ merchant: 'Costco' }).reason, 'merchant_type');
+  assert.equal(exclusion({ country: 'CA' }).reason, 'country');
+  assert.equal(exclusion({ foreign: true }).reason, 'country');
+  assert.equal(exclusion({ merchant: 'Kroger', country: 'us' }), null);
+});
+
+test('an excluded purchase falls through to the card\'s base rate', async () => {
+  const card = cashCard('card-excl', 'Exclusion Card', [
+    groceryBonus,
+    { category: 'All', multiplier: 1, reward_type: 'fixed', cap: null }
+  ]);
+  const atCostco = await calculator.calculateReward(card, 'Grocery', 100, Q4_2026, null, { merchant: 'Costco' });
+  const atKroger = await calculator.calculateReward(card, 'Grocery', 100, Q4_2026, null, { merchant: 'Kroger' });
+  assert.equal(atCostco.multiplier, 1);
+  assert.equal(atKroger.multiplier, 6);
+});
+
+test('a purchase abroad or in another currency is foreign', () => {
+  assert.equal(calculator.isForeignPurchase({}), false);
+  assert.equal(calculator.isForeignPurchase({ country: 'us', currency: 'usd' }), false);
+  assert.equal(calculator.isForeignPurchase({ country: 'FR' }), true);
+  assert.equal(calculator.isForeignPurchase({ currency: 'EUR' }), true);
+});
+
+test('foreign purchases are netted of the card\'s foreign transaction fee', async () => {
+  const feeCard = { ...flatCard, id: 'card-fee', foreign_transaction_fee: 3 };
+  const abroad = await calculator.calculateReward(feeCard, 'Dining', 200, Q4_2026, null, { country: 'FR' });
+  assert.equal(abroad.grossRate, 2);
+  assert.equal(abroad.effectiveRate, -1); // 2% back does not cover a 3% fee
+  assert.equal(abroad.rewardValue, '-2.00');
+  assert.equal(abroad.foreignFeeCost, 6);
+
+  const home = await calculator.calculateReward(feeCard, 'Dining', 200, Q4_2026);
+  assert.equal(home.effectiveRate, 2);
+  assert.equal(home.foreignTransactionFee, undefined);
+});
+
+test('eligible MCCs limit a reward and can qualify it at a club coded Other', () => {
+  const supermarketsOnly = { category: 'Grocery', multiplier: 4, reward_type: 'fixed', eligible_mccs: ['5411'] };
+  const withClubs = { category: 'Grocery', multiplier: 2, reward_type: 'fixed', eligible_mccs: ['5300', '5411'] };
+
+  assert.equal(calculator.getRewardRejection(supermarketsOnly, 'Grocery', Q4_2026, {}, { mcc: '5499' }).reason, 'mcc');
+  assert.equal(calculator.getRewardRejection(supermarketsOnly, 'Other', Q4_2026, {}, { mcc: '5300' }).reason, 'category');
+  assert.equal(calculator.getRewardRejection(withClubs, 'Other', Q4_2026, {}, { mcc: '5300' }), null);
+  assert.equal(calculator.getRewardRejection(withClubs, 'Other', Q4_2026, {}, {}).reason, 'category');
+});
+
+test('explain mode traces every rule and each adjustment to the final rate', async () => {
+  const card = cashCard('card-trace', 'Trace Card', [
+    { category: 'Dining', multiplier: 3, reward_type: 'fixed', cap: null },
+    { category: 'Grocery', multiplier: 6, reward_type: 'fixed', cap: 500, cap_period: 'calendar_year' },
+    { category: 'All', multiplier: 1, reward_type: 'fixed', cap: null }
+  ]);
+  card.foreign_transaction_fee = 3;
+  const context = {
+    explain: true,
+    country: 'FR',
+    simulatedSpending: [{ cardId: 'card-trace', category: 'Grocery', amount: 450, date: Q4_2026 }]
+  };
+  const { trace } = await calculator.calculateReward(card, 'Grocery', 100, Q4_2026, null, context);
+
+  assert.deepEqual(trace.rules.map(rule => [rule.category, rule.status]), [
+    ['Dining', 'rejected'], ['Grocery', 'selected'], ['All', 'matched']
+  ]);
+  assert.equal(trace.rules[0].detail, 'Earns on Dining, not Grocery');
+  assert.equal(trace.rules[1].detail, '$50 of $100 fits under the cap at 6x; the rest earns the base rate');
+  assert.deepEqual(trace.adjustments.map(a => a.detail), [
+    '3.5x at 1¢ per point = 3.5%',
+    '3% foreign transaction fee: 3.5% becomes 0.5%'
+  ]);
+  assert.equal(trace.effectiveRate, 0.5);
+});
+
+test('without explain mode no trace is attached', async () => {
+  const reward = await calculator.calculateReward(flatCard, 'Dining', 100, Q4_2026);
+  assert.equal(reward.trace, undefined);
+});
+
+test('a signed-in user\'s caps are worked out from the preloaded spending history', async () => {
+  // Seed the per-user lookups; the history is the only spending source (no database here)
+  const seed = (service, value) => service.cache.set('history-user', { value, timestamp: Date.now() });
+  seed(pointValuationService, {});
+  seed(userPreferenceService, { ...DEFAULT_PREFERENCES });
+  seed(relationshipService, {});
+
+  const spendingHistory = [
+    { cardId: 'card-grocery', category: 'Grocery', amount: 300, date: new Date(2026, 2, 4) },
+    { cardId: 'card-grocery', category: 'Grocery', amount: 900, date: new Date(2025, 11, 20) },
+    { cardId: 'card-flat', category: 'Grocery', amount: 900, date: new Date(2026, 2, 4) }
+  ];
+  const context = { spendingHistory, simulatedSpending: [{ cardId: 'card-grocery', category: 'Grocery', amount: 150, date: Q4_2026 }] };
+  const reward = await calculator.calculateReward(groceryCard, 'Grocery', 100, Q4_2026, 'history-user', context);
+  assert.deepEqual([reward.capStatus.used, reward.capStatus.remaining], [450, 50]);
+  assert.equal(reward.pointsEarned, 350);
+});
+
+test('settings loaded once with loadUserContext are reused for every card', async (t) => {
+  const seed = (service, value) => service.cache.set('context-user', { value, timestamp: Date.now() });
+  seed(pointValuationService, { cash: 1.2 });
+  seed(userPreferenceService, { ...DEFAULT_PREFERENCES });
+  seed(relationshipService, {});
+  const userContext = await calculator.loadUserContext('context-user');
+
+  // Any per-card lookup now fails the test
+  const fail = () => { throw new Error('per-card lookup'); };
+  t.mock.method(pointValuationService, 'getUserValuations', fail);
+  t.mock.method(userPreferenceService, 'getPreferences', fail);
+  t.mock.method(relationshipService, 'getUserTiers', fail);
+
+  // Past the grocery cap, so the base rate is read from the card's rewards as well
+  const context = { ...userContext, spendingHistory: [], simulatedSpending: [] };
+  const grocery = await calculator.calculateReward(groceryCard, 'Grocery', 1000, Q4_2026, 'context-user', context);
+  const flat = await calculator.calculateReward(flatCard, 'Grocery', 1000, Q4_2026, 'context-user', context);
+  assert.equal(grocery.centsPerPoint, 1.2);
+  assert.equal(grocery.earnRate, 3.5);
+  assert.equal(flat.effectiveRate, 2.4);
+});
@@ -0,0 +1,41 @@
+// Unit tests for conditional reward preferences (services/rewardPreferences.js)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_PREFERENCES,
+  isValidPreference,
+  getRequirements,
+  getLikelihood,
+  describeAdjustment
+} = require('../../services/rewardPreferences');
+
+const portalReward = { category: 'Travel', multiplier: 10, portal_only: true, cap: 3000 };
+const rotatingReward = { category: 'Rotating', multiplier: 5, reward_type: 'rotating' };
+const plainReward = { category: 'Dining', multiplier: 3 };
+
+test('requirements come from portal booking, activation and caps', () => {
+  assert.deepEqual(getRequirements(portalReward), ['portalBooking', 'cappedCategories']);
+  assert.deepEqual(getRequirements(rotatingReward), ['activation']);
+  assert.deepEqual(getRequirements({ ...plainReward, notes: 'Requires Activation each quarter' }), ['activation']);
+  assert.deepEqual(getRequirements(plainReward), []);
+});
+
+test('likelihoods compound across requirements', () => {
+  const sometimes = { portalBooking: 'sometimes', activation: 'never', cappedCategories: 'sometimes' };
+  assert.equal(getLikelihood(portalReward, sometimes), 0.25);
+  assert.equal(getLikelihood(rotatingReward, sometimes), 0);
+  assert.equal(getLikelihood(plainReward, sometimes), 1);
+  assert.equal(getLikelihood(portalReward), 1);
+});
+
+test('only preferences short of "always" are explained', () => {
+  const preferences = { ...DEFAULT_PREFERENCES, portalBooking: 'sometimes' };
+  assert.deepEqual(describeAdjustment(portalReward, preferences), ['Portal booking required (you said "sometimes")']);
+  assert.deepEqual(describeAdjustment(portalReward), []);
+});
+
+test('preference keys and levels are validated', () => {
+  assert.equal(isValidPreference('activation', 'never'), true);
+  assert.equal(isValidPreference('activation', 'rarely'), false);
+  assert.equal(isValidPreference('toString', 'always'), false);
+});
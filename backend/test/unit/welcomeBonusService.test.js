@@ -0,0 +1,39 @@
+// Unit tests for welcome bonus minimum-spend progress (services/welcomeBonusService.js)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const WelcomeBonusService = require('../../services/welcomeBonusService');
+
+const service = new WelcomeBonusService();
+const TODAY = new Date(2026, 9, 19);
+const offer = {
+  id: 'card-ur', name: 'Points Card', issuer: 'Test Bank', reward_currency: 'UR',
+  welcome_bonus_points: 60000, welcome_bonus_min_spend: 4000, welcome_bonus_months: 3,
+  opened_at: new Date(2026, 8, 1)
+};
+
+test('the minimum-spend window runs from the open date', () => {
+  assert.deepEqual(WelcomeBonusService.getDeadline(new Date(2026, 8, 1), 3), new Date(2026, 11, 1));
+  assert.equal(WelcomeBonusService.hasWelcomeBonus(offer), true);
+  assert.equal(WelcomeBonusService.hasWelcomeBonus({ ...offer, welcome_bonus_min_spend: null }), false);
+});
+
+test('progress tracks what is left, the deadline and the bonus value', () => {
+  const bonus = service.buildProgress(offer, 1500, 1.5, TODAY);
+  assert.equal(bonus.status, 'in_progress');
+  assert.deepEqual([bonus.remaining, bonus.daysLeft, bonus.bonusValue], [2500, 43, 900]);
+  assert.equal(bonus.summary, '$2,500 left to spend in 43 days for the 60,000 Chase Ultimate Rewards welcome bonus');
+});
+
+test('bonuses are earned, expired, or waiting on an open date', () => {
+  assert.equal(service.buildProgress(offer, 4000, 1.5, TODAY).status, 'earned');
+  assert.equal(service.buildProgress(offer, 1500, 1.5, new Date(2026, 11, 2)).status, 'expired');
+  assert.equal(service.buildProgress({ ...offer, opened_at: null }, 0, 1.5, TODAY).status, 'needs_open_date');
+});
+
+test('a purchase is boosted by its share of the bonus it unlocks', () => {
+  const bonus = service.buildProgress(offer, 1500, 1.5, TODAY);
+  assert.equal(service.getBonusBoost(bonus, 250), 90);
+  assert.equal(service.getBonusBoost(bonus, 5000), 900);
+  assert.equal(service.getBonusBoost(bonus), 36);
+  assert.equal(service.getBonusBoost(service.buildProgress(offer, 4000, 1.5, TODAY), 250), 0);
+});
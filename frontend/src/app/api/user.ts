@@ -1,6 +1,21 @@
 // src/api/user.ts
 
-import type { Card } from '@/types';
+import type {
+  ActivationReminder,
+  Card,
+  Category,
+  CategoryRule,
+  CategoryRuleMatchType,
+  ChoiceCategorySelection,
+  ChoiceCategoryState,
+  RedemptionPlan,
+  RelationshipProgram,
+  RewardPreferences,
+  TransferCurrency,
+  UserBenefit,
+  WalletConstraints,
+  WelcomeBonusProgress,
+} from '@/types';
 
 // ApiCard is now just an alias since Card includes all necessary fields
 export type ApiCard = Card;
@@ -166,12 +181,261 @@ export const removeUserCard = async (cardId: string): Promise<{ success: boolean
   }
 };
 
+export const getActivationReminders = async (): Promise<ActivationReminder[]> => {
+  const token = localStorage.getItem('auth_token');
+
+  const res = await fetch(`${API_BASE_URL}/api/user-cards/activations`, {
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  if (!res.ok) throw new Error('Failed to fetch activation reminders');
+
+  const data = await res.json();
+  return data.reminders;
+};
+
+export const setQuarterActivation = async (
+  cardId: string,
+  quarter: string,
+  activated: boolean = true
+): Promise<{ success: boolean; quarter: string; activated: boolean }> => {
+  const token = localStorage.getItem('auth_token');
+
+  if (!token) {
+    throw new Error('You need to log in to track activations');
+  }
+
+  try {
+    const res = await fetch(`${API_BASE_URL}/api/user-cards/${cardId}/activations/${quarter}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify({ activated }),
+    });
+
+    const data = await res.json();
+
+    if (!res.ok) {
+      let errorMessage = 'Failed to update activation';
+      if (res.status === 400) {
+        errorMessage = data.error || 'Invalid quarter';
+      } else if (res.status === 401) {
+        errorMessage = 'You need to log in again';
+      } else if (res.status === 404) {
+        errorMessage = 'Card not found in your collection';
+      } else if (res.status === 500) {
+        errorMessage = 'Server error - please try again';
+      }
+      throw new Error(errorMessage);
+    }
+
+    return data;
+  } catch (error) {
+    if (error instanceof TypeError && error.message.includes('fetch')) {
+      throw new Error('Network error. Please check your connection and try again.');
+    }
+    throw error;
+  }
+};
+
+export const getCardBenefits = async (): Promise<UserBenefit[]> => {
+  const token = localStorage.getItem('auth_token');
+
+  const res = await fetch(`${API_BASE_URL}/api/user-cards/benefits`, {
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  if (!res.ok) throw new Error('Failed to fetch card benefits');
+
+  const data = await res.json();
+  return data.benefits;
+};
+
+export const setBenefitUsage = async (
+  cardId: string,
+  benefitId: string,
+  used: boolean = true
+): Promise<{ success: boolean; usage: { benefitId: string; periodStart: string; periodEnd: string; used: number } }> => {
+  const token = localStorage.getItem('auth_token');
+
+  if (!token) {
+    throw new Error('You need to log in to track credits');
+  }
+
+  try {
+    const res = await fetch(`${API_BASE_URL}/api/user-cards/${cardId}/benefits/${benefitId}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify({ used }),
+    });
+
+    const data = await res.json();
+
+    if (!res.ok) {
+      let errorMessage = 'Failed to update credit';
+      if (res.status === 400) {
+        errorMessage = data.error || 'Invalid amount';
+      } else if (res.status === 401) {
+        errorMessage = 'You need to log in again';
+      } else if (res.status === 404) {
+        errorMessage = 'Credit not found on your cards';
+      } else if (res.status === 500) {
+        errorMessage = 'Server error - please try again';
+      }
+      throw new Error(errorMessage);
+    }
+
+    return data;
+  } catch (error) {
+    if (error instanceof TypeError && error.message.includes('fetch')) {
+      throw new Error('Network error. Please check your connection and try again.');
+    }
+    throw error;
+  }
+};
+
+export const getWelcomeBonuses = async (): Promise<WelcomeBonusProgress[]> => {
+  const token = localStorage.getItem('auth_token');
+
+  const res = await fetch(`${API_BASE_URL}/api/user-cards/welcome-bonuses`, {
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  if (!res.ok) throw new Error('Failed to fetch welcome bonuses');
+
+  const data = await res.json();
+  return data.bonuses;
+};
+
+export const updateCardAccount = async (
+  cardId: string,
+  openedAt: string | null,
+  statementCloseDay: number | null
+): Promise<{ success: boolean }> => {
+  const token = localStorage.getItem('auth_token');
+
+  if (!token) {
+    throw new Error('You need to log in to update card details');
+  }
+
+  try {
+    const res = await fetch(`${API_BASE_URL}/api/user-cards/${cardId}/account`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify({ openedAt, statementCloseDay }),
+    });
+
+    const data = await res.json();
+
+    if (!res.ok) {
+      let errorMessage = 'Failed to update card details';
+      if (res.status === 400) {
+        errorMessage = data.error || 'Invalid card details';
+      } else if (res.status === 401) {
+        errorMessage = 'You need to log in again';
+      } else if (res.status === 404) {
+        errorMessage = 'Card not found in your collection';
+      } else if (res.status === 500) {
+        errorMessage = 'Server error - please try again';
+      }
+      throw new Error(errorMessage);
+    }
+
+    return data;
+  } catch (error) {
+    if (error instanceof TypeError && error.message.includes('fetch')) {
+      throw new Error('Network error. Please check your connection and try again.');
+    }
+    throw error;
+  }
+};
+
+export const getChoiceCategory = async (cardId: string): Promise<ChoiceCategoryState> => {
+  const token = localStorage.getItem('auth_token');
+
+  const res = await fetch(`${API_BASE_URL}/api/user-cards/${cardId}/choice-category`, {
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  if (!res.ok) throw new Error('Failed to fetch choice category');
+
+  return await res.json();
+};
+
+export const setChoiceCategory = async (
+  cardId: string,
+  category: string
+): Promise<{ success: boolean; selection: ChoiceCategorySelection }> => {
+  const token = localStorage.getItem('auth_token');
+
+  if (!token) {
+    throw new Error('You need to log in to choose a category');
+  }
+
+  try {
+    const res = await fetch(`${API_BASE_URL}/api/user-cards/${cardId}/choice-category`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify({ category }),
+    });
+
+    const data = await res.json();
+
+    if (!res.ok) {
+      let errorMessage = 'Failed to update choice category';
+      if (res.status === 400) {
+        errorMessage = data.error || 'Invalid category';
+      } else if (res.status === 401) {
+        errorMessage = 'You need to log in again';
+      } else if (res.status === 404) {
+        errorMessage = 'Card not found in your collection';
+      } else if (res.status === 409) {
+        errorMessage = data.error || 'This period\'s category change is already used';
+      } else if (res.status === 500) {
+        errorMessage = 'Server error - please try again';
+      }
+      throw new Error(errorMessage);
+    }
+
+    return data;
+  } catch (error) {
+    if (error instanceof TypeError && error.message.includes('fetch')) {
+      throw new Error('Network error. Please check your connection and try again.');
+    }
+    throw error;
+  }
+};
+
 export const getCardRecommendation = async (
   description: string,
   amount?: number,
   date?: string,
   userId?: string,
-  detectionMethod?: string
+  detectionMethod?: string,
+  options: { allowSplit?: boolean; currency?: string; explain?: boolean; mcc?: string | null } = {}
 ): Promise<import('@/types').RecommendationResponse> => {
   const token = localStorage.getItem('auth_token');
 
@@ -186,8 +450,15 @@ export const getCardRecommendation = async (
       amount,
       date: date || new Date().toISOString(),
       userId,
-      detectionMethod
+      detectionMethod,
       // Backend logic: if detectionMethod is specified, bypass cache automatically
+      allowSplit: options.allowSplit,
+      // Amount is in this currency; the backend converts it and applies foreign transaction fees
+      currency: options.currency && options.currency !== 'USD' ? options.currency : undefined,
+      // Ask for the per-card calculation trace behind each recommendation
+      explain: options.explain,
+      // Merchant category code from a bank export or card-network data; decides the category when known
+      mcc: options.mcc || undefined
     }),
   });
 
@@ -229,11 +500,13 @@ export const searchCards = async (params: {
 };
 
 export const analyzePortfolio = async (
-  mode: 'auto' | 'category',
-  category?: string
+  mode: 'auto' | 'category' | 'optimize',
+  category?: string,
+  constraints?: WalletConstraints
 ): Promise<{
-  mode: 'auto' | 'category';
+  mode: 'auto' | 'category' | 'optimize';
   category?: string;
+  optimization?: unknown;
   gaps?: unknown[];
   userCurrentCards?: unknown[];
   marketLeaders?: unknown[];
@@ -257,7 +530,8 @@ export const analyzePortfolio = async (
       },
       body: JSON.stringify({
         mode,
-        category: mode === 'category' ? category : undefined
+        category: mode === 'category' ? category : undefined,
+        constraints: mode === 'optimize' ? constraints : undefined
       }),
     });
 
@@ -282,4 +556,285 @@ export const analyzePortfolio = async (
     }
     throw error;
   }
+};
+
+export const getRewardPreferences = async (): Promise<RewardPreferences> => {
+  const token = localStorage.getItem('auth_token');
+
+  const res = await fetch(`${API_BASE_URL}/api/preferences`, {
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  if (!res.ok) throw new Error('Failed to fetch preferences');
+
+  const data = await res.json();
+  return data.preferences;
+};
+
+export const updateRewardPreferences = async (
+  updates: Partial<RewardPreferences>
+): Promise<RewardPreferences> => {
+  const token = localStorage.getItem('auth_token');
+
+  if (!token) {
+    throw new Error('You need to log in to save preferences');
+  }
+
+  try {
+    const res = await fetch(`${API_BASE_URL}/api/preferences`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify(updates),
+    });
+
+    const data = await res.json();
+
+    if (!res.ok) {
+      let errorMessage = 'Failed to save preferences';
+      if (res.status === 400) {
+        errorMessage = data.error || 'Invalid preference';
+      } else if (res.status === 401) {
+        errorMessage = 'You need to log in again';
+      } else if (res.status === 500) {
+        errorMessage = 'Server error - please try again';
+      }
+      throw new Error(errorMessage);
+    }
+
+    return data.preferences;
+  } catch (error) {
+    if (error instanceof TypeError && error.message.includes('fetch')) {
+      throw new Error('Network error. Please check your connection and try again.');
+    }
+    throw error;
+  }
+};
+
+export const getRelationshipPrograms = async (): Promise<RelationshipProgram[]> => {
+  const token = localStorage.getItem('auth_token');
+
+  const res = await fetch(`${API_BASE_URL}/api/relationships`, {
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  if (!res.ok) throw new Error('Failed to fetch relationship programs');
+
+  const data = await res.json();
+  return data.programs;
+};
+
+// Set the user's tier in a program, or pass null to leave it
+export const setRelationshipTier = async (
+  programId: string,
+  tier: string | null
+): Promise<{ success: boolean }> => {
+  const token = localStorage.getItem('auth_token');
+
+  if (!token) {
+    throw new Error('You need to log in to save relationship tiers');
+  }
+
+  try {
+    const res = await fetch(`${API_BASE_URL}/api/relationships/${programId}`, {
+      method: tier ? 'PUT' : 'DELETE',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: tier ? JSON.stringify({ tier }) : undefined,
+    });
+
+    const data = await res.json();
+
+    if (!res.ok) {
+      let errorMessage = 'Failed to save relationship tier';
+      if (res.status === 400) {
+        errorMessage = data.error || 'Invalid tier';
+      } else if (res.status === 401) {
+        errorMessage = 'You need to log in again';
+      } else if (res.status === 500) {
+        errorMessage = 'Server error - please try again';
+      }
+      throw new Error(errorMessage);
+    }
+
+    return data;
+  } catch (error) {
+    if (error instanceof TypeError && error.message.includes('fetch')) {
+      throw new Error('Network error. Please check your connection and try again.');
+    }
+    throw error;
+  }
+};
+
+export const getTransferPartners = async (): Promise<TransferCurrency[]> => {
+  const res = await fetch(`${API_BASE_URL}/api/redemptions/partners`);
+
+  if (!res.ok) throw new Error('Failed to fetch transfer partners');
+
+  const data = await res.json();
+  return data.currencies;
+};
+
+export const planRedemption = async (request: {
+  program: string;
+  points: number;
+  balances: Record<string, number>;
+  cashPrice?: number;
+}): Promise<RedemptionPlan> => {
+  const res = await fetch(`${API_BASE_URL}/api/redemptions/plan`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(request),
+  });
+
+  const data = await res.json();
+
+  if (!res.ok) {
+    throw new Error(data.details?.[0]?.msg || data.message || 'Failed to plan redemption');
+  }
+
+  return data;
+};
+
+export const getCategoryRules = async (): Promise<{ rules: CategoryRule[]; categories: Category[] }> => {
+  const token = localStorage.getItem('auth_token');
+
+  const res = await fetch(`${API_BASE_URL}/api/category-rules`, {
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  if (!res.ok) throw new Error('Failed to fetch category rules');
+
+  const data = await res.json();
+  return { rules: data.rules, categories: data.categories };
+};
+
+// Shared by create/update/delete: same auth, error mapping and network handling
+const sendCategoryRuleRequest = async (
+  path: string,
+  method: 'POST' | 'PUT' | 'DELETE',
+  body?: Partial<{ pattern: string; matchType: CategoryRuleMatchType; category: Category }>
+) => {
+  const token = localStorage.getItem('auth_token');
+
+  if (!token) {
+    throw new Error('You need to log in to save category rules');
+  }
+
+  try {
+    const res = await fetch(`${API_BASE_URL}/api/category-rules${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    const data = await res.json();
+
+    if (!res.ok) {
+      let errorMessage = 'Failed to save category rule';
+      if (res.status === 400) {
+        errorMessage = data.details?.[0]?.msg ? `Invalid ${data.details[0].path}` : data.error || 'Invalid rule';
+      } else if (res.status === 401) {
+        errorMessage = 'You need to log in again';
+      } else if (res.status === 404) {
+        errorMessage = 'Rule not found';
+      } else if (res.status === 500) {
+        errorMessage = 'Server error - please try again';
+      }
+      throw new Error(errorMessage);
+    }
+
+    return data;
+  } catch (error) {
+    if (error instanceof TypeError && error.message.includes('fetch')) {
+      throw new Error('Network error. Please check your connection and try again.');
+    }
+    throw error;
+  }
+};
+
+export const createCategoryRule = async (rule: {
+  pattern: string;
+  matchType: CategoryRuleMatchType;
+  category: Category;
+}): Promise<CategoryRule> => {
+  const data = await sendCategoryRuleRequest('', 'POST', rule);
+  return data.rule;
+};
+
+export const updateCategoryRule = async (
+  ruleId: string,
+  updates: Partial<{ pattern: string; matchType: CategoryRuleMatchType; category: Category }>
+): Promise<CategoryRule> => {
+  const data = await sendCategoryRuleRequest(`/${ruleId}`, 'PUT', updates);
+  return data.rule;
+};
+
+export const deleteCategoryRule = async (ruleId: string): Promise<void> => {
+  await sendCategoryRuleRequest(`/${ruleId}`, 'DELETE');
+};
+
+// Tell the backend a purchase was categorized wrong; it stores the correction and trains on it
+export const submitCategoryFeedback = async (feedback: {
+  description: string;
+  originalCategory: string;
+  originalSource?: string;
+  originalConfidence?: number;
+  correctedCategory: Category;
+}): Promise<{ feedbackId: string; trainedInto: 'pinecone' | 'embeddings' | null }> => {
+  const token = localStorage.getItem('auth_token');
+
+  if (!token) {
+    throw new Error('You need to log in to correct categories');
+  }
+
+  try {
+    const res = await fetch(`${API_BASE_URL}/api/recommend-card/feedback`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify(feedback),
+    });
+
+    const data = await res.json();
+
+    if (!res.ok) {
+      let errorMessage = 'Failed to send correction';
+      if (res.status === 400) {
+        errorMessage = data.error || 'Invalid correction';
+      } else if (res.status === 401 || res.status === 403) {
+        errorMessage = 'You need to log in again';
+      } else if (res.status === 500) {
+        errorMessage = 'Server error - please try again';
+      }
+      throw new Error(errorMessage);
+    }
+
+    return data;
+  } catch (error) {
+    if (error instanceof TypeError && error.message.includes('fetch')) {
+      throw new Error('Network error. Please check your connection and try again.');
+    }
+    throw error;
+  }
 };
\ No newline at end of file
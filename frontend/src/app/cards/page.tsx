@@ -8,6 +8,13 @@ import type { Card, RecommendationResponse } from '@/types';
 import CreditCardItem from '@/components/CreditCardItem';
 import AddCardModal from '@/components/AddCardModal';
 import ConfirmationModal from '@/components/ConfirmationModal';
+import ActivationReminders from '@/components/ActivationReminders';
+import WelcomeBonusTracker from '@/components/WelcomeBonusTracker';
+import BenefitTracker from '@/components/BenefitTracker';
+import RewardPreferencesPanel from '@/components/RewardPreferencesPanel';
+import RelationshipTiers from '@/components/RelationshipTiers';
+import CategoryRulesManager from '@/components/CategoryRulesManager';
+import ChoiceCategorySelector from '@/components/ChoiceCategorySelector';
 import { removeUserCard, updateCardPositions } from '@/app/api/user';
 import {
   DndContext,
@@ -49,6 +56,9 @@ const SortableCard = React.memo(function SortableCard({ card, editMode, onDelete
       {...(editMode ? { ...attributes, ...listeners } : {})}
     >
       <CreditCardItem card={card} editMode={editMode} onDelete={onDelete} />
+      {!editMode && card.rewards.some(r => r.reward_type === 'choice') && (
+        <ChoiceCategorySelector cardId={card.id} />
+      )}
     </div>
   );
 });
@@ -214,6 +224,13 @@ export default function CardsPage() {
         </div>
       </div>
 
+      <ActivationReminders />
+      <WelcomeBonusTracker />
+      <BenefitTracker />
+      <RewardPreferencesPanel />
+      <RelationshipTiers />
+      <CategoryRulesManager />
+
       {/* Cards Section */}
       <DndContext collisionDetection={closestCenter} onDragEnd={handleDragEnd}>
         <SortableContext items={cards.map(c => c.id)} strategy={verticalListSortingStrategy}>
@@ -7,7 +7,7 @@ import { analyzePortfolio, searchCards } from '@/app/api/user';
 
 export default function DiscoverPage() {
   // Main view state
-  const [currentView, setCurrentView] = useState<'portfolio' | 'category' | 'search'>('portfolio');
+  const [currentView, setCurrentView] = useState<'portfolio' | 'category' | 'optimize' | 'search'>('portfolio');
 
   // Smart discovery state
   const [selectedCategory, setSelectedCategory] = useState('');
@@ -15,6 +15,13 @@ export default function DiscoverPage() {
   const [discoveryError, setDiscoveryError] = useState<string | null>(null);
   const [discoveryResults, setDiscoveryResults] = useState<SmartRecommendationResultsType | null>(null);
 
+  // Wallet optimizer constraints
+  const [walletSize, setWalletSize] = useState(3);
+  const [maxTotalFees, setMaxTotalFees] = useState('');
+  const [requiredIssuers, setRequiredIssuers] = useState<string[]>([]);
+  const [excludedNetworks, setExcludedNetworks] = useState<string[]>([]);
+  const [keepCurrentCards, setKeepCurrentCards] = useState(false);
+
   // Card search state
   const [searchFilters, setSearchFilters] = useState({
     search: '',
@@ -53,10 +60,18 @@ export default function DiscoverPage() {
     setDiscoveryError(null);
 
     try {
-      const results = await analyzePortfolio(
-        currentView === 'category' ? 'category' : 'auto',
-        currentView === 'category' ? selectedCategory : undefined
-      );
+      const results = currentView === 'optimize'
+        ? await analyzePortfolio('optimize', undefined, {
+            walletSize,
+            maxTotalFees: maxTotalFees === '' ? undefined : Number(maxTotalFees),
+            requiredIssuers,
+            excludedNetworks,
+            keepCurrentCards
+          })
+        : await analyzePortfolio(
+            currentView === 'category' ? 'category' : 'auto',
+            currentView === 'category' ? selectedCategory : undefined
+          );
       setDiscoveryResults(results as SmartRecommendationResultsType);
     } catch (err) {
       if (err instanceof Error) {
@@ -67,7 +82,7 @@ export default function DiscoverPage() {
     } finally {
       setDiscoveryLoading(false);
     }
-  }, [currentView, selectedCategory, isLoggedIn]);
+  }, [currentView, selectedCategory, isLoggedIn, walletSize, maxTotalFees, requiredIssuers, excludedNetworks, keepCurrentCards]);
 
   const handleNewAnalysis = useCallback(() => {
     setDiscoveryResults(null);
@@ -75,6 +90,9 @@ export default function DiscoverPage() {
     setSelectedCategory('');
   }, []);
 
+  const toggleListValue = (list: string[], value: string) =>
+    list.includes(value) ? list.filter(item => item !== value) : [...list, value];
+
   // Card search handlers
   const handleCardSearch = useCallback(async () => {
     setSearchLoading(true);
@@ -155,6 +173,20 @@ export default function DiscoverPage() {
             >
               Category Search
             </button>
+            <button
+              onClick={() => {
+                setCurrentView('optimize');
+                setDiscoveryResults(null);
+                setDiscoveryError(null);
+              }}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                currentView === 'optimize'
+                  ? 'border-green-500 text-green-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              Wallet Optimizer
+            </button>
             <button
               onClick={() => {
                 setCurrentView('search');
@@ -229,6 +261,126 @@ export default function DiscoverPage() {
         </div>
       )}
 
+      {/* Wallet Optimizer View */}
+      {currentView === 'optimize' && (
+        <div className="mb-8 p-6 border rounded-lg bg-green-50 dark:bg-green-900/20">
+          <h2 className="text-xl font-semibold mb-4 text-green-800 dark:text-green-200">
+            Wallet Optimizer
+          </h2>
+
+          {!isLoggedIn ? (
+            <div className="text-center py-8">
+              <p className="text-gray-600 dark:text-gray-400 mb-4">
+                Please log in to use the wallet optimizer.
+              </p>
+              <p className="text-sm text-gray-500">
+                The optimizer uses your spending history and current cards to build the best combination.
+              </p>
+            </div>
+          ) : !discoveryResults ? (
+            <div className="space-y-6">
+              <div>
+                <h3 className="font-medium mb-2">Best Card Combination</h3>
+                <p className="text-sm text-green-700 dark:text-green-300 mb-4">
+                  Find the set of cards that earns the most per year after annual fees, with every category
+                  routed to its best card and spending caps applied.
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 max-w-2xl">
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Cards in wallet</label>
+                    <select
+                      value={walletSize}
+                      onChange={(e) => setWalletSize(Number(e.target.value))}
+                      className="w-full p-3 border rounded-lg bg-white dark:bg-gray-800 dark:text-white focus:ring-2 focus:ring-green-500 focus:border-green-500"
+                    >
+                      {[1, 2, 3, 4, 5].map(size => (
+                        <option key={size} value={size}>Up to {size}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Max total annual fees</label>
+                    <input
+                      type="number"
+                      min="0"
+                      placeholder="No limit"
+                      value={maxTotalFees}
+                      onChange={(e) => setMaxTotalFees(e.target.value)}
+                      className="w-full p-3 border rounded-lg bg-white dark:bg-gray-800 dark:text-white focus:ring-2 focus:ring-green-500 focus:border-green-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Must include an issuer</label>
+                    <div className="space-y-1 text-sm">
+                      {issuers.map(issuer => (
+                        <label key={issuer} className="flex items-center gap-2">
+                          <input
+                            type="checkbox"
+                            checked={requiredIssuers.includes(issuer)}
+                            onChange={() => setRequiredIssuers(prev => toggleListValue(prev, issuer))}
+                          />
+                          {issuer}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Exclude networks</label>
+                    <div className="space-y-1 text-sm">
+                      {networks.map(network => (
+                        <label key={network} className="flex items-center gap-2">
+                          <input
+                            type="checkbox"
+                            checked={excludedNetworks.includes(network)}
+                            onChange={() => setExcludedNetworks(prev => toggleListValue(prev, network))}
+                          />
+                          {network}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                </div>
+                <label className="flex items-center gap-2 mt-4 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={keepCurrentCards}
+                    onChange={(e) => setKeepCurrentCards(e.target.checked)}
+                  />
+                  Keep the cards I already have
+                </label>
+              </div>
+
+              <button
+                onClick={handleSmartDiscovery}
+                disabled={discoveryLoading}
+                className="px-6 py-3 bg-green-600 text-white font-semibold rounded-lg hover:bg-green-700 focus:ring-2 focus:ring-green-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                {discoveryLoading ? (
+                  <div className="flex items-center gap-2">
+                    <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin" />
+                    Optimizing Wallet...
+                  </div>
+                ) : (
+                  'Find Best Wallet'
+                )}
+              </button>
+            </div>
+          ) : (
+            <SmartRecommendationResults
+              results={discoveryResults}
+              onNewAnalysis={handleNewAnalysis}
+            />
+          )}
+
+          {discoveryError && (
+            <div className="mt-4 p-4 text-red-700 bg-red-100 border border-red-300 rounded-lg dark:bg-red-900 dark:text-red-100 dark:border-red-700">
+              <h3 className="font-semibold">Error</h3>
+              <p>{discoveryError}</p>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Category Search View */}
       {currentView === 'category' && (
         <div className="mb-8 p-6 border rounded-lg bg-green-50 dark:bg-green-900/20">
@@ -9,6 +9,9 @@ import { useUser } from '@/contexts/UserContext';
 import { useSearch } from '@/contexts/SearchContext';
 import type { RecommendationResponse } from '@/types';
 
+// Currencies the backend has exchange rates for
+const PURCHASE_CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'MXN', 'JPY', 'AUD', 'CHF'];
+
 export default function Home() {
   const { isLoggedIn, userId, mounted } = useAuthState();
   const { cards: userCards, loading: loadingCards } = useUser();
@@ -17,6 +20,8 @@ export default function Home() {
     setInput,
     amount,
     setAmount,
+    currency,
+    setCurrency,
     loading,
     setLoading,
     error,
@@ -53,8 +58,13 @@ export default function Home() {
         input.trim(),
         amount ? parseFloat(amount) : undefined,
         new Date().toISOString(),
-        userId ? userId : undefined
-        // No detectionMethod specified = use cache and auto-detect method
+        userId ? userId : undefined,
+        undefined, // No detectionMethod specified = use cache and auto-detect method
+        {
+          allowSplit: !!userId, // Suggest split tender when a cap would be exceeded
+          currency,
+          explain: true
+        }
       );
       setRecommendations(results);
     } catch (err) {
@@ -80,17 +90,24 @@ export default function Home() {
       const methodMap: { [key: string]: string } = {
         'keyword': 'keyword',
         'semantic': 'semantic',
-        'llm': 'openai'
+        'llm': 'openai',
+        'local': 'local'
       };
 
       // Re-run the same search but with the specified detection method
       // Cache automatically bypassed since detectionMethod is specified
       const results = await getCardRecommendation(
         recommendations.metadata.description,
-        recommendations.metadata.amount || undefined,
+        recommendations.metadata.originalAmount || recommendations.metadata.amount || undefined,
         new Date().toISOString(),
         currentMode === 'purchase' && userId ? userId : undefined,
-        methodMap[method] || method // Specifying method = auto bypass cache
+        methodMap[method] || method, // Specifying method = auto bypass cache
+        {
+          allowSplit: currentMode === 'purchase' && !!userId,
+          currency: recommendations.metadata.currency,
+          explain: true,
+          mcc: recommendations.metadata.mcc
+        }
       );
       setRecommendations(results);
     } catch (err) {
@@ -174,17 +191,30 @@ export default function Home() {
                 <label htmlFor="amount" className="block text-sm font-medium mb-2">
                   Amount (optional)
                 </label>
-                <input
-                  id="amount"
-                  type="number"
-                  placeholder="$0.00"
-                  className="w-full p-3 border rounded-lg dark:bg-gray-800 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 touch-manipulation"
-                  value={amount}
-                  onChange={(e) => setAmount(e.target.value)}
-                  min="0"
-                  step="0.01"
-                  disabled={loading}
-                />
+                <div className="flex gap-2">
+                  <input
+                    id="amount"
+                    type="number"
+                    placeholder="0.00"
+                    className="w-full p-3 border rounded-lg dark:bg-gray-800 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 touch-manipulation"
+                    value={amount}
+                    onChange={(e) => setAmount(e.target.value)}
+                    min="0"
+                    step="0.01"
+                    disabled={loading}
+                  />
+                  <select
+                    aria-label="Currency"
+                    className="p-3 border rounded-lg dark:bg-gray-800 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    value={currency}
+                    onChange={(e) => setCurrency(e.target.value)}
+                    disabled={loading}
+                  >
+                    {PURCHASE_CURRENCIES.map((code) => (
+                      <option key={code} value={code}>{code}</option>
+                    ))}
+                  </select>
+                </div>
               </div>
             </div>
 
@@ -0,0 +1,212 @@
+// src/app/redeem/page.tsx
+"use client";
+
+import { useEffect, useMemo, useState } from 'react';
+import { ArrowRight, Plane, Hotel } from 'lucide-react';
+import type { RedemptionPlan, TransferCurrency } from '@/types';
+import { getTransferPartners, planRedemption } from '@/app/api/user';
+
+export default function RedeemPage() {
+  const [currencies, setCurrencies] = useState<TransferCurrency[]>([]);
+  const [program, setProgram] = useState('');
+  const [points, setPoints] = useState('');
+  const [cashPrice, setCashPrice] = useState('');
+  const [balances, setBalances] = useState<Record<string, string>>({});
+  const [plan, setPlan] = useState<RedemptionPlan | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    getTransferPartners()
+      .then(setCurrencies)
+      .catch((err) => console.error('Failed to load transfer partners:', err));
+  }, []);
+
+  // Every program reachable from at least one bank currency
+  const programs = useMemo(() => {
+    const byCode = new Map<string, { name: string; type: string | null }>();
+    for (const currency of currencies) {
+      for (const partner of currency.partners) {
+        byCode.set(partner.program, { name: partner.name, type: partner.type });
+      }
+    }
+    return [...byCode.entries()].sort((a, b) => a[1].name.localeCompare(b[1].name));
+  }, [currencies]);
+
+  const programName = programs.find(([code]) => code === program)?.[1].name;
+
+  const handleBalanceChange = (code: string, value: string) => {
+    setBalances(prev => ({ ...prev, [code]: value }));
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!program || !points) return;
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const numericBalances: Record<string, number> = {};
+      for (const [code, value] of Object.entries(balances)) {
+        if (parseFloat(value) > 0) numericBalances[code] = parseFloat(value);
+      }
+
+      setPlan(await planRedemption({
+        program,
+        points: parseInt(points, 10),
+        balances: numericBalances,
+        cashPrice: cashPrice ? parseFloat(cashPrice) : undefined,
+      }));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to plan redemption');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <main className="p-6 max-w-3xl mx-auto">
+      <h2 className="text-2xl font-semibold mb-2">Plan a Redemption</h2>
+      <p className="text-sm text-gray-600 dark:text-gray-300 mb-6">
+        Enter an award&apos;s points cost and your balances to find the cheapest mix of transfers.
+      </p>
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div className="sm:col-span-1">
+            <label htmlFor="program" className="block text-sm font-medium mb-1">Award program</label>
+            <select
+              id="program"
+              className="w-full p-3 border rounded-lg dark:bg-gray-800 dark:text-white"
+              value={program}
+              onChange={(e) => setProgram(e.target.value)}
+              disabled={loading}
+            >
+              <option value="">Select a program</option>
+              {programs.map(([code, { name }]) => (
+                <option key={code} value={code}>{name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="points" className="block text-sm font-medium mb-1">Points needed</label>
+            <input
+              id="points"
+              type="number"
+              min="1"
+              step="1"
+              placeholder="60000"
+              className="w-full p-3 border rounded-lg dark:bg-gray-800 dark:text-white"
+              value={points}
+              onChange={(e) => setPoints(e.target.value)}
+              disabled={loading}
+            />
+          </div>
+          <div>
+            <label htmlFor="cashPrice" className="block text-sm font-medium mb-1">Cash price (optional)</label>
+            <input
+              id="cashPrice"
+              type="number"
+              min="0"
+              step="0.01"
+              placeholder="$0.00"
+              className="w-full p-3 border rounded-lg dark:bg-gray-800 dark:text-white"
+              value={cashPrice}
+              onChange={(e) => setCashPrice(e.target.value)}
+              disabled={loading}
+            />
+          </div>
+        </div>
+
+        <fieldset className="border rounded-lg p-4">
+          <legend className="text-sm font-medium px-1">Your balances</legend>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            {currencies.map((currency) => (
+              <label key={currency.currency} className="text-sm">
+                {currency.name}
+                <input
+                  type="number"
+                  min="0"
+                  step="1"
+                  className="mt-1 w-full p-2 border rounded dark:bg-gray-800 dark:text-white"
+                  value={balances[currency.currency] || ''}
+                  onChange={(e) => handleBalanceChange(currency.currency, e.target.value)}
+                  disabled={loading}
+                />
+              </label>
+            ))}
+            {program && (
+              <label className="text-sm">
+                Already in {programName}
+                <input
+                  type="number"
+                  min="0"
+                  step="1"
+                  className="mt-1 w-full p-2 border rounded dark:bg-gray-800 dark:text-white"
+                  value={balances[program] || ''}
+                  onChange={(e) => handleBalanceChange(program, e.target.value)}
+                  disabled={loading}
+                />
+              </label>
+            )}
+          </div>
+        </fieldset>
+
+        <button
+          type="submit"
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          disabled={loading || !program || !points}
+        >
+          {loading ? 'Planning...' : 'Find cheapest transfers'}
+        </button>
+      </form>
+
+      {error && <p className="mt-4 text-sm text-red-600">{error}</p>}
+
+      {plan && (
+        <section className="mt-6 rounded-lg border p-4 bg-white dark:bg-gray-800">
+          <div className="flex items-center gap-2 mb-2">
+            {programs.find(([code]) => code === plan.target.program)?.[1].type === 'hotel'
+              ? <Hotel className="w-5 h-5 text-blue-600" />
+              : <Plane className="w-5 h-5 text-blue-600" />}
+            <h3 className="font-semibold">
+              {plan.target.points.toLocaleString()} {plan.target.name} points
+            </h3>
+          </div>
+
+          {!plan.feasible ? (
+            <p className="text-sm text-red-600">{plan.summary}</p>
+          ) : (
+            <>
+              <ul className="flex flex-col gap-2 mb-3">
+                {plan.steps.map((step) => (
+                  <li key={step.from} className="flex items-center gap-2 text-sm">
+                    <span className="font-medium">{step.pointsUsed.toLocaleString()} {step.fromName}</span>
+                    {step.transfer && (
+                      <>
+                        <ArrowRight className="w-4 h-4 text-gray-500" />
+                        <span>{step.pointsReceived.toLocaleString()}</span>
+                        {step.bonus > 0 && <span className="text-green-600">(+{Math.round(step.bonus * 100)}% bonus)</span>}
+                      </>
+                    )}
+                    <span className="ml-auto text-gray-500">${step.value.toFixed(2)}</span>
+                  </li>
+                ))}
+              </ul>
+              <p className="text-sm text-gray-700 dark:text-gray-300">
+                Points worth ${plan.valueSpent.toFixed(2)} at your valuations
+                {plan.leftover > 0 && ` · ${plan.leftover.toLocaleString()} ${plan.target.name} points left over`}
+              </p>
+              {plan.redemptionCentsPerPoint != null && (
+                <p className="text-sm text-gray-700 dark:text-gray-300">
+                  This award gets {plan.redemptionCentsPerPoint}¢ per point
+                </p>
+              )}
+            </>
+          )}
+        </section>
+      )}
+    </main>
+  );
+}
@@ -0,0 +1,86 @@
+// src/components/ActivationReminders.tsx
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { BellRing, CheckCircle } from 'lucide-react';
+import type { ActivationReminder } from '@/types';
+import { getActivationReminders, setQuarterActivation } from '@/app/api/user';
+
+const formatQuarter = (quarter: string) => quarter.replace('-', ' ');
+
+export default function ActivationReminders() {
+  const [reminders, setReminders] = useState<ActivationReminder[]>([]);
+  const [savingKey, setSavingKey] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    getActivationReminders()
+      .then(setReminders)
+      .catch((err) => console.error('Failed to load activation reminders:', err));
+  }, []);
+
+  const handleActivate = async (reminder: ActivationReminder) => {
+    const key = `${reminder.cardId}_${reminder.quarter}`;
+    setSavingKey(key);
+    setError(null);
+
+    try {
+      await setQuarterActivation(reminder.cardId, reminder.quarter, true);
+      setReminders(prev =>
+        prev.map(r =>
+          r.cardId === reminder.cardId && r.quarter === reminder.quarter
+            ? { ...r, activated: true }
+            : r
+        )
+      );
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to update activation');
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  const pending = reminders.filter(r => !r.activated);
+  if (pending.length === 0) return null;
+
+  return (
+    <div className="mb-6 rounded-lg border border-amber-200 bg-amber-50 p-4">
+      <div className="flex items-center gap-2 mb-3">
+        <BellRing className="w-5 h-5 text-amber-600" />
+        <h3 className="font-semibold text-amber-900">Activate your bonus categories</h3>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+      <ul className="flex flex-col gap-3">
+        {pending.map((reminder) => {
+          const key = `${reminder.cardId}_${reminder.quarter}`;
+          return (
+            <li key={key} className="flex items-center justify-between gap-4">
+              <div className="text-sm text-amber-900">
+                <p className="font-medium">
+                  {reminder.cardName} · {formatQuarter(reminder.quarter)}
+                  {reminder.upcoming && ` (starts in ${reminder.daysUntilStart} day${reminder.daysUntilStart === 1 ? '' : 's'})`}
+                </p>
+                <p>{reminder.categories.join(', ')}</p>
+                {reminder.activationDeadline && (
+                  <p className="text-xs text-amber-700">
+                    Activate by {new Date(reminder.activationDeadline).toLocaleDateString()}
+                  </p>
+                )}
+              </div>
+              <button
+                className="flex items-center gap-1 rounded bg-amber-600 px-3 py-1.5 text-sm text-white hover:bg-amber-700 disabled:opacity-50"
+                onClick={() => handleActivate(reminder)}
+                disabled={savingKey === key}
+              >
+                <CheckCircle className="w-4 h-4" />
+                {savingKey === key ? 'Saving...' : 'Mark activated'}
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
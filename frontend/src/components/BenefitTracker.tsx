@@ -0,0 +1,91 @@
+// src/components/BenefitTracker.tsx
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { Receipt } from 'lucide-react';
+import type { UserBenefit } from '@/types';
+import { getCardBenefits, setBenefitUsage } from '@/app/api/user';
+
+const benefitKey = (benefit: UserBenefit) => `${benefit.cardId}_${benefit.benefitId}`;
+
+export default function BenefitTracker() {
+  const [benefits, setBenefits] = useState<UserBenefit[]>([]);
+  const [savingKey, setSavingKey] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    getCardBenefits()
+      .then(setBenefits)
+      .catch((err) => console.error('Failed to load card benefits:', err));
+  }, []);
+
+  const handleToggle = async (benefit: UserBenefit) => {
+    const key = benefitKey(benefit);
+    setSavingKey(key);
+    setError(null);
+
+    try {
+      const { usage } = await setBenefitUsage(benefit.cardId, benefit.benefitId, !benefit.fullyUsed);
+      setBenefits(prev =>
+        prev.map(b =>
+          benefitKey(b) === key
+            ? { ...b, used: usage.used, remaining: b.amount - usage.used, fullyUsed: usage.used >= b.amount }
+            : b
+        )
+      );
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to update credit');
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  if (benefits.length === 0) return null;
+
+  const unused = benefits.reduce((sum, b) => sum + b.remaining, 0);
+
+  return (
+    <div className="mb-6 rounded-lg border border-green-200 bg-green-50 p-4">
+      <div className="flex items-center justify-between gap-2 mb-3">
+        <div className="flex items-center gap-2">
+          <Receipt className="w-5 h-5 text-green-600" />
+          <h3 className="font-semibold text-green-900">Statement credits</h3>
+        </div>
+        <p className="text-sm text-green-800">${unused.toFixed(0)} left this period</p>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+      <ul className="flex flex-col gap-2">
+        {benefits.map((benefit) => {
+          const key = benefitKey(benefit);
+          return (
+            <li key={key} className="flex items-center justify-between gap-4 text-sm text-green-900">
+              <div className={benefit.fullyUsed ? 'opacity-60' : ''}>
+                <p className="font-medium">
+                  {benefit.cardName} · ${benefit.amount} {benefit.name}
+                  {benefit.enrollmentRequired && <span className="ml-1 text-xs text-green-700">(enrollment required)</span>}
+                </p>
+                <p className="text-xs text-green-700">
+                  Resets after {new Date(benefit.periodEnd).toLocaleDateString()}
+                  {benefit.eligibleMerchants.length > 0 && ` · ${benefit.eligibleMerchants.join(', ')}`}
+                </p>
+              </div>
+              <button
+                className={`rounded px-3 py-1.5 disabled:opacity-50 ${
+                  benefit.fullyUsed
+                    ? 'border border-green-600 text-green-700 hover:bg-green-100'
+                    : 'bg-green-600 text-white hover:bg-green-700'
+                }`}
+                onClick={() => handleToggle(benefit)}
+                disabled={savingKey === key}
+              >
+                {savingKey === key ? 'Saving...' : benefit.fullyUsed ? 'Undo' : 'Mark used'}
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
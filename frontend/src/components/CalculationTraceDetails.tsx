@@ -0,0 +1,82 @@
+// src/components/CalculationTraceDetails.tsx
+'use client';
+
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight, HelpCircle } from 'lucide-react';
+import type { CalculationTrace, RuleTrace } from '@/types';
+
+const STATUS_STYLES: Record<RuleTrace['status'], string> = {
+  selected: 'bg-green-100 text-green-800',
+  matched: 'bg-blue-100 text-blue-800',
+  rejected: 'bg-gray-100 text-gray-600',
+  skipped: 'bg-amber-100 text-amber-800',
+};
+
+const describeRule = (rule: RuleTrace) => {
+  const cap = rule.cap ? ` up to $${rule.cap}${rule.capPeriod ? `/${rule.capPeriod}` : ''}` : '';
+  return `${rule.multiplier}x on ${rule.category}${cap}${rule.portalOnly ? ' (portal only)' : ''}`;
+};
+
+interface CalculationTraceDetailsProps {
+  trace: CalculationTrace;
+}
+
+export default function CalculationTraceDetails({ trace }: CalculationTraceDetailsProps) {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className="mt-2 text-sm">
+      <button
+        type="button"
+        className="flex items-center gap-1 text-xs text-muted-foreground hover:text-foreground"
+        onClick={() => setOpen(prev => !prev)}
+        aria-expanded={open}
+      >
+        {open ? <ChevronDown className="w-3 h-3" /> : <ChevronRight className="w-3 h-3" />}
+        <HelpCircle className="w-3 h-3" />
+        Why this rate?
+      </button>
+
+      {open && (
+        <div className="mt-2 rounded-lg border bg-white dark:bg-gray-800 p-3 space-y-2">
+          {trace.rules.length === 0 ? (
+            <p className="text-xs text-muted-foreground">This card has no reward rules on file.</p>
+          ) : (
+            <ul className="flex flex-col gap-1">
+              {trace.rules.map((rule, index) => (
+                <li key={index} className="flex items-start gap-2 text-xs">
+                  <span className={`rounded px-1.5 py-0.5 font-medium capitalize ${STATUS_STYLES[rule.status]}`}>
+                    {rule.status}
+                  </span>
+                  <span>
+                    {describeRule(rule)}
+                    {rule.expectedRate != null && rule.expectedRate !== rule.earnRate && ` → ${rule.expectedRate}x expected`}
+                    {rule.detail && <span className="text-muted-foreground"> · {rule.detail}</span>}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {trace.baseReward && (
+            <p className="text-xs text-muted-foreground">
+              {trace.error ? 'Rewards could not be calculated, so' : 'No rule applied, so'} the card&apos;s base rate was used.
+            </p>
+          )}
+
+          {trace.adjustments.length > 0 && (
+            <ul className="flex flex-col gap-1 border-t pt-2">
+              {trace.adjustments.map((adjustment) => (
+                <li key={adjustment.type} className="text-xs text-muted-foreground">
+                  {adjustment.detail}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <p className="text-xs font-medium">Effective rate: {trace.effectiveRate}%</p>
+        </div>
+      )}
+    </div>
+  );
+}
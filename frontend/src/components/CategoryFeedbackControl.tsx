@@ -0,0 +1,94 @@
+// src/components/CategoryFeedbackControl.tsx
+'use client';
+
+import React, { useState } from 'react';
+import { Flag } from 'lucide-react';
+import type { Category, RecommendationResponse } from '@/types';
+import { submitCategoryFeedback } from '@/app/api/user';
+
+// Categories a purchase can be corrected to (the card-reward pseudo-categories are left out)
+const CORRECTABLE_CATEGORIES: Category[] = [
+  'Dining', 'Entertainment', 'Gas', 'Grocery', 'Healthcare', 'Insurance',
+  'Online', 'Transit', 'Travel', 'Utilities', 'Other',
+];
+
+interface CategoryFeedbackControlProps {
+  results: RecommendationResponse;
+}
+
+export default function CategoryFeedbackControl({ results }: CategoryFeedbackControlProps) {
+  const [open, setOpen] = useState(false);
+  const [correctedCategory, setCorrectedCategory] = useState<Category | ''>('');
+  const [saving, setSaving] = useState(false);
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!correctedCategory) return;
+
+    setSaving(true);
+    setError(null);
+
+    try {
+      await submitCategoryFeedback({
+        description: results.metadata.description,
+        originalCategory: results.category,
+        originalSource: results.source,
+        originalConfidence: results.confidence,
+        correctedCategory,
+      });
+      setSent(true);
+      setOpen(false);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to send correction');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (sent) {
+    return <p className="mt-1 text-xs text-green-600">Thanks! We&apos;ll use this to categorize similar purchases.</p>;
+  }
+
+  return (
+    <div className="mt-1 text-xs">
+      {!open ? (
+        <button
+          type="button"
+          className="flex items-center gap-1 text-muted-foreground hover:text-foreground"
+          onClick={() => setOpen(true)}
+        >
+          <Flag className="h-3 w-3" />
+          Wrong category?
+        </button>
+      ) : (
+        <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-2">
+          <select
+            aria-label="Correct category"
+            className="rounded border px-2 py-1 bg-background"
+            value={correctedCategory}
+            onChange={(e) => setCorrectedCategory(e.target.value as Category)}
+            disabled={saving}
+          >
+            <option value="">Should be...</option>
+            {CORRECTABLE_CATEGORIES.filter(c => c !== results.category).map((c) => (
+              <option key={c} value={c}>{c}</option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            className="rounded bg-primary px-2 py-1 text-primary-foreground disabled:opacity-50"
+            disabled={saving || !correctedCategory}
+          >
+            {saving ? 'Sending...' : 'Send'}
+          </button>
+          <button type="button" className="text-muted-foreground" onClick={() => setOpen(false)} disabled={saving}>
+            Cancel
+          </button>
+        </form>
+      )}
+      {error && <p className="mt-1 text-red-600">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,171 @@
+// src/components/CategoryRulesManager.tsx
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { Tags, Trash2 } from 'lucide-react';
+import type { Category, CategoryRule, CategoryRuleMatchType } from '@/types';
+import {
+  createCategoryRule,
+  deleteCategoryRule,
+  getCategoryRules,
+  updateCategoryRule,
+} from '@/app/api/user';
+
+const MATCH_TYPE_LABELS: Record<CategoryRuleMatchType, string> = {
+  contains: 'Contains',
+  exact: 'Is exactly',
+};
+
+export default function CategoryRulesManager() {
+  const [rules, setRules] = useState<CategoryRule[]>([]);
+  const [categories, setCategories] = useState<Category[]>([]);
+  const [pattern, setPattern] = useState('');
+  const [matchType, setMatchType] = useState<CategoryRuleMatchType>('contains');
+  const [category, setCategory] = useState<Category | ''>('');
+  const [savingId, setSavingId] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    getCategoryRules()
+      .then((data) => {
+        setRules(data.rules);
+        setCategories(data.categories);
+      })
+      .catch((err) => console.error('Failed to load category rules:', err));
+  }, []);
+
+  const handleAdd = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!pattern.trim() || !category) return;
+
+    setSavingId('new');
+    setError(null);
+
+    try {
+      const rule = await createCategoryRule({ pattern: pattern.trim(), matchType, category });
+      setRules(prev => [...prev, rule]);
+      setPattern('');
+      setCategory('');
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to add rule');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleCategoryChange = async (rule: CategoryRule, newCategory: Category) => {
+    setSavingId(rule.id);
+    setError(null);
+
+    try {
+      const updated = await updateCategoryRule(rule.id, { category: newCategory });
+      setRules(prev => prev.map(r => (r.id === rule.id ? updated : r)));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to update rule');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleDelete = async (rule: CategoryRule) => {
+    setSavingId(rule.id);
+    setError(null);
+
+    try {
+      await deleteCategoryRule(rule.id);
+      setRules(prev => prev.filter(r => r.id !== rule.id));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to delete rule');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  if (categories.length === 0) return null;
+
+  return (
+    <div className="mb-6 rounded-lg border border-emerald-200 bg-emerald-50 p-4">
+      <div className="flex items-center gap-2 mb-1">
+        <Tags className="w-5 h-5 text-emerald-600" />
+        <h3 className="font-semibold text-emerald-900">Categorization rules</h3>
+      </div>
+      <p className="text-xs text-emerald-700 mb-3">
+        Your rules are checked before any other detection method.
+      </p>
+
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+      {rules.length > 0 && (
+        <ul className="flex flex-col gap-2 mb-3">
+          {rules.map((rule) => (
+            <li key={rule.id} className="flex items-center justify-between gap-4 text-sm text-emerald-900">
+              <span>
+                {MATCH_TYPE_LABELS[rule.matchType]} <span className="font-medium">&quot;{rule.pattern}&quot;</span>
+              </span>
+              <div className="flex items-center gap-2">
+                <select
+                  aria-label={`Category for ${rule.pattern}`}
+                  className="rounded border border-emerald-300 bg-white px-2 py-1 disabled:opacity-50"
+                  value={rule.category}
+                  onChange={(e) => handleCategoryChange(rule, e.target.value as Category)}
+                  disabled={savingId === rule.id}
+                >
+                  {categories.map((c) => (
+                    <option key={c} value={c}>{c}</option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  aria-label={`Delete rule for ${rule.pattern}`}
+                  className="text-emerald-700 hover:text-red-600 disabled:opacity-50"
+                  onClick={() => handleDelete(rule)}
+                  disabled={savingId === rule.id}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleAdd} className="flex flex-wrap items-center gap-2 text-sm">
+        <select
+          aria-label="Match type"
+          className="rounded border border-emerald-300 bg-white px-2 py-1"
+          value={matchType}
+          onChange={(e) => setMatchType(e.target.value as CategoryRuleMatchType)}
+        >
+          {Object.entries(MATCH_TYPE_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <input
+          aria-label="Description pattern"
+          className="flex-1 min-w-[8rem] rounded border border-emerald-300 bg-white px-2 py-1"
+          placeholder="e.g. target"
+          value={pattern}
+          onChange={(e) => setPattern(e.target.value)}
+        />
+        <select
+          aria-label="Category"
+          className="rounded border border-emerald-300 bg-white px-2 py-1"
+          value={category}
+          onChange={(e) => setCategory(e.target.value as Category)}
+        >
+          <option value="">Category</option>
+          {categories.map((c) => (
+            <option key={c} value={c}>{c}</option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          className="rounded bg-emerald-600 px-3 py-1 text-white hover:bg-emerald-700 disabled:opacity-50"
+          disabled={savingId === 'new' || !pattern.trim() || !category}
+        >
+          Add rule
+        </button>
+      </form>
+    </div>
+  );
+}
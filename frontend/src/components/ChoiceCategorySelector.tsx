@@ -0,0 +1,75 @@
+// src/components/ChoiceCategorySelector.tsx
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import type { ChoiceCategoryState, ChoicePeriod } from '@/types';
+import { getChoiceCategory, setChoiceCategory } from '@/app/api/user';
+
+const CHOICE_PERIOD_LABELS: Record<ChoicePeriod, string> = {
+  calendar_month: 'once a month',
+  calendar_quarter: 'once a quarter',
+  calendar_year: 'once a year',
+};
+
+interface ChoiceCategorySelectorProps {
+  cardId: string;
+}
+
+export default function ChoiceCategorySelector({ cardId }: ChoiceCategorySelectorProps) {
+  const [state, setState] = useState<ChoiceCategoryState | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    getChoiceCategory(cardId)
+      .then(setState)
+      .catch((err) => console.error('Failed to load choice category:', err));
+  }, [cardId]);
+
+  if (!state) return null;
+
+  const handleChange = async (category: string) => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      const { selection } = await setChoiceCategory(cardId, category);
+      setState(prev => prev && {
+        ...prev,
+        current: selection.category,
+        history: [selection, ...prev.history.filter(h => h.effective_from !== selection.effective_from)],
+      });
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to update choice category');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const previous = state.history.find(h => h.category !== state.current);
+
+  return (
+    <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+      <label htmlFor={`choice-${cardId}`} className="font-medium">
+        Bonus category:
+      </label>
+      <select
+        id={`choice-${cardId}`}
+        className="border rounded px-2 py-1 dark:bg-gray-700"
+        value={state.current ?? ''}
+        onChange={(e) => handleChange(e.target.value)}
+        disabled={saving}
+      >
+        {!state.current && <option value="" disabled>Choose a category</option>}
+        {state.options.map(option => (
+          <option key={option} value={option}>{option}</option>
+        ))}
+      </select>
+      <span className="text-gray-500">
+        Can be changed {CHOICE_PERIOD_LABELS[state.choicePeriod]}
+        {previous && ` · previously ${previous.category}`}
+      </span>
+      {error && <span className="text-red-600">{error}</span>}
+    </div>
+  );
+}
@@ -4,7 +4,28 @@
 import { useState } from 'react';
 import { SquareX, GripVertical } from 'lucide-react';
 import Image from 'next/image';
-import type { Card, Reward } from '@/types';
+import type { BenefitCadence, Card, CapPeriod, CardBenefit, Reward } from '@/types';
+
+const CAP_PERIOD_LABELS: Record<CapPeriod, string> = {
+  calendar_month: 'monthly',
+  calendar_quarter: 'quarterly',
+  calendar_year: 'annual',
+  cardmember_year: 'cardmember-year',
+  statement_cycle: 'per-statement',
+};
+
+const BENEFIT_CADENCE_LABELS: Record<BenefitCadence, string> = {
+  calendar_month: '/mo',
+  calendar_quarter: '/qtr',
+  calendar_half: '/half-year',
+  calendar_year: '/yr',
+  cardmember_year: '/cardmember yr',
+};
+
+const MERCHANT_TYPE_LABELS: Record<string, string> = {
+  superstore: 'superstores',
+  warehouse_club: 'warehouse clubs',
+};
 
 interface CardProps {
   card: Card;
@@ -46,18 +67,53 @@ export default function CreditCardItem({
     if (!rewards || rewards.length === 0) return null;
 
     const conditions: string[] = [];
+    const seenCapGroups = new Set<string>();
     rewards.forEach(reward => {
       if (reward.portal_only) {
         conditions.push('Portal booking required');
       }
-      if (reward.cap) {
-        conditions.push(`$${reward.cap} annual spending cap`);
+      if (reward.reward_type === 'top_category' && reward.eligible_categories?.length) {
+        conditions.push(`Top category from ${reward.eligible_categories.join(', ')}`);
+      }
+      const exclusions = [
+        ...(reward.excluded_merchant_types || []).map(type => MERCHANT_TYPE_LABELS[type] || type),
+        ...(reward.excluded_merchants || []),
+      ];
+      if (exclusions.length > 0) {
+        conditions.push(`${reward.category} excludes ${exclusions.join(', ')}`);
+      }
+      if (reward.eligible_countries?.length) {
+        conditions.push(`${reward.category} bonus in ${reward.eligible_countries.join('/')} only`);
+      }
+      if (reward.cap && reward.cap_group) {
+        if (seenCapGroups.has(reward.cap_group)) return;
+        seenCapGroups.add(reward.cap_group);
+        const periodLabel = CAP_PERIOD_LABELS[reward.cap_period ?? 'calendar_year'];
+        const groupCategories = rewards
+          .filter(r => r.cap_group === reward.cap_group)
+          .map(r => r.category)
+          .join(' + ');
+        conditions.push(`$${reward.cap} ${periodLabel} spending cap shared by ${groupCategories}`);
+      } else if (reward.cap) {
+        const periodLabel = CAP_PERIOD_LABELS[reward.cap_period ?? 'calendar_year'];
+        conditions.push(`$${reward.cap} ${periodLabel} spending cap`);
       }
     });
 
     return conditions.length > 0 ? conditions.join(', ') : null;
   };
 
+  const formatBenefits = (benefits?: CardBenefit[]): string | null => {
+    if (!benefits || benefits.length === 0) return null;
+
+    return [...benefits]
+      .sort((a, b) => b.amount - a.amount)
+      .map((benefit) =>
+        `$${Number(benefit.amount)}${BENEFIT_CADENCE_LABELS[benefit.cadence]} ${benefit.name}${benefit.enrollment_required ? ' (enroll)' : ''}`
+      )
+      .join(', ');
+  };
+
   return (
     <div className={`relative flex flex-col md:flex-row gap-4 p-4 border rounded shadow dark:bg-gray-800 ${className}`}>
         {editMode && (
@@ -141,6 +197,11 @@ export default function CreditCardItem({
                 <p className="text-sm text-gray-600 dark:text-gray-300 mb-1">
                   <strong>Annual Fee:</strong> ${card.annual_fee}
                 </p>
+                {formatBenefits(card.benefits) && (
+                  <p className="text-sm text-gray-600 dark:text-gray-300 mb-1">
+                    <strong>Credits:</strong> {formatBenefits(card.benefits)}
+                  </p>
+                )}
                 {formatConditions(card.rewards) && (
                   <p className="text-sm text-gray-600 dark:text-gray-300 mb-1">
                     <strong>Conditions:</strong> {formatConditions(card.rewards)}
@@ -5,6 +5,8 @@ import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
 import CreditCardItem from './CreditCardItem';
+import CalculationTraceDetails from './CalculationTraceDetails';
+import CategoryFeedbackControl from './CategoryFeedbackControl';
 import {
   CreditCard,
   TrendingUp,
@@ -13,9 +15,14 @@ import {
   Star,
   Clock,
   Zap,
-  ChevronDown
+  ChevronDown,
+  Split,
+  UserCheck,
+  Hash,
+  Store,
+  Cpu
 } from 'lucide-react';
-import type { RecommendationResponse } from '@/types';
+import type { CardRecommendation, RecommendationResponse } from '@/types';
 
 interface RecommendationResultsProps {
   results: RecommendationResponse;
@@ -73,15 +80,28 @@ export function RecommendationResults({ results, onNewSearch, onReanalyze, mode,
       // LLM prompting variations
       'openai': 'llm',
       'llm': 'llm',
-      'gpt': 'llm'
+      'gpt': 'llm',
+
+      // In-process model, no network
+      'local': 'local'
     };
 
     const standardMethods = {
       'keyword': { label: 'Keyword Matching', variant: 'secondary' as const, icon: <Zap className="h-3 w-3" /> },
       'semantic': { label: 'Semantic Search', variant: 'secondary' as const, icon: <Star className="h-3 w-3" /> },
-      'llm': { label: 'LLM Prompting', variant: 'secondary' as const, icon: <CheckCircle className="h-3 w-3" /> }
+      'llm': { label: 'LLM Prompting', variant: 'secondary' as const, icon: <CheckCircle className="h-3 w-3" /> },
+      'local': { label: 'Local Model', variant: 'secondary' as const, icon: <Cpu className="h-3 w-3" /> }
     };
 
+    // The user's own override rule isn't a detection method, so it gets its own badge
+    if (source === 'user_rule') {
+      return { label: 'Your Rule', variant: 'secondary' as const, icon: <UserCheck className="h-3 w-3" /> };
+    }
+    // Nor is the merchant category code that came with the purchase
+    if (source === 'mcc') {
+      return { label: 'Merchant Code', variant: 'secondary' as const, icon: <Hash className="h-3 w-3" /> };
+    }
+
     const mappedSource = sourceMapping[source as keyof typeof sourceMapping] || 'keyword';
     return standardMethods[mappedSource as keyof typeof standardMethods];
   };
@@ -89,7 +109,8 @@ export function RecommendationResults({ results, onNewSearch, onReanalyze, mode,
   const detectionMethods = [
     { value: 'keyword', label: 'Keyword Matching', icon: <Zap className="h-3 w-3" /> },
     { value: 'semantic', label: 'Semantic Search', icon: <Star className="h-3 w-3" /> },
-    { value: 'llm', label: 'LLM Prompting', icon: <CheckCircle className="h-3 w-3" /> }
+    { value: 'llm', label: 'LLM Prompting', icon: <CheckCircle className="h-3 w-3" /> },
+    { value: 'local', label: 'Local Model', icon: <Cpu className="h-3 w-3" /> }
   ];
 
   const getCurrentMethod = (source: string): string | null => {
@@ -104,7 +125,8 @@ export function RecommendationResults({ results, onNewSearch, onReanalyze, mode,
         'vector': 'semantic',
         'openai': 'llm',
         'llm': 'llm',
-        'gpt': 'llm'
+        'gpt': 'llm',
+        'local': 'local'
       };
 
       if (!source || typeof source !== 'string') {
@@ -135,11 +157,46 @@ export function RecommendationResults({ results, onNewSearch, onReanalyze, mode,
     const methodNames = {
       'keyword': 'Keyword Matching',
       'semantic': 'Semantic Search',
-      'llm': 'LLM Prompting'
+      'llm': 'LLM Prompting',
+      'local': 'Local Model'
     };
     return methodNames[method as keyof typeof methodNames] || method;
   };
 
+  const getValuationNote = (card: CardRecommendation) => {
+    if (!card.rewardCurrency || card.rewardCurrency === 'cash' || card.centsPerPoint == null) return '';
+    return `\n${card.earnRate ?? card.multiplier}x points valued at ${card.centsPerPoint}¢ each`;
+  };
+
+  const getTopCategoryNote = (card: CardRecommendation) => {
+    return card.topCategory ? `\n${card.topCategory.summary}` : '';
+  };
+
+  const getWelcomeBonusNote = (card: CardRecommendation) => {
+    return card.welcomeBonus?.summary ? `\n• ${card.welcomeBonus.summary}` : '';
+  };
+
+  const getForeignFeeNote = (card: CardRecommendation) => {
+    if (card.foreignTransactionFee == null) return '';
+    return card.foreignTransactionFee > 0
+      ? `\n• Net of ${card.foreignTransactionFee}% foreign transaction fee`
+      : '\n• No foreign transaction fee';
+  };
+
+  const getRelationshipNote = (card: CardRecommendation) => {
+    return card.relationshipBoost ? `\n• Includes ${card.relationshipBoost.summary}` : '';
+  };
+
+  const getPreferenceNote = (card: CardRecommendation) => {
+    const adjustment = card.preferenceAdjustment;
+    if (!adjustment) return '';
+    return `\n• ${adjustment.fullEarnRate}x counted at ${Math.round(adjustment.likelihood * 100)}%: ${adjustment.reasons.join(', ')}`;
+  };
+
+  const getAcceptanceNote = (card: CardRecommendation) => {
+    return card.acceptance && !card.acceptance.accepted ? `\n• Not accepted here: ${card.acceptance.summary}` : '';
+  };
+
   const hasValidAmount = () => {
     const amount = results.metadata.amount;
     return amount != null &&
@@ -186,6 +243,17 @@ export function RecommendationResults({ results, onNewSearch, onReanalyze, mode,
               <Badge variant="secondary" className="mt-1 text-sm">
                 {results.category}
               </Badge>
+              {/* The merchant read out of a bank statement line, when it needed cleaning up */}
+              {results.descriptor?.changed && (
+                <p className="mt-1 flex items-center gap-1 text-xs text-muted-foreground">
+                  <Store className="h-3 w-3" />
+                  {results.descriptor.merchantName}
+                  {results.descriptor.location &&
+                    ` · ${[results.descriptor.location.city, results.descriptor.location.state].filter(Boolean).join(', ')}`}
+                </p>
+              )}
+              {/* Remount per result so a correction sent for one search doesn't carry over */}
+              <CategoryFeedbackControl key={`${results.metadata.description}|${results.category}`} results={results} />
             </div>
             <div>
               <p className="text-sm text-muted-foreground">Confidence</p>
@@ -250,7 +318,11 @@ export function RecommendationResults({ results, onNewSearch, onReanalyze, mode,
             <p className="text-sm">
               <strong>&quot;{results.metadata.description}&quot;</strong>
               {hasValidAmount() ? (
-                <span className="font-medium"> • ${Number(results.metadata.amount).toFixed(2)}</span>
+                <span className="font-medium">
+                  {' '}• ${Number(results.metadata.amount).toFixed(2)}
+                  {results.metadata.currency && results.metadata.currency !== 'USD' &&
+                    ` (${Number(results.metadata.originalAmount).toFixed(2)} ${results.metadata.currency})`}
+                </span>
               ) : null}
             </p>
             {results.reasoning && (
@@ -282,7 +354,7 @@ export function RecommendationResults({ results, onNewSearch, onReanalyze, mode,
                 image_url: topRecommendation.imageUrl || `/api/cards/${topRecommendation.cardId}/image`,
                 notes: ''
               }}
-              reasoning={`${topRecommendation.effectiveRate}% back on ${topRecommendation.category.toLowerCase()} purchases${topRecommendation.conditions.length > 0 ? '\n' + topRecommendation.conditions.map(c => `• ${c.charAt(0).toUpperCase() + c.slice(1).toLowerCase()}`).join('\n') : ''}${topRecommendation.capStatus && topRecommendation.capStatus.total ? `\n• Spending cap: $${topRecommendation.capStatus.remaining || 0} remaining of $${topRecommendation.capStatus.total}` : ''}`}
+              reasoning={`${topRecommendation.effectiveRate}% back on ${topRecommendation.category.toLowerCase()} purchases${getValuationNote(topRecommendation)}${getTopCategoryNote(topRecommendation)}${getWelcomeBonusNote(topRecommendation)}${getAcceptanceNote(topRecommendation)}${getForeignFeeNote(topRecommendation)}${getRelationshipNote(topRecommendation)}${getPreferenceNote(topRecommendation)}${topRecommendation.conditions.length > 0 ? '\n' + topRecommendation.conditions.map(c => `• ${c.charAt(0).toUpperCase() + c.slice(1).toLowerCase()}`).join('\n') : ''}${topRecommendation.capStatus && topRecommendation.capStatus.total ? `\n• Spending cap: $${topRecommendation.capStatus.remaining || 0} remaining of $${topRecommendation.capStatus.total}${topRecommendation.capStatus.sharedCategories ? ` (shared by ${topRecommendation.capStatus.sharedCategories.join(', ')})` : ''}` : ''}`}
               issuer={topRecommendation.issuer}
               className="bg-white dark:bg-gray-800"
               rightContent={
@@ -304,6 +376,35 @@ export function RecommendationResults({ results, onNewSearch, onReanalyze, mode,
                 </div>
               }
             />
+            {topRecommendation.trace && <CalculationTraceDetails trace={topRecommendation.trace} />}
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Split Purchase */}
+      {results.allocation?.isSplit && results.allocation.extraReward > 0 && (
+        <Card className="border-green-300 bg-green-50 dark:bg-green-900/20">
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2 text-green-700 dark:text-green-300">
+              <Split className="h-5 w-5" />
+              Split This Purchase
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            {results.allocation.allocations.map((allocation) => (
+              <div key={allocation.cardId} className="flex items-center justify-between text-sm">
+                <span>
+                  <strong>${allocation.amount.toFixed(2)}</strong> on {allocation.cardName}
+                  {allocation.upToCap && <span className="text-muted-foreground"> (up to its cap)</span>}
+                </span>
+                <span className="font-medium text-green-600">
+                  ${allocation.rewardValue.toFixed(2)} at {allocation.effectiveRate}%
+                </span>
+              </div>
+            ))}
+            <p className="text-xs text-muted-foreground pt-2 border-t">
+              ${results.allocation.totalReward.toFixed(2)} total, ${results.allocation.extraReward.toFixed(2)} more than putting it all on {topRecommendation?.cardName}. Most merchants allow split tender at checkout.
+            </p>
           </CardContent>
         </Card>
       )}
@@ -320,40 +421,43 @@ export function RecommendationResults({ results, onNewSearch, onReanalyze, mode,
           <CardContent>
             <div className="space-y-3">
               {results.alternatives.slice(0, 5).map((card, index) => (
-                <div key={card.cardId} className="flex items-center gap-2 sm:gap-4">
-                  <div className="flex-shrink-0">
-                    <span className="text-lg sm:text-2xl font-bold text-muted-foreground">#{index + 2}</span>
-                  </div>
-                  <CreditCardItem
-                    card={{
-                      id: card.cardId,
-                      name: card.cardName,
-                      issuer: card.issuer,
-                      annual_fee: card.annualFee,
-                      rewards: [],
-                      image_url: card.imageUrl || `/api/cards/${card.cardId}/image`,
-                      notes: ''
-                    }}
-                    reasoning={`${card.effectiveRate}% back on ${card.category.toLowerCase()} purchases${card.conditions.length > 0 ? '\n' + card.conditions.map(c => `• ${c.charAt(0).toUpperCase() + c.slice(1).toLowerCase()}`).join('\n') : ''}`}
-                    issuer={card.issuer}
-                    className="bg-gray-50 dark:bg-gray-700 flex-1"
-                    rightContent={
-                      <div className="text-right space-y-1">
-                        <div>
-                          <div className="font-bold text-base sm:text-lg">{card.effectiveRate}%</div>
-                          <div className="text-xs text-gray-500">Reward Rate</div>
-                        </div>
-                        {hasValidAmount() && (
+                <div key={card.cardId}>
+                  <div className="flex items-center gap-2 sm:gap-4">
+                    <div className="flex-shrink-0">
+                      <span className="text-lg sm:text-2xl font-bold text-muted-foreground">#{index + 2}</span>
+                    </div>
+                    <CreditCardItem
+                      card={{
+                        id: card.cardId,
+                        name: card.cardName,
+                        issuer: card.issuer,
+                        annual_fee: card.annualFee,
+                        rewards: [],
+                        image_url: card.imageUrl || `/api/cards/${card.cardId}/image`,
+                        notes: ''
+                      }}
+                      reasoning={`${card.effectiveRate}% back on ${card.category.toLowerCase()} purchases${getValuationNote(card)}${getTopCategoryNote(card)}${getWelcomeBonusNote(card)}${getAcceptanceNote(card)}${getForeignFeeNote(card)}${getRelationshipNote(card)}${getPreferenceNote(card)}${card.conditions.length > 0 ? '\n' + card.conditions.map(c => `• ${c.charAt(0).toUpperCase() + c.slice(1).toLowerCase()}`).join('\n') : ''}`}
+                      issuer={card.issuer}
+                      className="bg-gray-50 dark:bg-gray-700 flex-1"
+                      rightContent={
+                        <div className="text-right space-y-1">
                           <div>
-                            <div className="text-xs sm:text-sm font-medium">
-                              ${card.rewardValue}
-                            </div>
-                            <div className="text-xs text-gray-500">Reward Value</div>
+                            <div className="font-bold text-base sm:text-lg">{card.effectiveRate}%</div>
+                            <div className="text-xs text-gray-500">Reward Rate</div>
                           </div>
-                        )}
-                      </div>
-                    }
-                  />
+                          {hasValidAmount() && (
+                            <div>
+                              <div className="text-xs sm:text-sm font-medium">
+                                ${card.rewardValue}
+                              </div>
+                              <div className="text-xs text-gray-500">Reward Value</div>
+                            </div>
+                          )}
+                        </div>
+                      }
+                    />
+                  </div>
+                  {card.trace && <CalculationTraceDetails trace={card.trace} />}
                 </div>
               ))}
             </div>
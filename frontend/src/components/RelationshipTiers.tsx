@@ -0,0 +1,75 @@
+// src/components/RelationshipTiers.tsx
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { Landmark } from 'lucide-react';
+import type { RelationshipProgram } from '@/types';
+import { getRelationshipPrograms, setRelationshipTier } from '@/app/api/user';
+
+export default function RelationshipTiers() {
+  const [programs, setPrograms] = useState<RelationshipProgram[]>([]);
+  const [savingId, setSavingId] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    getRelationshipPrograms()
+      .then(setPrograms)
+      .catch((err) => console.error('Failed to load relationship programs:', err));
+  }, []);
+
+  const handleChange = async (program: RelationshipProgram, tier: string | null) => {
+    setSavingId(program.programId);
+    setError(null);
+
+    try {
+      await setRelationshipTier(program.programId, tier);
+      setPrograms(prev =>
+        prev.map(p => (p.programId === program.programId ? { ...p, tier } : p))
+      );
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to update relationship tier');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  if (programs.length === 0) return null;
+
+  return (
+    <div className="mb-6 rounded-lg border border-indigo-200 bg-indigo-50 p-4">
+      <div className="flex items-center gap-2 mb-3">
+        <Landmark className="w-5 h-5 text-indigo-600" />
+        <h3 className="font-semibold text-indigo-900">Banking relationships</h3>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+      <ul className="flex flex-col gap-2">
+        {programs.map((program) => (
+          <li key={program.programId} className="flex items-center justify-between gap-4 text-sm text-indigo-900">
+            <div>
+              <label htmlFor={`relationship-${program.programId}`} className="font-medium">
+                {program.issuer} {program.name}
+              </label>
+              <p className="text-xs text-indigo-700">Boosts {program.eligibleCards.join(', ')}</p>
+            </div>
+            <select
+              id={`relationship-${program.programId}`}
+              className="rounded border border-indigo-300 bg-white px-2 py-1 disabled:opacity-50"
+              value={program.tier || ''}
+              onChange={(e) => handleChange(program, e.target.value || null)}
+              disabled={savingId === program.programId}
+            >
+              <option value="">Not enrolled</option>
+              {program.tiers.map(({ tier, name, boost }) => (
+                <option key={tier} value={tier}>
+                  {name} (+{Math.round(boost * 100)}%)
+                </option>
+              ))}
+            </select>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+// src/components/RewardPreferencesPanel.tsx
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { SlidersHorizontal } from 'lucide-react';
+import type { PreferenceLevel, RewardPreferences } from '@/types';
+import { getRewardPreferences, updateRewardPreferences } from '@/app/api/user';
+
+const PREFERENCE_QUESTIONS: { key: keyof RewardPreferences; label: string }[] = [
+  { key: 'portalBooking', label: 'Do you book travel through card issuer portals?' },
+  { key: 'activation', label: 'Do you activate quarterly categories and offers?' },
+  { key: 'cappedCategories', label: 'Do you keep track of spending caps?' },
+];
+
+const PREFERENCE_LEVELS: PreferenceLevel[] = ['always', 'sometimes', 'never'];
+
+export default function RewardPreferencesPanel() {
+  const [preferences, setPreferences] = useState<RewardPreferences | null>(null);
+  const [savingKey, setSavingKey] = useState<keyof RewardPreferences | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    getRewardPreferences()
+      .then(setPreferences)
+      .catch((err) => console.error('Failed to load preferences:', err));
+  }, []);
+
+  const handleChange = async (key: keyof RewardPreferences, level: PreferenceLevel) => {
+    setSavingKey(key);
+    setError(null);
+
+    try {
+      setPreferences(await updateRewardPreferences({ [key]: level }));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to save preferences');
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  if (!preferences) return null;
+
+  return (
+    <div className="mb-6 rounded-lg border border-blue-200 bg-blue-50 p-4">
+      <div className="flex items-center gap-2 mb-1">
+        <SlidersHorizontal className="w-5 h-5 text-blue-600" />
+        <h3 className="font-semibold text-blue-900">Reward preferences</h3>
+      </div>
+      <p className="text-xs text-blue-700 mb-3">
+        Rewards you never go along with are skipped; &quot;sometimes&quot; counts them at half value.
+      </p>
+
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+      <ul className="flex flex-col gap-2">
+        {PREFERENCE_QUESTIONS.map(({ key, label }) => (
+          <li key={key} className="flex items-center justify-between gap-4 text-sm text-blue-900">
+            <label htmlFor={`preference-${key}`}>{label}</label>
+            <select
+              id={`preference-${key}`}
+              className="rounded border border-blue-300 bg-white px-2 py-1 disabled:opacity-50"
+              value={preferences[key]}
+              onChange={(e) => handleChange(key, e.target.value as PreferenceLevel)}
+              disabled={savingKey === key}
+            >
+              {PREFERENCE_LEVELS.map((level) => (
+                <option key={level} value={level}>
+                  {level.charAt(0).toUpperCase() + level.slice(1)}
+                </option>
+              ))}
+            </select>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -1,7 +1,7 @@
 'use client';
 
 import CreditCardItem from './CreditCardItem';
-import type { Reward } from '@/types';
+import type { CardBenefit, Reward, WalletConstraints } from '@/types';
 
 interface Gap {
   category: string;
@@ -24,6 +24,48 @@ interface CardRecommendation {
   category: string;
   imageUrl?: string;
   rewards?: Reward[];
+  benefits?: CardBenefit[];
+  annualValue?: AnnualValue;
+}
+
+interface AnnualValue {
+  projectedRewards: number;
+  rewardsGain: number;
+  annualFee: number;
+  credits: number;
+  netAnnualValue: number;
+}
+
+interface WalletCard {
+  cardId: string;
+  cardName: string;
+  issuer: string;
+  network?: string;
+  annualFee: number;
+  imageUrl?: string | null;
+  rewards?: Reward[];
+  benefits?: CardBenefit[];
+  held: boolean;
+  categories: string[];
+  rewardsValue: number;
+}
+
+interface OptimizedWallet {
+  cardIds: string[];
+  rewardsValue: number;
+  annualFees: number;
+  credits: number;
+  netValue: number;
+  cards: WalletCard[];
+}
+
+interface Optimization {
+  constraints: WalletConstraints;
+  wallet: OptimizedWallet | null;
+  alternatives: OptimizedWallet[];
+  improvement: number | null;
+  candidatesConsidered: number;
+  combinationsEvaluated: number;
 }
 
 interface UserCard {
@@ -48,7 +90,7 @@ interface Summary {
 }
 
 export interface SmartRecommendationResults {
-  mode: 'auto' | 'category';
+  mode: 'auto' | 'category' | 'optimize';
   category?: string;
   userCurrentCards?: UserCard[];
   marketLeaders?: CardRecommendation[];
@@ -56,9 +98,29 @@ export interface SmartRecommendationResults {
   summary?: Summary;
   analysis?: Analysis;
   recommendations?: CardRecommendation[];
+  optimization?: Optimization;
+  spendProfileSource?: 'provided' | 'history' | 'default';
   analyzedAt: string;
 }
 
+const SPEND_PROFILE_SOURCE_LABELS = {
+  provided: 'your spend profile',
+  history: 'your last 12 months of spending',
+  default: 'a typical household spend profile',
+};
+
+function NetAnnualValue({ value }: { value?: AnnualValue }) {
+  if (!value) return null;
+
+  const positive = value.netAnnualValue > 0;
+  return (
+    <div className={`text-xs mt-1 ${positive ? 'text-green-700 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+      {positive ? '+' : '-'}${Math.abs(value.netAnnualValue).toFixed(0)}/yr net of fees
+      {value.credits > 0 && ` (incl. $${value.credits.toFixed(0)} in credits)`}
+    </div>
+  );
+}
+
 interface SmartRecommendationResultsProps {
   results: SmartRecommendationResults;
   onNewAnalysis: () => void;
@@ -72,6 +134,10 @@ export function SmartRecommendationResults({ results, onNewAnalysis }: SmartReco
   // For category mode, check if it's the new format
   const isNewCategoryFormat = isCategoryMode && results.userCurrentCards !== undefined;
 
+  if (results.mode === 'optimize' && results.optimization) {
+    return renderOptimizedWallet(results.optimization);
+  }
+
   if (!results || (!results.recommendations && !results.marketLeaders && !results.gaps)) {
     return (
       <div className="text-center py-8">
@@ -186,6 +252,7 @@ export function SmartRecommendationResults({ results, onNewAnalysis }: SmartReco
                           issuer: card.issuer,
                           annual_fee: card.annualFee || 0,
                           rewards: card.rewards || [],
+                          benefits: card.benefits || [],
                           image_url: card.imageUrl || null,
                           notes: ''
                         }}
@@ -200,6 +267,7 @@ export function SmartRecommendationResults({ results, onNewAnalysis }: SmartReco
                             <div className="text-xs text-gray-500 mt-1">
                               Annual Fee: ${card.annualFee || 0}
                             </div>
+                            <NetAnnualValue value={card.annualValue} />
                           </div>
                         }
                       />
@@ -219,6 +287,135 @@ export function SmartRecommendationResults({ results, onNewAnalysis }: SmartReco
               <div>Mode: Portfolio Gap Analysis</div>
               <div>Analyzed: {new Date(results.analyzedAt).toLocaleString()}</div>
             </div>
+            {results.spendProfileSource && (
+              <div className="mt-1">Net values use {SPEND_PROFILE_SOURCE_LABELS[results.spendProfileSource]}</div>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  function renderOptimizedWallet(optimization: Optimization) {
+    const { wallet, alternatives, improvement, constraints } = optimization;
+
+    return (
+      <div className="space-y-6">
+        <div className="flex justify-between items-center">
+          <h4 className="font-semibold text-lg">Optimized Wallet</h4>
+          <button
+            onClick={onNewAnalysis}
+            className="px-4 py-2 border border-green-600 text-green-600 rounded-lg hover:bg-green-50 dark:hover:bg-green-900/20"
+          >
+            New Analysis
+          </button>
+        </div>
+
+        {!wallet ? (
+          <div className="text-center py-8 bg-white dark:bg-gray-800 rounded-lg border">
+            <p className="text-gray-600 dark:text-gray-400 mb-2">No wallet satisfies these constraints.</p>
+            <p className="text-sm text-gray-500">
+              Try raising the fee limit or removing a required issuer or excluded network.
+            </p>
+          </div>
+        ) : (
+          <>
+            {/* Wallet Summary */}
+            <div className="bg-blue-50 dark:bg-blue-900/20 p-4 rounded-lg border border-blue-200 dark:border-blue-700">
+              <h5 className="font-medium text-blue-800 dark:text-blue-200 mb-2">Wallet Summary</h5>
+              <div className="grid grid-cols-5 gap-4 text-sm text-blue-700 dark:text-blue-300">
+                <div className="text-center">
+                  <div className="font-bold text-lg">${wallet.rewardsValue.toFixed(0)}</div>
+                  <div>Yearly rewards</div>
+                </div>
+                <div className="text-center">
+                  <div className="font-bold text-lg">${wallet.credits.toFixed(0)}</div>
+                  <div>Statement credits</div>
+                </div>
+                <div className="text-center">
+                  <div className="font-bold text-lg">${wallet.annualFees.toFixed(0)}</div>
+                  <div>Annual fees</div>
+                </div>
+                <div className="text-center">
+                  <div className="font-bold text-lg">${wallet.netValue.toFixed(0)}</div>
+                  <div>Net yearly value</div>
+                </div>
+                <div className="text-center">
+                  <div className="font-bold text-lg">
+                    {improvement != null && improvement >= 0 ? '+' : '-'}${Math.abs(improvement || 0).toFixed(0)}
+                  </div>
+                  <div>vs. your current cards</div>
+                </div>
+              </div>
+            </div>
+
+            {/* Wallet Cards */}
+            <div className="space-y-3">
+              {wallet.cards.map((card: WalletCard) => (
+                <CreditCardItem
+                  key={card.cardId}
+                  card={{
+                    id: card.cardId,
+                    name: card.cardName,
+                    issuer: card.issuer,
+                    annual_fee: card.annualFee || 0,
+                    rewards: card.rewards || [],
+                    benefits: card.benefits || [],
+                    image_url: card.imageUrl || null,
+                    notes: ''
+                  }}
+                  issuer={card.issuer}
+                  className="bg-white dark:bg-gray-800 shadow-sm"
+                  rightContent={
+                    <div>
+                      <div className="font-bold text-lg text-green-600">${card.rewardsValue.toFixed(0)}/yr</div>
+                      <div className="text-sm text-gray-600 dark:text-gray-400">
+                        {card.categories.length > 0 ? `Use for ${card.categories.join(', ')}` : 'Kept, not the best card for any category'}
+                      </div>
+                      <div className="text-xs text-gray-500 mt-1">
+                        {card.held ? 'Already in your wallet' : 'New card'} • Annual Fee: ${card.annualFee || 0}
+                      </div>
+                    </div>
+                  }
+                />
+              ))}
+            </div>
+
+            {/* Runner-up Wallets */}
+            {alternatives.length > 0 && (
+              <div>
+                <h5 className="font-medium mb-3">Close Alternatives</h5>
+                <div className="space-y-2">
+                  {alternatives.map((alternative: OptimizedWallet) => (
+                    <div key={alternative.cardIds.join('-')} className="flex justify-between p-3 bg-white dark:bg-gray-800 rounded-lg border text-sm">
+                      <span>{alternative.cards.map(card => card.cardName).join(' + ')}</span>
+                      <span className="font-medium">${alternative.netValue.toFixed(0)}/yr net</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </>
+        )}
+
+        {/* Analysis Details */}
+        <div className="mt-6 p-4 bg-gray-50 dark:bg-gray-800 rounded-lg">
+          <div className="text-sm text-gray-600 dark:text-gray-400">
+            <strong>Analysis Details:</strong>
+            <div className="mt-1 grid grid-cols-2 gap-4">
+              <div>Mode: Wallet Optimizer (up to {constraints.walletSize} cards)</div>
+              <div>Analyzed: {new Date(results.analyzedAt).toLocaleString()}</div>
+            </div>
+            <div className="mt-1">
+              Compared {optimization.combinationsEvaluated} combinations of {optimization.candidatesConsidered} cards
+              {constraints.maxTotalFees != null && ` • Fees up to $${constraints.maxTotalFees}`}
+              {constraints.requiredIssuers && constraints.requiredIssuers.length > 0 && ` • Includes ${constraints.requiredIssuers.join(', ')}`}
+              {constraints.excludedNetworks && constraints.excludedNetworks.length > 0 && ` • No ${constraints.excludedNetworks.join(', ')}`}
+              {constraints.keepCurrentCards && ' • Keeps your current cards'}
+            </div>
+            {results.spendProfileSource && (
+              <div className="mt-1">Net values use {SPEND_PROFILE_SOURCE_LABELS[results.spendProfileSource]}</div>
+            )}
           </div>
         </div>
       </div>
@@ -254,6 +451,9 @@ export function SmartRecommendationResults({ results, onNewAnalysis }: SmartReco
               ) : (
                 <span className="block mt-1">💡 Opportunity for improvement available</span>
               )}
+              {results.spendProfileSource && (
+                <span className="block mt-1">Net values use {SPEND_PROFILE_SOURCE_LABELS[results.spendProfileSource]}</span>
+              )}
             </div>
           </div>
         )}
@@ -315,6 +515,7 @@ export function SmartRecommendationResults({ results, onNewAnalysis }: SmartReco
                     issuer: card.issuer,
                     annual_fee: card.annualFee || 0,
                     rewards: card.rewards || [],
+                    benefits: card.benefits || [],
                     image_url: card.imageUrl || null,
                     notes: ''
                   }}
@@ -328,6 +529,7 @@ export function SmartRecommendationResults({ results, onNewAnalysis }: SmartReco
                       <div className="text-sm text-gray-600 dark:text-gray-400">
                         {(card.currentRate || 1.0).toFixed(1)}x → {(card.newRate || 1.0).toFixed(1)}x
                       </div>
+                      <NetAnnualValue value={card.annualValue} />
                       <div className="text-xs text-gray-500 mt-1">
                         #{index + 1} recommendation
                       </div>
@@ -388,6 +590,7 @@ export function SmartRecommendationResults({ results, onNewAnalysis }: SmartReco
                   issuer: card.issuer,
                   annual_fee: card.annualFee || 0,
                   rewards: card.rewards || [],
+                  benefits: card.benefits || [],
                   image_url: card.imageUrl || `/api/cards/${card.cardId}/image`,
                   notes: ''
                 }}
@@ -0,0 +1,102 @@
+// src/components/WelcomeBonusTracker.tsx
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { Gift } from 'lucide-react';
+import type { WelcomeBonusProgress } from '@/types';
+import { getWelcomeBonuses, updateCardAccount } from '@/app/api/user';
+
+const formatBonus = (bonus: WelcomeBonusProgress) =>
+  bonus.rewardCurrency === 'cash'
+    ? `$${(bonus.bonusPoints / 100).toLocaleString()}`
+    : `${bonus.bonusPoints.toLocaleString()} points`;
+
+export default function WelcomeBonusTracker() {
+  const [bonuses, setBonuses] = useState<WelcomeBonusProgress[]>([]);
+  const [openDates, setOpenDates] = useState<Record<string, string>>({});
+  const [savingId, setSavingId] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    getWelcomeBonuses()
+      .then(setBonuses)
+      .catch((err) => console.error('Failed to load welcome bonuses:', err));
+  }, []);
+
+  const handleSaveOpenDate = async (bonus: WelcomeBonusProgress) => {
+    const openedAt = openDates[bonus.cardId];
+    if (!openedAt) return;
+
+    setSavingId(bonus.cardId);
+    setError(null);
+
+    try {
+      await updateCardAccount(bonus.cardId, openedAt, bonus.statementCloseDay);
+      setBonuses(await getWelcomeBonuses());
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to save open date');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const inProgress = bonuses.filter(b => b.status === 'in_progress');
+  const needsDate = bonuses.filter(b => b.status === 'needs_open_date');
+  if (inProgress.length === 0 && needsDate.length === 0) return null;
+
+  return (
+    <div className="mb-6 rounded-lg border border-purple-200 bg-purple-50 p-4">
+      <div className="flex items-center gap-2 mb-3">
+        <Gift className="w-5 h-5 text-purple-600" />
+        <h3 className="font-semibold text-purple-900">Welcome bonuses</h3>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+      <ul className="flex flex-col gap-3">
+        {inProgress.map((bonus) => {
+          const percent = Math.min(100, Math.round((bonus.spent / bonus.minSpend) * 100));
+          return (
+            <li key={bonus.cardId} className="text-sm text-purple-900">
+              <div className="flex justify-between gap-4">
+                <p className="font-medium">{bonus.cardName} · {formatBonus(bonus)}</p>
+                <p>{bonus.daysLeft} day{bonus.daysLeft === 1 ? '' : 's'} left</p>
+              </div>
+              <div className="mt-1 h-2 rounded bg-purple-200">
+                <div className="h-2 rounded bg-purple-600" style={{ width: `${percent}%` }} />
+              </div>
+              <p className="mt-1 text-xs text-purple-700">
+                ${bonus.spent.toLocaleString()} of ${bonus.minSpend.toLocaleString()} spent
+                {bonus.deadline && ` · spend $${Math.ceil(bonus.remaining).toLocaleString()} more by ${new Date(bonus.deadline).toLocaleDateString()}`}
+              </p>
+            </li>
+          );
+        })}
+
+        {needsDate.map((bonus) => (
+          <li key={bonus.cardId} className="flex flex-wrap items-center justify-between gap-2 text-sm text-purple-900">
+            <p>
+              <span className="font-medium">{bonus.cardName}</span> offers {formatBonus(bonus)} after $
+              {bonus.minSpend.toLocaleString()} in {bonus.windowMonths} months. When did you open it?
+            </p>
+            <div className="flex items-center gap-2">
+              <input
+                type="date"
+                className="border rounded px-2 py-1 dark:bg-gray-700"
+                value={openDates[bonus.cardId] || ''}
+                onChange={(e) => setOpenDates(prev => ({ ...prev, [bonus.cardId]: e.target.value }))}
+              />
+              <button
+                className="rounded bg-purple-600 px-3 py-1.5 text-white hover:bg-purple-700 disabled:opacity-50"
+                onClick={() => handleSaveOpenDate(bonus)}
+                disabled={!openDates[bonus.cardId] || savingId === bonus.cardId}
+              >
+                {savingId === bonus.cardId ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -82,6 +82,7 @@ export default function Navbar() {
             <Link href="/discover" className="text-sm text-green-600 dark:text-green-400 hover:text-green-700 dark:hover:text-green-300 hover:bg-green-50 dark:hover:bg-green-900/20 px-3 py-2 rounded-md transition-all duration-200 transform hover:scale-105 hover:-translate-y-0.5" onClick={handleNavClick}>Discover</Link>
             <Link href="/cards" className="text-sm text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300 hover:bg-blue-50 dark:hover:bg-blue-900/20 px-3 py-2 rounded-md transition-all duration-200 transform hover:scale-105 hover:-translate-y-0.5" onClick={handleNavClick}>My Cards</Link>
             <Link href="/visualize" className="text-sm text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300 hover:bg-blue-50 dark:hover:bg-blue-900/20 px-3 py-2 rounded-md transition-all duration-200 transform hover:scale-105 hover:-translate-y-0.5" onClick={handleNavClick}>Visualize</Link>
+            <Link href="/redeem" className="text-sm text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300 hover:bg-blue-50 dark:hover:bg-blue-900/20 px-3 py-2 rounded-md transition-all duration-200 transform hover:scale-105 hover:-translate-y-0.5" onClick={handleNavClick}>Redeem</Link>
           </div>
         </div>
 
@@ -158,6 +159,13 @@ export default function Navbar() {
               >
                 Visualize
               </Link>
+              <Link
+                href="/redeem"
+                className="block px-3 py-2 text-base font-medium text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300 hover:bg-blue-50 dark:hover:bg-blue-900/20 rounded-md transition-colors transform hover:scale-[1.02]"
+                onClick={handleNavClick}
+              >
+                Redeem
+              </Link>
             </div>
 
             <div className="border-t dark:border-gray-700 px-4 pt-4 pb-3 space-y-2">
@@ -9,6 +9,8 @@ interface SearchContextType {
   setInput: (value: string) => void;
   amount: string;
   setAmount: (value: string) => void;
+  currency: string;
+  setCurrency: (value: string) => void;
   loading: boolean;
   setLoading: (value: boolean) => void;
   error: string | null;
@@ -29,6 +31,7 @@ const SearchContext = createContext<SearchContextType | undefined>(undefined);
 export function SearchProvider({ children }: { children: React.ReactNode }) {
   const [input, setInput] = useState('');
   const [amount, setAmount] = useState('');
+  const [currency, setCurrency] = useState('USD');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [recommendations, setRecommendations] = useState<RecommendationResponse | null>(null);
@@ -39,6 +42,7 @@ export function SearchProvider({ children }: { children: React.ReactNode }) {
     setRecommendations(null);
     setInput('');
     setAmount('');
+    setCurrency('USD');
     setError(null);
     setReanalyzingMethod(null);
   }, []);
@@ -48,6 +52,8 @@ export function SearchProvider({ children }: { children: React.ReactNode }) {
     setInput,
     amount,
     setAmount,
+    currency,
+    setCurrency,
     loading,
     setLoading,
     error,
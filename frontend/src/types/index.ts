@@ -11,33 +11,293 @@ export type Category =
   | 'Healthcare'
   | 'Utilities'
   | 'Insurance'
+  | 'Rotating'
+  | 'Top Category'
+  | 'Choice Category'
   | 'Other'
   | 'All';
 
+export type CapPeriod =
+  | 'calendar_month'
+  | 'calendar_quarter'
+  | 'calendar_year'
+  | 'cardmember_year'
+  | 'statement_cycle';
+
+export type ChoicePeriod = 'calendar_month' | 'calendar_quarter' | 'calendar_year';
+
 export interface Reward {
   category: Category;
   multiplier: number;
   reward_type?: string;
   cap?: number | null;
+  cap_period?: CapPeriod | null;
+  cap_group?: string | null;
+  eligible_categories?: string[] | null;
+  choice_period?: ChoicePeriod | null;
+  excluded_merchants?: string[] | null;
+  excluded_merchant_types?: string[] | null;
+  eligible_countries?: string[] | null;
+  // MCCs ('5411') or ranges ('5811-5814') the reward is limited to, when the purchase has an MCC
+  eligible_mccs?: string[] | null;
   portal_only?: boolean;
   start_date?: string | null;
   end_date?: string | null;
   notes?: string;
 }
 
+export type BenefitCadence = 'calendar_month' | 'calendar_quarter' | 'calendar_half' | 'calendar_year' | 'cardmember_year';
+
+export interface CardBenefit {
+  id?: string;
+  name: string;
+  amount: number;
+  cadence: BenefitCadence;
+  eligible_merchants?: string[] | null;
+  eligible_categories?: string[] | null;
+  enrollment_required?: boolean;
+  notes?: string | null;
+}
+
+// A credit on one of the user's cards with its usage in the current period
+export interface UserBenefit {
+  cardId: string;
+  cardName: string;
+  benefitId: string;
+  name: string;
+  amount: number;
+  cadence: BenefitCadence;
+  annualValue: number;
+  eligibleMerchants: string[];
+  eligibleCategories: string[];
+  enrollmentRequired: boolean;
+  notes: string | null;
+  periodStart: string;
+  periodEnd: string;
+  used: number;
+  remaining: number;
+  fullyUsed: boolean;
+}
+
 export interface Card {
   id: string;
   name: string;
   image_url: string | null;
   rewards: Reward[];
+  benefits?: CardBenefit[];
   annual_fee: number;
+  foreign_transaction_fee?: number;
   notes?: string;
   issuer?: string;
   network?: string;
   position?: number;
+  reward_currency?: string;
+  opened_at?: string | null;
+  statement_close_day?: number | null;
+  rotating_calendar?: RotatingCategoryEntry[];
+  activated_quarters?: string[] | null;
+  choice_selections?: ChoiceCategorySelection[] | null;
+  welcome_bonus_points?: number | null;
+  welcome_bonus_min_spend?: number | null;
+  welcome_bonus_months?: number | null;
+}
+
+export interface ChoiceCategorySelection {
+  category: string;
+  effective_from: string;
+  created_at?: string;
+}
+
+export interface ChoiceCategoryState {
+  options: string[];
+  choicePeriod: ChoicePeriod;
+  current: string | null;
+  history: ChoiceCategorySelection[];
+}
+
+export interface RotatingCategoryEntry {
+  year: number;
+  quarter: number;
+  category: string;
+  activation_deadline?: string | null;
+  notes?: string | null;
+}
+
+export interface ActivationReminder {
+  cardId: string;
+  cardName: string;
+  issuer: string;
+  quarter: string;
+  quarterStart: string;
+  upcoming: boolean;
+  daysUntilStart: number;
+  activated: boolean;
+  activationDeadline: string | null;
+  categories: string[];
+}
+
+export type WelcomeBonusStatus = 'in_progress' | 'earned' | 'expired' | 'needs_open_date';
+
+export interface WelcomeBonusProgress {
+  cardId: string;
+  cardName: string;
+  issuer: string;
+  rewardCurrency: string;
+  bonusPoints: number;
+  bonusValue: number;
+  minSpend: number;
+  windowMonths: number;
+  openedAt: string | null;
+  statementCloseDay: number | null;
+  status: WelcomeBonusStatus;
+  spent: number;
+  remaining: number;
+  deadline: string | null;
+  daysLeft: number | null;
+  summary: string | null;
+  boost?: number;
 }
 
 // Backend recommendation response types
+export interface TopCategoryStatus {
+  qualifies: boolean;
+  currentLeader: string | null;
+  leaderSpend: number;
+  categorySpend: number;
+  amountToLead: number;
+  shortfall: number;
+  eligibleCategories: string[];
+  period: CapPeriod;
+  summary: string;
+}
+
+// Set when the merchant only takes some card networks (e.g. Costco in-store: Visa)
+export interface MerchantAcceptance {
+  accepted: boolean;
+  merchant: string;
+  channel: 'in_store' | 'online';
+  acceptedNetworks: string[];
+  summary: string;
+}
+
+// How often the user books through portals, activates offers and tracks caps
+export type PreferenceLevel = 'always' | 'sometimes' | 'never';
+
+export interface RewardPreferences {
+  portalBooking: PreferenceLevel;
+  activation: PreferenceLevel;
+  cappedCategories: PreferenceLevel;
+}
+
+// A conditional reward counted at less than full value because of the user's preferences
+export interface PreferenceAdjustment {
+  likelihood: number;
+  fullEarnRate: number;
+  fallbackEarnRate: number;
+  reasons: string[];
+}
+
+// Banking-relationship boost on a card's earn rate (e.g. BofA Preferred Rewards)
+export interface RelationshipBoost {
+  programId: string;
+  program: string;
+  tier: string;
+  tierName: string;
+  boost: number;
+  summary: string;
+}
+
+export interface RelationshipProgram {
+  programId: string;
+  name: string;
+  issuer: string;
+  tiers: { tier: string; name: string; boost: number }[];
+  eligibleCards: string[];
+  tier: string | null;
+}
+
+export type CategoryRuleMatchType = 'contains' | 'exact';
+
+// A user's override: descriptions matching `pattern` always get `category`
+export interface CategoryRule {
+  id: string;
+  pattern: string;
+  matchType: CategoryRuleMatchType;
+  category: Category;
+  createdAt: string;
+}
+
+// Transfer partners of one bank currency (UR, MR, C1, TYP)
+export interface TransferCurrency {
+  currency: string;
+  name: string;
+  minimum: number;
+  increment: number;
+  partners: {
+    program: string;
+    name: string;
+    type: 'airline' | 'hotel' | null;
+    ratio: number;
+    bonus: number;
+  }[];
+}
+
+export interface RedemptionStep {
+  from: string;
+  fromName: string;
+  transfer: boolean;
+  pointsUsed: number;
+  pointsReceived: number;
+  ratio: number;
+  bonus: number;
+  centsPerPoint: number;
+  value: number;
+}
+
+// Cheapest way to cover an award from the user's balances
+export interface RedemptionPlan {
+  feasible: boolean;
+  target: { program: string; name: string; points: number };
+  steps: RedemptionStep[];
+  valueSpent: number;
+  shortfall: number;
+  leftover: number;
+  cashPrice: number | null;
+  redemptionCentsPerPoint: number | null;
+  summary: string;
+}
+
+// One reward rule as RewardCalculator evaluated it (explain mode)
+export interface RuleTrace {
+  category: string;
+  rewardType: string | null;
+  multiplier: number;
+  cap: number | null;
+  capPeriod: string | null;
+  portalOnly: boolean;
+  startDate: string | null;
+  endDate: string | null;
+  status: 'selected' | 'matched' | 'rejected' | 'skipped';
+  reason?: string | null;
+  detail: string | null;
+  earnRate?: number;
+  likelihood?: number;
+  expectedRate?: number;
+  capStatus?: { remaining: number | null; total: number | null; percentage: number } | null;
+}
+
+export interface CalculationTrace {
+  category: string;
+  purchase: { merchant: string | null; country: string | null; foreign: boolean };
+  rules: RuleTrace[];
+  baseReward: boolean;
+  fallbackRate?: number;
+  error?: string;
+  selected: string | null;
+  adjustments: { type: 'valuation' | 'relationship' | 'foreign_fee'; detail: string }[];
+  effectiveRate: number;
+}
+
 export interface CardRecommendation {
   cardId: string;
   cardName: string;
@@ -47,32 +307,85 @@ export interface CardRecommendation {
   imageUrl?: string;
   effectiveRate: number;
   rewardValue: string;
+  foreignTransactionFee?: number;
   reasoning: string;
   conditions: string[];
   capStatus?: {
     remaining: number | null;
     total: number | null;
     percentage: number;
+    period?: CapPeriod;
+    sharedCategories?: string[] | null;
   };
+  topCategory?: TopCategoryStatus | null;
+  preferenceAdjustment?: PreferenceAdjustment | null;
+  relationshipBoost?: RelationshipBoost | null;
   category: string;
   multiplier: number;
+  earnRate?: number;
+  rewardCurrency?: string;
+  centsPerPoint?: number;
+  pointsEarned?: number;
+  welcomeBonus?: WelcomeBonusProgress | null;
+  acceptance?: MerchantAcceptance | null;
+  trace?: CalculationTrace;
   simplicity: number;
   totalValue: number;
 }
 
+// One card's share of a purchase split across cards
+export interface SplitAllocation {
+  cardId: string;
+  cardName: string;
+  issuer: string;
+  imageUrl?: string;
+  amount: number;
+  rewardValue: number;
+  effectiveRate: number;
+  upToCap: boolean;
+}
+
+export interface PurchaseAllocation {
+  isSplit: boolean;
+  allocations: SplitAllocation[];
+  totalReward: number;
+  singleCardReward: number;
+  extraReward: number;
+  summary: string;
+}
+
+// A bank statement descriptor split into merchant and location ("SQ *BLUE BOTTLE 8734 SAN FRANCISCO CA")
+export interface PurchaseDescriptor {
+  merchantName: string;
+  location: { city: string | null; state: string } | null;
+  // Payment processor whose prefix was removed, e.g. Square or Toast
+  processor: string | null;
+  // Whether merchantName differs from the description as sent
+  changed: boolean;
+}
+
 export interface RecommendationResponse {
   category: string;
   confidence: number;
   source: string;
   reasoning?: string;
+  descriptor?: PurchaseDescriptor;
   recommendations: CardRecommendation[];
   alternatives: CardRecommendation[];
+  allocation?: PurchaseAllocation | null;
   metadata: {
     description: string;
+    // Merchant category code sent with the purchase, if any
+    mcc?: string | null;
     amount?: number;
+    originalAmount?: number;
+    currency?: string;
+    foreign?: boolean;
     date: string;
     cardsAnalyzed: number;
     processingTime?: number | null;
+    // Milliseconds spent in each stage of the request
+    timings?: { categorization: number; preload: number; calculation: number };
   };
   details?: {
     topScore?: number;
@@ -80,3 +393,12 @@ export interface RecommendationResponse {
     allScores?: Record<string, string>;
   };
 }
+
+// Limits for the Discover page wallet optimizer
+export interface WalletConstraints {
+  walletSize?: number;
+  maxTotalFees?: number;
+  requiredIssuers?: string[];
+  excludedNetworks?: string[];
+  keepCurrentCards?: boolean;
+}